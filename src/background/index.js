@@ -7,7 +7,8 @@
  */
 
 import BrowserAPI from "../shared/browser-api.js";
-import CardDB from "../shared/card-db.js";
+import CardDB, { formatNoteLocation, parseNoteLocation, toInventoryRecord } from "../shared/card-db.js";
+import { parseDecklist, pickCopies } from "../shared/decklist.js";
 import EchoAPI from "../shared/echo-api.js";
 import setManager from "../shared/set-manager.js";
 
@@ -26,8 +27,16 @@ const _initDone = (async () => {
   if (token) {
     console.log("[sw] Token restored from storage");
   }
+  // Opening the database loads the note format used to write notes
+  await CardDB.getNoteFormat().catch((err) => console.warn("[sw] Note format load failed:", err));
 })();
 
+// Resume any outbox work left over from before the worker was stopped
+_initDone.then(async () => {
+  await CardDB.pruneOutbox().catch((err) => console.warn("[sw] Outbox prune failed:", err));
+  drainOutbox();
+});
+
 /**
  * Ensure the token is loaded from storage before using it.
  * Guards against race conditions where a message arrives before init finishes.
@@ -76,6 +85,12 @@ BrowserAPI.onMessage(async (message, sender) => {
       return handleSearchCards(message);
     case "ADD_CARD":
       return handleAddCard(message);
+    case "GET_OUTBOX_STATUS":
+      return handleGetOutboxStatus();
+    case "RETRY_OUTBOX":
+      return handleRetryOutbox();
+    case "UNDO_ADD":
+      return handleUndoAdd(message);
     case "GET_STATE":
       return handleGetState(message);
     case "SET_STATE":
@@ -94,8 +109,14 @@ BrowserAPI.onMessage(async (message, sender) => {
       return handleGetSearchMigrationStatus();
     case "MIGRATE_SEARCH_SCHEMA":
       return handleMigrateSearchSchema(message);
+    case "BACKUP_DB":
+      return handleBackupDB(message);
+    case "RESTORE_DB":
+      return handleRestoreDB(message);
     case "SEARCH_SETS":
       return handleSearchSets(message);
+    case "PREVIEW_CHECKOUT":
+      return handlePreviewCheckout(message);
     case "CHECKOUT_CARDS":
       return handleCheckoutCards(message);
     case "CHECKIN_CARDS":
@@ -110,16 +131,28 @@ BrowserAPI.onMessage(async (message, sender) => {
       return handleSearchInventory(message);
     case "SEARCH_INVENTORY_FILTERED":
       return handleSearchInventoryFiltered(message);
-    case "SEARCH_INVENTORY_BY_EMIDS":
-      return handleSearchInventoryByEmids(message);
+    case "RESOLVE_DECKLIST":
+      return handleResolveDecklist(message);
     case "IMPORT_INVENTORY":
       return handleImportInventory(message);
+    case "APPLY_INVENTORY_IMPORT":
+      return handleApplyInventoryImport(message);
+    case "CANCEL_INVENTORY_IMPORT":
+      return handleCancelInventoryImport();
     case "GET_INVENTORY_STATS":
       return handleGetInventoryStats();
+    case "GET_INVENTORY_EXPORT":
+      return handleGetInventoryExport(message);
     case "CLEAR_INVENTORY":
       return handleClearInventory();
     case "GET_INVENTORY_LOCATIONS":
       return handleGetInventoryLocations();
+    case "GET_LOCATIONS":
+      return handleGetLocations();
+    case "SAVE_LOCATION":
+      return handleSaveLocation(message);
+    case "DELETE_LOCATION":
+      return handleDeleteLocation(message);
     case "GET_INVENTORY_SETS":
       return handleGetInventorySets();
     case "GET_INVENTORY_LANGUAGES":
@@ -130,6 +163,8 @@ BrowserAPI.onMessage(async (message, sender) => {
       return handleGetEchoLists();
     case "GET_ECHO_LIST":
       return handleGetEchoList(message);
+    case "CREATE_WANT_LIST":
+      return handleCreateWantList(message);
     case "SAVE_RETRIEVAL_PLAN":
       return handleSaveRetrievalPlan(message);
     case "GET_RETRIEVAL_PLANS":
@@ -146,6 +181,28 @@ BrowserAPI.onMessage(async (message, sender) => {
       return handleRefreshKnownSets();
     case "SYNC_NOTE_IDS":
       return handleSyncNoteIds();
+    case "SYNC_INVENTORY":
+      return handleSyncInventory();
+    case "GET_INVENTORY_SYNC_STATUS":
+      return { ok: true, ...inventorySync };
+    case "PREVIEW_COMPACTION":
+      return handlePreviewCompaction(message);
+    case "COMPACT_LOCATION":
+      return handleCompactLocation(message);
+    case "GET_COMPACTION_STATUS":
+      return handleGetCompactionStatus();
+    case "AUDIT_LOCATIONS":
+      return handleAuditLocations();
+    case "REPAIR_CHECKOUT_NOTES":
+      return handleRepairCheckoutNotes(message);
+    case "DISMISS_NOT_FOUND":
+      return handleDismissNotFound(message);
+    case "GET_NOTE_FORMAT":
+      return handleGetNoteFormat();
+    case "PREVIEW_NOTE_FORMAT":
+      return handlePreviewNoteFormat(message);
+    case "SET_NOTE_FORMAT":
+      return handleSetNoteFormat(message);
     default:
       return { error: `Unknown message type: ${type}` };
   }
@@ -159,6 +216,7 @@ async function handleLogin({ email, password }) {
   try {
     const result = await EchoAPI.login(email, password);
     token = result.token;
+    drainOutbox();
     return { ok: true, user: result.user };
   } catch (err) {
     return { ok: false, error: err.message };
@@ -218,8 +276,15 @@ async function handleSearchCards({ query, activeSets }) {
   }
 }
 
+// Most copies one ADD_CARD queues (the quantity box's max)
+const MAX_ADD_COPIES = 99;
+
 /**
- * Add a card to inventory, then attach a location note.
+ * Queue card adds (plus their location notes) in the outbox and advance the
+ * position counter immediately, so entry keeps going while EchoMTG is slow
+ * or unreachable. The outbox is drained in the background.
+ *
+ * Each physical copy gets its own entry, consecutive position and note.
  *
  * @param {object} message
  * @param {number} message.emid
@@ -228,6 +293,8 @@ async function handleSearchCards({ query, activeSets }) {
  * @param {string} message.language - e.g. "EN"
  * @param {string} message.locationTag - e.g. "b5r1"
  * @param {number} message.position - current position counter
+ * @param {number} [message.quantity=1] - number of copies to add, 1 to
+ *   MAX_ADD_COPIES
  */
 async function handleAddCard({
   emid,
@@ -236,55 +303,304 @@ async function handleAddCard({
   language,
   locationTag,
   position,
+  quantity,
 }) {
   if (!token) return { ok: false, error: "Not authenticated" };
 
   try {
-    // Step 1: add to inventory
+    const copies = Math.min(Math.max(1, Math.floor(Number(quantity) || 1)), MAX_ADD_COPIES);
+    const outboxIds = [];
+    const noteTexts = [];
+
+    for (let i = 0; i < copies; i++) {
+      const noteText = formatNoteLocation(locationTag, position + i);
+      const outboxId = await CardDB.enqueueOutbox({
+        op: "add",
+        emid,
+        foil: foil || 0,
+        condition: condition || "NM",
+        language: language || "EN",
+        location_tag: locationTag,
+        position: position + i,
+        note_text: noteText,
+        inventory_id: null,
+        note_id: null,
+      });
+      outboxIds.push(outboxId);
+      noteTexts.push(noteText);
+    }
+
+    const newPosition = position + copies;
+    await CardDB.setState("position", newPosition);
+
+    drainOutbox();
+
+    return {
+      ok: true,
+      queued: true,
+      outboxIds,
+      noteTexts,
+      noteText: noteTexts[0],
+      newPosition,
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Undo one or more queued/sent adds, newest first.
+ *
+ * Entries that haven't reached EchoMTG yet are simply dropped from the
+ * outbox. Sent entries have their inventory item (and note) deleted via the
+ * API. The position counter is rolled back to the earliest undone position
+ * if the user is still filling the same location.
+ *
+ * Adds that can never be undone from here answer with `stale: true`, so
+ * the overlay can drop them and let earlier adds be undone.
+ *
+ * The entries are claimed (status "undoing") before any API call so a
+ * drain can't send them meanwhile. Copies are undone newest first; if one
+ * fails, the answer lists the copies that were undone (`undoneIds`) so the
+ * overlay can keep just the rest.
+ *
+ * @param {object} message
+ * @param {number[]} message.outboxIds - Outbox entry IDs from ADD_CARD.
+ */
+async function handleUndoAdd({ outboxIds }) {
+  if (!outboxIds || outboxIds.length === 0) {
+    return { ok: false, error: "Nothing to undo" };
+  }
+
+  let claimedIds = [];
+  try {
+    const entries = await CardDB.claimOutboxEntries(outboxIds);
+    claimedIds = entries.map((e) => e.id);
+
+    // A drain that read an entry before it was claimed may be sending it
+    if (claimedIds.includes(outboxActiveId)) {
+      return { ok: false, error: "Add is being sent — try again in a moment" };
+    }
+    if (entries.length < outboxIds.length) {
+      return { ok: false, stale: true, error: "Add is too old to undo" };
+    }
+    if (entries.some((e) => (e.status === "done" || e.added) && !e.inventory_id)) {
+      return { ok: false, stale: true, error: "Inventory ID unknown — remove the card on echomtg.com" };
+    }
+
+    const needsApi = entries.some((e) => e.inventory_id);
+    const t = needsApi ? await ensureToken() : null;
+    if (needsApi && !t) return { ok: false, error: "Not authenticated" };
+
+    entries.sort((a, b) => b.id - a.id);
+    const undoneIds = [];
+    let error = null;
+    for (const entry of entries) {
+      if (entry.inventory_id) {
+        try {
+          await EchoAPI.removeInventoryItem(entry.inventory_id, t);
+        } catch (err) {
+          error = err.message;
+          break;
+        }
+        if (entry.note_id) {
+          try {
+            await EchoAPI.deleteNote(entry.note_id, t);
+          } catch (noteErr) {
+            console.warn(`[sw] Note delete failed for ${entry.note_id}:`, noteErr.message);
+          }
+        }
+      }
+      await CardDB.deleteOutboxEntry(entry.id);
+      undoneIds.push(entry.id);
+    }
+
+    // Only roll back the counter if we're still on the same location
+    let position = null;
+    if (undoneIds.length > 0) {
+      const earliest = entries[undoneIds.length - 1];
+      const currentTag = await CardDB.getState("locationTag");
+      if (!currentTag || currentTag === earliest.location_tag) {
+        position = earliest.position;
+        await CardDB.setState("position", position);
+      }
+    }
+
+    if (error) return { ok: false, error, undoneIds, position };
+    return { ok: true, undone: entries.length, undoneIds, position };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  } finally {
+    // Entries not undone go back to what they were
+    if (claimedIds.length > 0) await CardDB.releaseOutboxEntries(claimedIds);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Outbox draining
+// ---------------------------------------------------------------------------
+
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_BASE_DELAY_MS = 5000;
+const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+
+let outboxDraining = false;
+let outboxTimer = null;
+/** ID of the outbox entry currently being sent, so undo can avoid racing it. */
+let outboxActiveId = null;
+
+/**
+ * Schedule the next drain for when the earliest pending entry is due.
+ * @param {object[]} pending - Pending outbox entries.
+ */
+function scheduleOutboxDrain(pending) {
+  clearTimeout(outboxTimer);
+  outboxTimer = null;
+  if (pending.length === 0) return;
+
+  const nextAt = Math.min(...pending.map((e) => e.next_attempt_at));
+  const delay = Math.max(nextAt - Date.now(), 0);
+  outboxTimer = setTimeout(drainOutbox, delay);
+}
+
+/**
+ * Send a single "add" entry to EchoMTG: add the card (unless a previous
+ * attempt already did), then attach its location note.
+ *
+ * Progress is persisted between steps so a retry never re-adds a card
+ * that EchoMTG already accepted.
+ *
+ * @param {object} entry - Outbox entry.
+ * @param {string} t - Auth token.
+ */
+async function processOutboxAdd(entry, t) {
+  let inventoryId = entry.inventory_id;
+
+  if (!inventoryId) {
     const addResult = await EchoAPI.addInventoryBatch(
-      [{ emid, quantity: 1, foil: foil || 0, condition: condition || "NM", language: language || "EN" }],
-      token
+      [{
+        emid: entry.emid,
+        quantity: 1,
+        foil: entry.foil,
+        condition: entry.condition,
+        language: entry.language,
+      }],
+      t
     );
 
-    // Step 2: extract the inventory ID from the response
     // The response shape is not fully documented; try common paths.
-    const inventoryId =
+    inventoryId =
       addResult?.items?.[0]?.echo_inventory_id ||
       addResult?.items?.[0]?.id ||
       addResult?.inventory_id ||
       addResult?.id ||
       null;
 
-    // Step 3: attach location note if we got an ID
-    const noteText = `${locationTag}p${position}`;
-    let noteOk = false;
-
-    if (inventoryId) {
-      try {
-        await EchoAPI.createNote(inventoryId, "inventory", noteText, token);
-        noteOk = true;
-      } catch (noteErr) {
-        console.warn("[sw] Note creation failed:", noteErr.message);
-        // Card was added but note failed — still report partial success
-      }
-    } else {
+    if (!inventoryId) {
+      // Card was added but we can't attach a note — retrying would add a
+      // duplicate, so park it as failed for the user to finish by hand
       console.warn(
         "[sw] Could not extract inventory ID from add response:",
         JSON.stringify(addResult)
       );
+      await CardDB.updateOutboxEntry(entry.id, {
+        status: "failed",
+        added: true,
+        last_error: `Card added, but its note (${entry.note_text}) wasn't written: EchoMTG returned no inventory ID`,
+      });
+      return;
     }
 
-    // Step 4: increment position and persist
-    const newPosition = position + 1;
-    await CardDB.setState("position", newPosition);
+    await CardDB.updateOutboxEntry(entry.id, { inventory_id: inventoryId });
+  }
 
-    return {
-      ok: true,
-      inventoryId,
-      noteOk,
-      noteText,
-      newPosition,
-    };
+  const noteResult = await EchoAPI.createNote(inventoryId, "inventory", entry.note_text, t);
+  await CardDB.setRemoteNote(inventoryId, entry.note_text);
+  const noteId = noteResult?.id || noteResult?.note_id || noteResult?.note?.id || null;
+  await CardDB.updateOutboxEntry(entry.id, {
+    status: "done",
+    note_id: noteId ? Number(noteId) : null,
+  });
+}
+
+/**
+ * Work through due outbox entries one at a time. Failures are retried with
+ * exponential back-off; after OUTBOX_MAX_ATTEMPTS the entry is marked
+ * "failed" and waits for an explicit RETRY_OUTBOX.
+ */
+async function drainOutbox() {
+  if (outboxDraining) return;
+  outboxDraining = true;
+
+  try {
+    const t = await ensureToken();
+    if (!t) return;
+
+    while (true) {
+      const now = Date.now();
+      const due = (await CardDB.getOutboxEntries("pending")).filter(
+        (e) => e.next_attempt_at <= now
+      );
+      if (due.length === 0) break;
+
+      for (const queued of due) {
+        // Re-read so entries undone since the batch was fetched are skipped
+        const entry = await CardDB.getOutboxEntry(queued.id);
+        if (!entry || entry.status !== "pending") continue;
+
+        outboxActiveId = entry.id;
+        try {
+          if (entry.op === "add") {
+            await processOutboxAdd(entry, t);
+          } else if (entry.op === "note") {
+            await setInventoryNote(entry.inventory_id, entry.note_text, t);
+            await CardDB.updateOutboxEntry(entry.id, { status: "done" });
+          } else {
+            throw new Error(`Unknown outbox op: ${entry.op}`);
+          }
+        } catch (err) {
+          const attempts = entry.attempts + 1;
+          const failed = attempts >= OUTBOX_MAX_ATTEMPTS;
+          const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+          console.warn(
+            `[sw] Outbox entry ${entry.id} failed (attempt ${attempts}/${OUTBOX_MAX_ATTEMPTS}):`,
+            err.message
+          );
+          await CardDB.updateOutboxEntry(entry.id, {
+            status: failed ? "failed" : "pending",
+            attempts,
+            last_error: err.message,
+            next_attempt_at: Date.now() + delay,
+          });
+        } finally {
+          outboxActiveId = null;
+        }
+      }
+    }
+
+    scheduleOutboxDrain(await CardDB.getOutboxEntries("pending"));
+  } catch (err) {
+    console.error("[sw] Outbox drain failed:", err);
+  } finally {
+    outboxDraining = false;
+  }
+}
+
+async function handleGetOutboxStatus() {
+  try {
+    const stats = await CardDB.getOutboxStats();
+    return { ok: true, ...stats };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function handleRetryOutbox() {
+  try {
+    const requeued = await CardDB.retryFailedOutbox();
+    const stuck = await CardDB.getOutboxEntries("failed");
+    drainOutbox();
+    return { ok: true, requeued, stuck: stuck.map((e) => e.last_error) };
   } catch (err) {
     return { ok: false, error: err.message };
   }
@@ -378,6 +694,32 @@ async function handleMigrateSearchSchema() {
   }
 }
 
+async function handleBackupDB({ skipCardCache }) {
+  try {
+    const backup = await CardDB.backupDatabase({ skipCardCache: !!skipCardCache });
+    return { ok: true, backup };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Restore a backup, then bring cached cards up to the current search
+ * schema if the backup predates it.
+ *
+ * @param {object} message - { backup }
+ */
+async function handleRestoreDB({ backup }) {
+  try {
+    const restored = await CardDB.restoreDatabase(backup);
+    await CardDB.setState(PENDING_IMPORT_KEY, null);
+    const migrated = (await CardDB.needsSearchMigration()) ? await CardDB.migrateSearchSchema() : 0;
+    return { ok: true, restored, migrated };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
 async function handleSearchSets({ query }) {
   if (!token) {
     return { ok: false, error: "Not authenticated" };
@@ -404,46 +746,76 @@ async function handleSearchSets({ query }) {
 // Check Out / Check In handlers
 // ---------------------------------------------------------------------------
 
-async function handleCheckoutCards({ inventoryIds, targetLocation, targetOffset }) {
+/**
+ * Set an inventory item's location note on EchoMTG, editing the stored
+ * note if there is one and creating it otherwise.
+ *
+ * @param {number} inventoryId - echo_inventory_id
+ * @param {string} noteText - e.g. "b5r1p12"
+ * @param {string} t - Auth token.
+ */
+async function setInventoryNote(inventoryId, noteText, t) {
+  // Get local inventory record to check for stored note_id
+  const invItem = await CardDB.getInventoryItem(inventoryId);
+  const storedNoteId = invItem?.note_id;
+
+  if (storedNoteId) {
+    // Edit existing note using stored note_id
+    console.log(`[sw] Editing note ${storedNoteId} for inventory ${inventoryId}: ${noteText}`);
+    await EchoAPI.editNote(storedNoteId, noteText, t);
+  } else {
+    // No note_id stored, create new note
+    console.log(`[sw] No note_id stored, creating for inventory ${inventoryId}: ${noteText}`);
+    const createResult = await EchoAPI.createNote(inventoryId, "inventory", noteText, t);
+
+    // Try to extract and store the new note_id from the response
+    const newNoteId = createResult?.id || createResult?.note_id || createResult?.note?.id;
+    if (newNoteId) {
+      console.log(`[sw] Storing new note_id ${newNoteId} for inventory ${inventoryId}`);
+      await CardDB.updateInventoryNoteIds([{ echo_inventory_id: inventoryId, note_id: Number(newNoteId) }]);
+    }
+  }
+
+  await CardDB.setRemoteNote(inventoryId, noteText);
+}
+
+/**
+ * Dry run of a move: the notes it would write and any slots in the way.
+ *
+ * @param {object} message - { inventoryIds, targetLocation, targetOffset,
+ *   mode: "insert" | "append" }
+ */
+async function handlePreviewCheckout({ inventoryIds, targetLocation, targetOffset, mode }) {
+  try {
+    const preview = await CardDB.previewCheckout(
+      inventoryIds, targetLocation || "Unknown", targetOffset || 1, { mode }
+    );
+    return { ok: true, ...preview };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function handleCheckoutCards({ inventoryIds, targetLocation, targetOffset, mode, deferred }) {
   try {
     const loc = targetLocation || "Unknown";
     const offset = targetOffset || 1;
 
-    const records = await CardDB.checkoutCards(inventoryIds, loc, offset);
+    const { records, placed, shifted } = await CardDB.checkoutCards(inventoryIds, loc, offset, {
+      mode,
+      deferred: !!deferred,
+    });
 
-    // Update notes on EchoMTG for each checked-out card
-    const t = await ensureToken();
-    if (t) {
-      for (const rec of records) {
-        if (rec.echo_inventory_id) {
-          const noteText = `${loc}p${rec.target_position}`;
-          try {
-            // Get local inventory record to check for stored note_id
-            const invItem = await CardDB.getInventoryItem(rec.echo_inventory_id);
-            const storedNoteId = invItem?.note_id;
-
-            if (storedNoteId) {
-              // Edit existing note using stored note_id
-              console.log(`[sw] Editing note ${storedNoteId} for inventory ${rec.echo_inventory_id}: ${noteText}`);
-              await EchoAPI.editNote(storedNoteId, noteText, t);
-            } else {
-              // No note_id stored, create new note
-              console.log(`[sw] No note_id stored, creating for inventory ${rec.echo_inventory_id}: ${noteText}`);
-              const createResult = await EchoAPI.createNote(rec.echo_inventory_id, "inventory", noteText, t);
-
-              // Try to extract and store the new note_id from the response
-              const newNoteId = createResult?.id || createResult?.note_id || createResult?.note?.id;
-              if (newNoteId) {
-                console.log(`[sw] Storing new note_id ${newNoteId} for inventory ${rec.echo_inventory_id}`);
-                await CardDB.updateInventoryNoteIds([{ echo_inventory_id: rec.echo_inventory_id, note_id: Number(newNoteId) }]);
-              }
-            }
-          } catch (noteErr) {
-            console.warn(`[sw] Note update failed for ${rec.echo_inventory_id}:`, noteErr.message);
-          }
-        }
+    // Send the notes through the outbox so failed writes are retried
+    // rather than lost: cards shifted to make room first, then the moved
+    // cards (deferred moves write theirs as items are ticked off the plan)
+    const notes = deferred ? shifted : [...shifted, ...placed];
+    for (const { echo_inventory_id, to } of notes) {
+      if (echo_inventory_id > 0) {
+        await CardDB.enqueueOutbox({ op: "note", inventory_id: echo_inventory_id, note_text: to });
       }
     }
+    if (notes.length > 0) drainOutbox();
 
     // Build and save retrieval plan
     const now = Date.now();
@@ -455,7 +827,9 @@ async function handleCheckoutCards({ inventoryIds, targetLocation, targetOffset
       created_at: now,
       expires_at: now + 30 * 24 * 60 * 60 * 1000,
       status: "active",
+      deferred: !!deferred,
       items: records.map((r) => ({
+        checkout_id: r.id,
         emid: r.emid,
         echo_inventory_id: r.echo_inventory_id,
         card_name: r.card_name,
@@ -469,16 +843,32 @@ async function handleCheckoutCards({ inventoryIds, targetLocation, targetOffset
 
     const planId = await CardDB.saveRetrievalPlan(plan);
 
-    return { ok: true, count: records.length, planId };
+    return { ok: true, count: records.length, shifted: shifted.length, planId };
   } catch (err) {
     return { ok: false, error: err.message };
   }
 }
 
+/**
+ * Return checked-out cards to the slots they were moved from, rewriting
+ * their EchoMTG notes to match through the outbox.
+ *
+ * @param {object} message - { ids: checkout record IDs in put-away order,
+ *   locationTag, position: fallback slot for cards that had no location }
+ */
 async function handleCheckinCards({ ids, locationTag, position }) {
   try {
-    const count = await CardDB.checkinCards(ids, locationTag, position);
-    return { ok: true, count };
+    const records = await CardDB.checkinCards(ids, locationTag, position);
+
+    // Items imported from other apps (negative IDs) only exist locally
+    const returned = records.filter((rec) => rec.return_location && rec.echo_inventory_id > 0);
+    for (const rec of returned) {
+      const noteText = rec.note_text || formatNoteLocation(rec.return_location, rec.return_position);
+      await CardDB.enqueueOutbox({ op: "note", inventory_id: rec.echo_inventory_id, note_text: noteText });
+    }
+    if (returned.length > 0) drainOutbox();
+
+    return { ok: true, count: records.length };
   } catch (err) {
     return { ok: false, error: err.message };
   }
@@ -507,6 +897,8 @@ async function handleGetCheckoutCards({ location }) {
       targetPosition: r.target_position,
       sourceLocation: r.source_location,
       sourcePosition: r.source_position,
+      targetSlot: formatNoteLocation(r.target_location, r.target_position),
+      sourceSlot: r.source_location ? formatNoteLocation(r.source_location, r.source_position) : null,
       checkedOutAt: r.checked_out_at,
     }));
     return { ok: true, cards };
@@ -524,6 +916,153 @@ async function handleGetCheckoutLists() {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Location compaction
+// ---------------------------------------------------------------------------
+
+async function handlePreviewCompaction({ location }) {
+  try {
+    const plan = await CardDB.previewCompaction(location);
+    return { ok: true, ...plan };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// State key for the last compaction: { location, outboxIds }
+const COMPACTION_KEY = "compaction";
+
+/**
+ * Renumber a location locally, then rewrite the changed notes on EchoMTG
+ * through the outbox. The queued entry IDs are kept so the Move panel can
+ * show how far the rewrite has got (GET_COMPACTION_STATUS).
+ *
+ * @param {object} message - { location }
+ */
+async function handleCompactLocation({ location }) {
+  try {
+    const plan = await CardDB.compactLocation(location);
+    const outboxIds = [];
+    for (const { echo_inventory_id, to } of plan.moves) {
+      if (echo_inventory_id > 0) {
+        outboxIds.push(await CardDB.enqueueOutbox({ op: "note", inventory_id: echo_inventory_id, note_text: to }));
+      }
+    }
+    await CardDB.setState(COMPACTION_KEY, { location, outboxIds });
+    if (outboxIds.length > 0) drainOutbox();
+    return { ok: true, ...plan };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Progress of the last compaction's note rewrites: { location, total,
+ * done, pending, failed }, or total 0 if there is none.
+ */
+async function handleGetCompactionStatus() {
+  try {
+    const job = await CardDB.getState(COMPACTION_KEY);
+    if (!job?.outboxIds?.length) return { ok: true, total: 0 };
+    const progress = await CardDB.getOutboxProgress(job.outboxIds);
+    return { ok: true, location: job.location, total: job.outboxIds.length, ...progress };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Location audit
+// ---------------------------------------------------------------------------
+
+async function handleAuditLocations() {
+  try {
+    const report = await CardDB.auditLocations();
+    return { ok: true, ...report };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Rewrite the notes of checked-out cards to the slots they were moved to,
+ * locally and (through the outbox) on EchoMTG.
+ *
+ * @param {object} message - { ids: checkout record IDs }
+ */
+async function handleRepairCheckoutNotes({ ids }) {
+  try {
+    const repaired = await CardDB.repairCheckoutNotes(ids || []);
+    for (const { echo_inventory_id, to } of repaired) {
+      if (echo_inventory_id > 0) {
+        await CardDB.enqueueOutbox({ op: "note", inventory_id: echo_inventory_id, note_text: to });
+      }
+    }
+    if (repaired.length > 0) drainOutbox();
+    return { ok: true, repaired: repaired.length };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function handleDismissNotFound({ ids }) {
+  try {
+    const dismissed = await CardDB.dismissNotFound(ids || []);
+    return { ok: true, dismissed };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Location note format
+// ---------------------------------------------------------------------------
+
+async function handleGetNoteFormat() {
+  try {
+    const template = await CardDB.getNoteFormat();
+    return { ok: true, template };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function handlePreviewNoteFormat({ template }) {
+  try {
+    const preview = await CardDB.previewNoteFormat(template);
+    return { ok: true, ...preview };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Switch the note format. With `rewrite`, notes in the old format are
+ * rewritten locally and queued in the outbox for EchoMTG.
+ *
+ * @param {object} message - { template, rewrite }
+ */
+async function handleSetNoteFormat({ template, rewrite }) {
+  try {
+    const { changes } = await CardDB.setNoteFormat(template, { rewrite: !!rewrite });
+    let queued = 0;
+    for (const change of changes) {
+      if (change.echo_inventory_id > 0) {
+        await CardDB.enqueueOutbox({
+          op: "note",
+          inventory_id: change.echo_inventory_id,
+          note_text: change.to,
+        });
+        queued++;
+      }
+    }
+    if (queued > 0) drainOutbox();
+    return { ok: true, template: await CardDB.getNoteFormat(), rewritten: changes.length, queued };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
 async function handleSearchInventory({ query }) {
   try {
     const cards = await CardDB.searchInventory(query);
@@ -533,10 +1072,87 @@ async function handleSearchInventory({ query }) {
   }
 }
 
+// State key for imported records waiting for the user to resolve location
+// conflicts: { records, truncated }. Kept in the state store rather than a
+// variable so the choice survives the service worker being stopped.
+const PENDING_IMPORT_KEY = "pending_import";
+
+/**
+ * Merge imported inventory records into the local store. If any notes
+ * (locations) differ from the local ones, nothing is written yet: the
+ * records are held until APPLY_INVENTORY_IMPORT says which side wins.
+ *
+ * @param {object[]} records - Inventory records (CSV or API sync).
+ * @param {object} [options]
+ * @param {boolean} [options.truncated=false] - Only part of the inventory
+ *   was fetched, so local items missing from it are kept.
+ * @returns {Promise<object>} Merge summary with applied: false when the
+ *   user still has to choose.
+ */
+async function stageInventoryImport(records, { truncated = false } = {}) {
+  const preview = await CardDB.diffInventory(records, { truncated });
+  if (preview.conflicts.length === 0) {
+    await CardDB.setState(PENDING_IMPORT_KEY, null);
+    const summary = await CardDB.mergeInventory(records, { truncated });
+    return importResult(records, summary, true, truncated);
+  }
+
+  await CardDB.setState(PENDING_IMPORT_KEY, { records, truncated });
+  return importResult(records, preview, false, truncated);
+}
+
+/** Shape a merge summary for the overlay (conflicts trimmed to a sample). */
+function importResult(records, summary, applied, truncated = false) {
+  return {
+    ok: true,
+    applied,
+    truncated,
+    count: records.length,
+    added: summary.added,
+    removed: summary.removed,
+    changed: summary.changed,
+    conflicts: summary.conflicts.length,
+    conflictSamples: summary.conflicts.slice(0, 5),
+  };
+}
+
 async function handleImportInventory({ records }) {
   try {
-    const count = await CardDB.importInventory(records);
-    return { ok: true, count };
+    // Exports from other apps have no emids; match them to cached cards
+    const unresolved = await CardDB.resolveInventoryEmids(records);
+    return { ...(await stageInventoryImport(records)), unresolved };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Apply the held import, resolving location conflicts in favour of the
+ * local notes or the imported ones.
+ *
+ * @param {object} message - { keepLocalNotes: boolean }
+ */
+async function handleApplyInventoryImport({ keepLocalNotes }) {
+  try {
+    const pending = await CardDB.getState(PENDING_IMPORT_KEY);
+    if (!pending) {
+      return { ok: false, error: "Import expired, please import again" };
+    }
+
+    const { records, truncated } = pending;
+    await CardDB.setState(PENDING_IMPORT_KEY, null);
+    const summary = await CardDB.mergeInventory(records, { keepLocalNotes: !!keepLocalNotes, truncated });
+    return importResult(records, summary, true, truncated);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/** Drop the held import without applying it. */
+async function handleCancelInventoryImport() {
+  try {
+    await CardDB.setState(PENDING_IMPORT_KEY, null);
+    return { ok: true };
   } catch (err) {
     return { ok: false, error: err.message };
   }
@@ -551,6 +1167,15 @@ async function handleGetInventoryStats() {
   }
 }
 
+async function handleGetInventoryExport({ filters }) {
+  try {
+    const items = await CardDB.getInventoryExport(filters || {});
+    return { ok: true, items };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
 async function handleClearInventory() {
   try {
     await CardDB.clearInventory();
@@ -569,29 +1194,83 @@ async function handleSearchInventoryFiltered({ query, filters }) {
   }
 }
 
-async function handleSearchInventoryByEmids({ emids, filters }) {
+/**
+ * Match a pasted decklist, or the items of an EchoMTG list, against the
+ * cards on hand and pick which copies to pull (see pickCopies). The chosen
+ * cards go through the usual CHECKOUT_CARDS flow from the Move panel.
+ *
+ * @param {{ text?: string, items?: object[], filters?: object, preferences?: object }} message -
+ *   items as returned by GET_ECHO_LIST; filters as for
+ *   SEARCH_INVENTORY_FILTERED; preferences: { order, nonFoilFirst, preferLocation }.
+ */
+async function handleResolveDecklist({ text, items, filters, preferences = {} }) {
   try {
-    const cards = await CardDB.searchInventoryByEmids(emids, filters || {});
-    return { ok: true, cards };
+    const { entries, unparsed } = items ? { entries: items, unparsed: [] } : parseDecklist(text);
+    if (entries.length === 0) {
+      return { ok: false, error: "No cards found in the decklist" };
+    }
+
+    const [available, sets, locations] = await Promise.all([
+      CardDB.getInventoryOnHand(filters || {}),
+      preferences.order === "oldest" ? setManager.loadSets() : [],
+      preferences.preferLocation ? CardDB.getLocations() : [],
+    ]);
+    const { picks, spare, missing } = pickCopies(entries, available, {
+      ...preferences,
+      locations,
+      setOrder: sets.map((set) => set.code),
+    });
+    return { ok: true, picks, spare, missing, unparsed };
   } catch (err) {
     return { ok: false, error: err.message };
   }
 }
 
+/**
+ * Locations for the Move combobox: { tag, maxPosition } plus the registry's
+ * label and capacity and the number of cards held (see
+ * CardDB.getLocationSummaries).
+ */
 async function handleGetInventoryLocations() {
   try {
-    const locMap = await CardDB.getInventoryLocations();
-    // Convert Map to array of { tag, maxPosition } for serialization
-    const locations = Array.from(locMap.entries()).map(([tag, maxPosition]) => ({
-      tag,
-      maxPosition,
-    }));
+    const locations = await CardDB.getLocationSummaries();
     return { ok: true, locations };
   } catch (err) {
     return { ok: false, error: err.message };
   }
 }
 
+async function handleGetLocations() {
+  try {
+    const locations = await CardDB.getLocations();
+    return { ok: true, locations };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * @param {object} message - { location: { tag, name, type, parent_tag,
+ *   capacity, pockets_per_page, sides, walk_order } }
+ */
+async function handleSaveLocation({ location }) {
+  try {
+    const saved = await CardDB.saveLocation(location);
+    return { ok: true, location: saved };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function handleDeleteLocation({ tag }) {
+  try {
+    await CardDB.deleteLocation(tag);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
 async function handleGetInventorySets() {
   try {
     const sets = await CardDB.getInventorySets();
@@ -669,9 +1348,72 @@ async function handleGetEchoList({ listId }) {
         }
       }
     }
-    const emids = items.map((i) => Number(i.emid || i.echo_id || i.id || 0)).filter((n) => n > 0);
+    // One entry per printing and finish; repeated rows add up. Items
+    // without a foil field take either finish.
+    const wanted = new Map();
+    for (const item of items) {
+      const emid = Number(item.emid || item.echo_id || item.id || 0);
+      if (emid <= 0) continue;
+      const foil = item.foil == null ? undefined : Number(item.foil) > 0 || item.foil === true;
+      const quantity = Number(item.quantity ?? item.qty ?? item.count) || 1;
+      const key = `${emid}|${foil}`;
+      if (wanted.has(key)) {
+        wanted.get(key).quantity += quantity;
+      } else {
+        const setCode = (item.set_code || "").toUpperCase();
+        wanted.set(key, { emid, name: item.name || `#${emid}`, set_code: setCode, quantity, foil });
+      }
+    }
+    const listItems = [...wanted.values()];
     const listName = data?.name || data?.list?.name || data?.list_name || `List ${listId}`;
-    return { ok: true, emids, listName };
+    return { ok: true, items: listItems, listName };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Create an EchoMTG list holding the cards a pick was short of.
+ *
+ * Want rows without an emid (decklist lines) are looked up in the cached
+ * sets: the printing the decklist named if it's cached, else any printing
+ * of that name. Rows that can't be found are skipped and returned by name.
+ *
+ * @param {{ name: string, wants: object[] }} message - wants from
+ *   toWantList().
+ */
+async function handleCreateWantList({ name, wants }) {
+  const t = await ensureToken();
+  if (!t) return { ok: false, error: "Not authenticated" };
+  try {
+    const rows = wants.map((w) => ({ ...w, name_lower: w.name.toLowerCase() }));
+    await CardDB.resolveInventoryEmids(rows);
+    const retries = rows.filter((r) => !r.emid && r.set_code).map((row) => ({ row, rec: { ...row, set_code: "" } }));
+    await CardDB.resolveInventoryEmids(retries.map(({ rec }) => rec));
+    for (const { row, rec } of retries) row.emid = rec.emid;
+
+    const found = rows.filter((r) => r.emid);
+    if (found.length === 0) {
+      return { ok: false, error: "None of the missing cards are in your cached sets" };
+    }
+
+    const data = await EchoAPI.createList(name, "Cards missing from a Scroll Rack pick", t);
+    const listId = data?.list_id || data?.id || data?.list?.id;
+    if (!listId) return { ok: false, error: data?.message || "EchoMTG did not return the new list" };
+
+    let added = 0;
+    const failed = [];
+    for (const row of found) {
+      try {
+        await EchoAPI.addListItem(listId, row, t);
+        added++;
+      } catch (err) {
+        console.warn(`[sw] Failed to add ${row.name} to list ${listId}:`, err.message);
+        failed.push(row.name);
+      }
+    }
+    const skipped = rows.filter((r) => !r.emid).map((r) => r.name);
+    return { ok: true, listId, added, failed, skipped };
   } catch (err) {
     return { ok: false, error: err.message };
   }
@@ -704,10 +1446,23 @@ async function handleGetRetrievalPlan({ id }) {
   }
 }
 
-async function handleUpdatePlanItem({ planId, itemIndex, checked }) {
+/**
+ * Resolve a plan item, sending any note it rewrites to EchoMTG through the
+ * outbox.
+ *
+ * @param {object} message - { planId, itemIndex, state: "retrieved" |
+ *   "not_found" | null }
+ */
+async function handleUpdatePlanItem({ planId, itemIndex, state }) {
   try {
-    await CardDB.updateRetrievalPlanItem(planId, itemIndex, checked);
-    return { ok: true };
+    const { plan, notes } = await CardDB.resolvePlanItem(planId, itemIndex, state ?? null);
+    for (const { echo_inventory_id, to } of notes) {
+      if (echo_inventory_id > 0) {
+        await CardDB.enqueueOutbox({ op: "note", inventory_id: echo_inventory_id, note_text: to });
+      }
+    }
+    if (notes.length > 0) drainOutbox();
+    return { ok: true, plan, notes: notes.length };
   } catch (err) {
     return { ok: false, error: err.message };
   }
@@ -748,6 +1503,61 @@ async function handleRefreshKnownSets() {
   }
 }
 
+const INVENTORY_PAGE_SIZE = 100;
+const INVENTORY_SYNC_LIMIT = 50000; // Safety cap on items fetched
+
+/** Progress of the running inventory sync, polled by the overlay. */
+let inventorySync = { running: false, fetched: 0 };
+
+/**
+ * Pull the full inventory from EchoMTG's /inventory/view/ API, so the Move
+ * feature doesn't depend on a CSV export. The result is merged like an
+ * import, once every page has been fetched.
+ */
+async function handleSyncInventory() {
+  const t = await ensureToken();
+  if (!t) return { ok: false, error: "Not authenticated" };
+  if (inventorySync.running) return { ok: false, error: "Sync already running" };
+
+  inventorySync = { running: true, fetched: 0 };
+
+  try {
+    const records = [];
+    let start = 0;
+
+    while (start < INVENTORY_SYNC_LIMIT) {
+      const data = await EchoAPI.getInventory(t, start, INVENTORY_PAGE_SIZE);
+      const items = data?.items || [];
+
+      for (const item of items) {
+        const rec = toInventoryRecord(item);
+        if (rec.echo_inventory_id > 0) records.push(rec);
+      }
+      inventorySync.fetched = records.length;
+
+      if (items.length < INVENTORY_PAGE_SIZE) break;
+      start += INVENTORY_PAGE_SIZE;
+    }
+
+    // Only reached without a short last page
+    const truncated = start >= INVENTORY_SYNC_LIMIT;
+    if (truncated) {
+      // Items past the cap are unknown, not gone: merge without removals
+      console.warn("[sw] Hit safety limit on inventory sync");
+    }
+
+    const located = records.filter((rec) => parseNoteLocation(rec.note).tag).length;
+    console.log(`[sw] Fetched ${records.length} inventory items (${located} with locations)`);
+
+    return { ...(await stageInventoryImport(records, { truncated })), located };
+  } catch (err) {
+    console.error("[sw] Inventory sync failed:", err);
+    return { ok: false, error: err.message };
+  } finally {
+    inventorySync = { running: false, fetched: inventorySync.fetched };
+  }
+}
+
 /**
  * Sync note_ids from EchoMTG's inventory search API.
  * Fetches inventory in batches and extracts note_id for each item.
@@ -7,6 +7,13 @@
  * Flow state machine: login → cache → ready
  */
 
+import { formatPosition, hasBinderLayout, parsePosition } from "../shared/binder-layout.js";
+import { formatFlipEstimate, formatPickPath, planPickPath } from "../shared/pick-path.js";
+import { exportInventory, exportWantList, toWantList } from "../shared/exporters.js";
+import { DEFAULT_NOTE_FORMAT, compileNoteFormat, formatNote } from "../shared/note-format.js";
+import { parseInventoryCSV } from "../shared/importers.js";
+import { compareCollectorNumbers, parseQuantityPrefix } from "../shared/search-utils.js";
+
 // ---------------------------------------------------------------------------
 // Shadow DOM setup
 // ---------------------------------------------------------------------------
@@ -138,6 +145,36 @@ function buildUI() {
               <span class="logged-in-user" id="logged-in-user"></span>
               <button class="btn btn-sm btn-danger" id="logout-btn">Logout</button>
             </div>
+            <!-- Backup / restore of all local data -->
+            <div class="backup-row">
+              <button class="btn btn-sm" id="backup-btn" title="Download inventory, locations, checkouts, plans and settings">Backup</button>
+              <label class="btn btn-sm" id="restore-label" title="Replace local data with a backup file">
+                Restore
+                <input type="file" accept=".json" id="restore-file" style="display:none">
+              </label>
+              <label class="checkout-checkbox-label" title="Cached sets can be downloaded again, so backups are much smaller without them">
+                <input type="checkbox" id="backup-skip-cache" checked> Skip card cache
+              </label>
+            </div>
+            <!-- How locations are written into EchoMTG notes -->
+            <div class="backup-row">
+              <label>Notes</label>
+              <input class="location-input note-format-input" id="note-format-input" type="text" placeholder="{tag}p{pos}"
+                     title="{tag} is the location, {pos} the position ({pos:3} pads it to 3 digits)">
+              <button class="btn btn-sm" id="note-format-save-btn">Save</button>
+              <label class="checkout-checkbox-label" title="Rewrite notes in the current format into the new one; off if your notes already use it">
+                <input type="checkbox" id="note-format-rewrite" checked> Rewrite notes
+              </label>
+            </div>
+            <div class="checkout-import-status" id="note-format-example"></div>
+            <div class="checkout-merge-bar hidden" id="note-format-bar">
+              <div class="checkout-merge-text" id="note-format-text"></div>
+              <div class="checkout-preview-list" id="note-format-list"></div>
+              <div class="checkout-merge-actions">
+                <button class="btn btn-sm" id="note-format-confirm-btn">Rewrite</button>
+                <button class="btn btn-sm" id="note-format-cancel-btn">Cancel</button>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -191,11 +228,27 @@ function buildUI() {
               <input class="location-input" id="loc-input" type="text" placeholder="tag">
               <label>Pos</label>
               <input class="position-value" id="pos-input" type="number" min="1" value="1">
+              <input class="location-input binder-position-input hidden" id="pos-binder-input" type="text"
+                     title="Page and slot, e.g. 3/2b or page 3, slot 2 (back); a plain number is a linear position">
               <label>Div</label>
               <input class="divider-input" id="div-input" type="number" min="0" value="50"
                      title="Insert divider every N cards (0 = off)">
             </div>
 
+            <div class="options-bar">
+              <label>Qty</label>
+              <input class="divider-input" id="qty-input" type="number" min="1" max="99" value="1"
+                     title="Copies to add (or type e.g. 4x before the card name)">
+              <label>Cond</label>
+              <select class="option-select" id="cond-select">
+                <option value="NM">NM</option>
+                <option value="LP">LP</option>
+                <option value="MP">MP</option>
+                <option value="HP">HP</option>
+                <option value="DMG">DMG</option>
+              </select>
+            </div>
+
             <div class="checkout-search-filters" id="add-card-filters">
               <div class="filter-multi" id="add-filter-version-wrap">
                 <button class="filter-multi-btn" id="add-filter-version-btn">Version</button>
@@ -244,7 +297,7 @@ function buildUI() {
 
             <div class="search-container">
               <input class="search-input" id="search-input" type="text"
-                     placeholder="Type card name to search...">
+                     placeholder="Card name, or set + number (mh3 241)...">
             </div>
 
             <div class="results-list hidden" id="results-list"></div>
@@ -268,23 +321,44 @@ function buildUI() {
                   Import CSV
                   <input type="file" accept=".csv" id="checkout-import-file" style="display:none">
                 </label>
+                <button class="btn btn-sm" id="checkout-sync-inv-btn" title="Load your full inventory from EchoMTG">Sync from EchoMTG</button>
                 <button class="btn btn-sm hidden" id="checkout-sync-notes-btn" title="Sync note IDs from EchoMTG">Sync Notes</button>
                 <span class="checkout-import-status" id="checkout-import-status">No inventory loaded</span>
                 <button class="btn btn-sm btn-danger hidden" id="checkout-clear-inv-btn">Clear</button>
               </div>
+              <div class="checkout-import-row hidden" id="checkout-export-row">
+                <select class="option-select" id="checkout-export-format">
+                  <option value="csv">CSV</option>
+                  <option value="json">JSON</option>
+                </select>
+                <label class="checkout-checkbox-label" title="Only export cards matching the Version, Set and Language filters">
+                  <input type="checkbox" id="checkout-export-filtered"> Current filters only
+                </label>
+                <button class="btn btn-sm" id="checkout-export-btn" title="Download your inventory with locations and checkout status">Export</button>
+              </div>
+              <div class="checkout-merge-bar hidden" id="checkout-merge-bar">
+                <div class="checkout-merge-text" id="checkout-merge-text"></div>
+                <div class="checkout-merge-actions">
+                  <button class="btn btn-sm" id="checkout-merge-local-btn">Keep my locations</button>
+                  <button class="btn btn-sm" id="checkout-merge-incoming-btn">Use imported</button>
+                  <button class="btn btn-sm" id="checkout-merge-cancel-btn">Cancel</button>
+                </div>
+              </div>
             </div>
 
             <!-- Search mode tabs -->
             <div class="checkout-tabs">
               <button class="tab-btn active" id="checkout-tab-name">By Name</button>
               <button class="tab-btn" id="checkout-tab-list">By List</button>
+              <button class="tab-btn" id="checkout-tab-deck">By Deck</button>
             </div>
 
             <!-- By Name mode -->
             <div id="checkout-mode-name">
               <div class="search-container">
                 <input class="search-input" id="checkout-search-input" type="text"
-                       placeholder="Search your inventory..." disabled>
+                       placeholder="Search your inventory (s:mh3 r:m loc:b5)..."
+                       title="Filters: s:set r:rarity t:type lang:xx is:foil loc:tag cn>N — prefix with - to exclude" disabled>
               </div>
             </div>
 
@@ -298,6 +372,24 @@ function buildUI() {
               </div>
             </div>
 
+            <!-- By Deck mode: paste a decklist, pick the copies to pull -->
+            <div id="checkout-mode-deck" class="hidden">
+              <textarea class="search-input deck-paste" id="checkout-deck-text"
+                        placeholder="4 Lightning Bolt&#10;4 Counterspell (DMR) 45&#10;SB: 2 Pyroblast"></textarea>
+              <div class="checkout-list-load-row">
+                <select class="option-select" id="checkout-deck-order" title="Which copies to pull first">
+                  <option value="cheapest">Cheapest first</option>
+                  <option value="oldest">Oldest set first</option>
+                </select>
+                <label class="checkout-checkbox-label" title="Pull regular copies before foils">
+                  <input type="checkbox" id="checkout-deck-nonfoil"> Non-foil first
+                </label>
+                <input class="location-input" id="checkout-deck-location" type="text"
+                       placeholder="from box" title="Pull copies from this location, or the locations inside it, first (e.g. b5)">
+                <button class="btn btn-sm" id="checkout-deck-resolve-btn">Pick Cards</button>
+              </div>
+            </div>
+
             <!-- Filters (multi-select dropdowns) -->
             <div class="checkout-search-filters">
               <div class="filter-multi" id="filter-version-wrap">
@@ -331,7 +423,18 @@ function buildUI() {
               </div>
             </div>
 
-            <!-- Shared card results -->
+            <!-- Shared card results; list and deck picks report shortfalls above -->
+            <div class="checkout-pick-report hidden" id="checkout-pick-report"></div>
+            <div class="checkout-list-load-row hidden" id="checkout-want-row">
+              <input class="location-input checkout-want-name" id="checkout-want-name" type="text"
+                     placeholder="List name" title="Name for the EchoMTG list">
+              <select class="option-select" id="checkout-want-format">
+                <option value="text">Text</option>
+                <option value="csv">CSV</option>
+              </select>
+              <button class="btn btn-sm" id="checkout-want-export-btn" title="Download the missing cards for a buying site">Export Missing</button>
+              <button class="btn btn-sm" id="checkout-want-list-btn" title="Create an EchoMTG list of the missing cards">Create List</button>
+            </div>
             <div class="checkout-card-list" id="checkout-search-cards"></div>
 
             <!-- Location checkout -->
@@ -349,12 +452,131 @@ function buildUI() {
                 <input class="position-value" id="checkout-offset-input" type="number" min="1" value="1">
                 <span class="checkout-offset-hint" id="checkout-offset-hint"></span>
               </div>
+              <div class="checkout-offset-row">
+                <label>If taken</label>
+                <select class="option-select" id="checkout-mode-select"
+                        title="What to do when cards already sit at or after the starting offset">
+                  <option value="append">Refuse (append only)</option>
+                  <option value="insert">Insert, shift others down</option>
+                </select>
+              </div>
+              <label class="checkout-checkbox-label" title="Keep the old notes until each card is ticked off the retrieval plan">
+                <input type="checkbox" id="checkout-defer-cb"> Update notes when retrieved
+              </label>
+            </div>
+
+            <!-- Dry-run preview of the notes a move will write -->
+            <div class="checkout-merge-bar hidden" id="checkout-preview-bar">
+              <div class="checkout-merge-text" id="checkout-preview-text"></div>
+              <div class="checkout-preview-list" id="checkout-preview-list"></div>
+              <div class="checkout-merge-actions">
+                <button class="btn btn-sm" id="checkout-preview-confirm-btn">Move</button>
+                <button class="btn btn-sm" id="checkout-preview-cancel-btn">Cancel</button>
+              </div>
             </div>
 
             <!-- Move button -->
             <div class="checkout-actions">
+              <button class="btn btn-sm" id="checkout-preview-btn" disabled>Preview</button>
               <button class="btn btn-primary btn-sm" id="checkout-search-btn" disabled>Move (0)</button>
             </div>
+
+            <!-- Compact a location: close the gaps left by pulled cards -->
+            <div class="checkout-compact">
+              <div class="checkout-import-row">
+                <input class="location-input" id="compact-location-input" type="text" placeholder="tag">
+                <button class="btn btn-sm" id="compact-preview-btn" title="Renumber a location's cards 1, 2, 3... with no gaps">Compact location</button>
+              </div>
+              <div class="checkout-import-row hidden" id="compact-progress">
+                <span class="checkout-import-status" id="compact-status"></span>
+                <button class="btn btn-sm hidden" id="compact-retry-btn">Retry failed</button>
+              </div>
+              <div class="checkout-merge-bar hidden" id="compact-bar">
+                <div class="checkout-merge-text" id="compact-text"></div>
+                <div class="checkout-preview-list" id="compact-list"></div>
+                <div class="checkout-merge-actions">
+                  <button class="btn btn-sm" id="compact-confirm-btn">Renumber</button>
+                  <button class="btn btn-sm" id="compact-cancel-btn">Cancel</button>
+                </div>
+              </div>
+            </div>
+
+            <!-- Location audit: shared slots, gaps and notes that don't parse -->
+            <div class="location-audit">
+              <div class="checkout-import-row">
+                <button class="btn btn-sm" id="audit-btn"
+                        title="Check notes for shared slots, gaps, unreadable notes and moved cards whose notes changed">Audit locations</button>
+                <span class="checkout-import-status" id="audit-status"></span>
+              </div>
+              <div class="hidden" id="audit-report"></div>
+            </div>
+
+            <!-- Location registry: names, nesting and capacity for tags -->
+            <div class="location-registry">
+              <div class="checkout-import-row">
+                <input class="location-input" id="registry-tag-input" type="text" placeholder="tag">
+                <input class="location-input" id="registry-name-input" type="text" placeholder="Name, e.g. Row 1">
+                <button class="btn btn-sm" id="registry-save-btn">Save location</button>
+              </div>
+              <div class="checkout-import-row">
+                <select class="option-select" id="registry-type-select" title="Kind of location">
+                  <option value="room">Room</option>
+                  <option value="shelf">Shelf</option>
+                  <option value="box" selected>Box</option>
+                  <option value="row">Row</option>
+                  <option value="binder">Binder</option>
+                  <option value="deck">Deck</option>
+                </select>
+                <select class="option-select" id="registry-parent-select" title="Location this one sits in"></select>
+                <input class="position-value" id="registry-capacity-input" type="number" min="1" placeholder="Capacity"
+                       title="Cards it holds; moves past this are flagged">
+                <input class="position-value" id="registry-order-input" type="number" min="1" placeholder="Order"
+                       title="Walk order among the locations in the same parent; retrieval plans visit lower numbers first">
+              </div>
+              <div class="checkout-import-row hidden" id="registry-binder-row">
+                <label>Pockets/page</label>
+                <input class="position-value" id="registry-pockets-input" type="number" min="1" placeholder="9"
+                       title="Positions here are shown as page and slot; notes keep the linear position">
+                <select class="option-select" id="registry-sides-select">
+                  <option value="2">Front and back</option>
+                  <option value="1">Front only</option>
+                </select>
+              </div>
+              <div id="registry-list"></div>
+            </div>
+          </div>
+        </div>
+
+        <!-- === Return accordion === -->
+        <div class="accordion-section disabled" id="acc-return">
+          <div class="accordion-header" id="acc-return-hdr">
+            <div class="accordion-header-left">
+              <span class="accordion-chevron">▶</span>
+              <span class="accordion-title">Return</span>
+            </div>
+            <span class="accordion-status" id="acc-return-status"></span>
+          </div>
+          <div class="accordion-body" id="acc-return-body">
+            <!-- Checkout group list view -->
+            <div id="return-groups-view">
+              <div class="checkin-group-list" id="return-group-list"></div>
+              <div class="checkin-empty hidden" id="return-empty">No cards are checked out.</div>
+            </div>
+            <!-- Put-away plan view -->
+            <div id="return-detail-view" class="hidden">
+              <div class="checkin-back-link" id="return-back-btn">← Back to groups</div>
+              <div class="checkin-detail-header" id="return-detail-header"></div>
+              <div class="checkin-return-bar hidden" id="return-fallback-bar">
+                <label>Unlocated to</label>
+                <input class="location-input" id="return-fallback-location" type="text" placeholder="tag">
+                <label>from p</label>
+                <input class="position-value" id="return-fallback-position" type="number" min="1" value="1">
+              </div>
+              <div class="checkin-card-list" id="return-card-list"></div>
+              <div class="checkin-actions">
+                <button class="btn btn-primary btn-sm" id="return-confirm-btn" disabled>Return (0)</button>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -389,6 +611,8 @@ function buildUI() {
 
       <div class="status-bar">
         <span class="status-message info" id="status-msg">Ready</span>
+        <span class="outbox-status hidden" id="outbox-status" title="Queued EchoMTG writes"></span>
+        <button class="btn btn-sm undo-btn hidden" id="undo-btn" title="Undo last add (Ctrl+Z)">Undo</button>
         <span class="session-count">Session: <strong id="session-count">0</strong></span>
       </div>
     </div>
@@ -431,6 +655,18 @@ const loginBtn = $("#login-btn");
 const loggedInInfo = $("#logged-in-info");
 const loggedInUser = $("#logged-in-user");
 const logoutBtn = $("#logout-btn");
+const backupBtn = $("#backup-btn");
+const backupSkipCache = $("#backup-skip-cache");
+const restoreFile = $("#restore-file");
+const noteFormatInput = $("#note-format-input");
+const noteFormatSaveBtn = $("#note-format-save-btn");
+const noteFormatRewrite = $("#note-format-rewrite");
+const noteFormatExample = $("#note-format-example");
+const noteFormatBar = $("#note-format-bar");
+const noteFormatText = $("#note-format-text");
+const noteFormatList = $("#note-format-list");
+const noteFormatConfirmBtn = $("#note-format-confirm-btn");
+const noteFormatCancelBtn = $("#note-format-cancel-btn");
 
 // Cache elements
 const setFilterInput = $("#set-filter-input");
@@ -450,7 +686,10 @@ const clearAllBtn = $("#clear-all-btn");
 // Inventory elements
 const locInput = $("#loc-input");
 const posInput = $("#pos-input");
+const posBinderInput = $("#pos-binder-input");
 const divInput = $("#div-input");
+const qtyInput = $("#qty-input");
+const condSelect = $("#cond-select");
 const addFilterVersionBtn = $("#add-filter-version-btn");
 const addFilterVersionMenu = $("#add-filter-version-menu");
 const addFilterVersionWrap = $("#add-filter-version-wrap");
@@ -465,14 +704,26 @@ const dividerAlertText = $("#divider-alert-text");
 const searchInput = $("#search-input");
 const resultsList = $("#results-list");
 const statusMsg = $("#status-msg");
+const outboxStatusEl = $("#outbox-status");
+const undoBtn = $("#undo-btn");
 const sessionCountEl = $("#session-count");
 
 // Checkout elements
 const checkoutImportFile = $("#checkout-import-file");
 const checkoutImportLabel = $("#checkout-import-label");
 const checkoutImportStatus = $("#checkout-import-status");
+const checkoutSyncInvBtn = $("#checkout-sync-inv-btn");
+const checkoutMergeBar = $("#checkout-merge-bar");
+const checkoutMergeText = $("#checkout-merge-text");
+const checkoutMergeLocalBtn = $("#checkout-merge-local-btn");
+const checkoutMergeIncomingBtn = $("#checkout-merge-incoming-btn");
+const checkoutMergeCancelBtn = $("#checkout-merge-cancel-btn");
 const checkoutClearInvBtn = $("#checkout-clear-inv-btn");
 const checkoutSyncNotesBtn = $("#checkout-sync-notes-btn");
+const checkoutExportRow = $("#checkout-export-row");
+const checkoutExportFormat = $("#checkout-export-format");
+const checkoutExportFiltered = $("#checkout-export-filtered");
+const checkoutExportBtn = $("#checkout-export-btn");
 const checkoutSearchInput = $("#checkout-search-input");
 const checkoutSearchCards = $("#checkout-search-cards");
 const checkoutSearchBtn = $("#checkout-search-btn");
@@ -480,6 +731,19 @@ const checkoutTabName = $("#checkout-tab-name");
 const checkoutTabList = $("#checkout-tab-list");
 const checkoutModeName = $("#checkout-mode-name");
 const checkoutModeList = $("#checkout-mode-list");
+const checkoutTabDeck = $("#checkout-tab-deck");
+const checkoutModeDeck = $("#checkout-mode-deck");
+const checkoutDeckText = $("#checkout-deck-text");
+const checkoutDeckOrder = $("#checkout-deck-order");
+const checkoutDeckNonFoil = $("#checkout-deck-nonfoil");
+const checkoutDeckLocation = $("#checkout-deck-location");
+const checkoutDeckResolveBtn = $("#checkout-deck-resolve-btn");
+const checkoutPickReport = $("#checkout-pick-report");
+const checkoutWantRow = $("#checkout-want-row");
+const checkoutWantName = $("#checkout-want-name");
+const checkoutWantFormat = $("#checkout-want-format");
+const checkoutWantExportBtn = $("#checkout-want-export-btn");
+const checkoutWantListBtn = $("#checkout-want-list-btn");
 const checkoutEchoListSelect = $("#checkout-echo-list-select");
 const checkoutLoadListBtn = $("#checkout-load-list-btn");
 const filterVersionBtn = $("#filter-version-btn");
@@ -495,6 +759,54 @@ const checkoutLocationInput = $("#checkout-location-input");
 const checkoutLocationList = $("#checkout-location-list");
 const checkoutOffsetInput = $("#checkout-offset-input");
 const checkoutOffsetHint = $("#checkout-offset-hint");
+const checkoutModeSelect = $("#checkout-mode-select");
+const checkoutDeferCb = $("#checkout-defer-cb");
+const checkoutPreviewBar = $("#checkout-preview-bar");
+const checkoutPreviewText = $("#checkout-preview-text");
+const checkoutPreviewList = $("#checkout-preview-list");
+const checkoutPreviewConfirmBtn = $("#checkout-preview-confirm-btn");
+const checkoutPreviewCancelBtn = $("#checkout-preview-cancel-btn");
+const checkoutPreviewBtn = $("#checkout-preview-btn");
+const compactLocationInput = $("#compact-location-input");
+const compactPreviewBtn = $("#compact-preview-btn");
+const compactProgress = $("#compact-progress");
+const compactStatus = $("#compact-status");
+const compactRetryBtn = $("#compact-retry-btn");
+const compactBar = $("#compact-bar");
+const compactText = $("#compact-text");
+const compactList = $("#compact-list");
+const compactConfirmBtn = $("#compact-confirm-btn");
+const compactCancelBtn = $("#compact-cancel-btn");
+const auditBtn = $("#audit-btn");
+const auditStatus = $("#audit-status");
+const auditReport = $("#audit-report");
+const registryTagInput = $("#registry-tag-input");
+const registryNameInput = $("#registry-name-input");
+const registrySaveBtn = $("#registry-save-btn");
+const registryTypeSelect = $("#registry-type-select");
+const registryParentSelect = $("#registry-parent-select");
+const registryCapacityInput = $("#registry-capacity-input");
+const registryOrderInput = $("#registry-order-input");
+const registryBinderRow = $("#registry-binder-row");
+const registryPocketsInput = $("#registry-pockets-input");
+const registrySidesSelect = $("#registry-sides-select");
+const registryList = $("#registry-list");
+
+// Return elements
+const accReturn = $("#acc-return");
+const accReturnHdr = $("#acc-return-hdr");
+const accReturnStatus = $("#acc-return-status");
+const returnGroupsView = $("#return-groups-view");
+const returnGroupList = $("#return-group-list");
+const returnEmpty = $("#return-empty");
+const returnDetailView = $("#return-detail-view");
+const returnBackBtn = $("#return-back-btn");
+const returnDetailHeader = $("#return-detail-header");
+const returnFallbackBar = $("#return-fallback-bar");
+const returnFallbackLocation = $("#return-fallback-location");
+const returnFallbackPosition = $("#return-fallback-position");
+const returnCardList = $("#return-card-list");
+const returnConfirmBtn = $("#return-confirm-btn");
 
 // Plans elements
 const accPlans = $("#acc-plans");
@@ -523,14 +835,21 @@ let sessionCount = 0;
 let debounceTimer = null;
 let hasAuth = false;
 let hasCachedSets = false;
-let checkoutMode = "name"; // "name" | "list"
-let inventoryLocations = []; // cached { tag, maxPosition } array
+let checkoutMode = "name"; // "name" | "list" | "deck"
+let shortfall = []; // Want list from the last list or deck pick (see toWantList)
+let inventoryLocations = []; // cached location summaries (tag, label, count, capacity, maxPosition)
 let currentPlanId = null;
+let currentReturnGroup = null;
 let defaultCondition = "NM";
 let currentPhase = PHASE_LOGIN;
 let echoUser = null;
 let cachedSetsMap = new Map(); // code → { set_name, card_count, cached_at }
 let cacheCancelled = false;
+let outboxPollTimer = null;
+let undoStack = []; // session adds, newest last: { outboxIds, name, noteText }
+let isUndoing = false;
+let overfillAllowed = ""; // "tag|last position" of an add past capacity the user confirmed
+let savedNoteFormat = compileNoteFormat(DEFAULT_NOTE_FORMAT); // the saved location note format
 
 // ---------------------------------------------------------------------------
 // Accordion helpers
@@ -582,6 +901,14 @@ accCheckoutHdr.addEventListener("click", () => {
   }
 });
 
+accReturnHdr.addEventListener("click", () => {
+  if (!accReturn.classList.contains("disabled")) {
+    toggleAccordion(accReturn);
+    if (accReturn.classList.contains("open")) {
+      loadReturnGroups();
+    }
+  }
+});
 
 accPlansHdr.addEventListener("click", () => {
   if (!accPlans.classList.contains("disabled")) {
@@ -609,6 +936,7 @@ function applyPhase() {
       disableSection(accCache);
       disableSection(accAddCards);
       disableSection(accCheckout);
+      disableSection(accReturn);
       disableSection(accPlans);
       searchInput.disabled = true;
       accAccountStatus.textContent = "";
@@ -623,6 +951,7 @@ function applyPhase() {
       openAccordion(accCache);
       disableSection(accAddCards);
       disableSection(accCheckout);
+      disableSection(accReturn);
       disableSection(accPlans);
       searchInput.disabled = true;
       accAccountStatus.textContent = "✓ " + (echoUser || "Logged in");
@@ -636,6 +965,7 @@ function applyPhase() {
       enableSection(accCache);
       enableSection(accAddCards);
       enableSection(accCheckout);
+      enableSection(accReturn);
       enableSection(accPlans);
       openAccordion(accAddCards);
       searchInput.disabled = false;
@@ -673,6 +1003,7 @@ async function expand() {
   panel.classList.remove("hidden");
   tab.classList.add("hidden");
   await refreshState();
+  refreshOutboxStatus();
   if (currentPhase === PHASE_READY) {
     searchInput.focus();
   } else if (currentPhase === PHASE_LOGIN) {
@@ -761,6 +1092,135 @@ function showLoggedOutUI() {
   loginError.classList.add("hidden");
 }
 
+// --- Backup / restore ---
+
+backupBtn.addEventListener("click", async () => {
+  backupBtn.disabled = true;
+  statusMsg.textContent = "Creating backup...";
+  statusMsg.className = "status-message pending";
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "BACKUP_DB", skipCardCache: backupSkipCache.checked });
+    if (result?.ok) {
+      const date = new Date(result.backup.created_at).toISOString().slice(0, 10);
+      downloadFile(JSON.stringify(result.backup), `scroll-rack-backup-${date}.json`, "application/json");
+      statusMsg.textContent = `Backup saved (${(result.backup.stores.inventory?.length || 0).toLocaleString()} inventory cards)`;
+      statusMsg.className = "status-message";
+    } else {
+      statusMsg.textContent = `Backup failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+    }
+  } catch (err) {
+    statusMsg.textContent = `Backup error: ${err.message}`;
+    statusMsg.className = "status-message error";
+  }
+
+  backupBtn.disabled = false;
+});
+
+restoreFile.addEventListener("change", async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  // Reset so the same file can be re-selected
+  restoreFile.value = "";
+
+  statusMsg.textContent = "Restoring backup...";
+  statusMsg.className = "status-message pending";
+
+  try {
+    const backup = JSON.parse(await file.text());
+    const result = await chrome.runtime.sendMessage({ type: "RESTORE_DB", backup });
+    if (result?.ok) {
+      await loadState();
+      await loadCheckoutData();
+      refreshOutboxStatus();
+      const total = Object.values(result.restored).reduce((sum, n) => sum + n, 0);
+      statusMsg.textContent = `Restored ${total.toLocaleString()} records from backup`;
+      statusMsg.className = "status-message";
+    } else {
+      statusMsg.textContent = `Restore failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+    }
+  } catch (err) {
+    statusMsg.textContent = `Restore error: ${err.message}`;
+    statusMsg.className = "status-message error";
+  }
+});
+
+// --- Location note format ---
+
+/** Show how a location would be written with the typed template. */
+function showNoteFormatExample() {
+  try {
+    const format = compileNoteFormat(noteFormatInput.value || noteFormatInput.placeholder);
+    noteFormatExample.textContent = `e.g. ${formatNote("b5r1", 12, "", format)}`;
+    noteFormatExample.classList.remove("error");
+    return true;
+  } catch (err) {
+    noteFormatExample.textContent = err.message;
+    noteFormatExample.classList.add("error");
+    return false;
+  }
+}
+
+async function saveNoteFormat(template, rewrite) {
+  noteFormatBar.classList.add("hidden");
+  const result = await chrome.runtime.sendMessage({ type: "SET_NOTE_FORMAT", template, rewrite });
+  if (!result?.ok) {
+    statusMsg.textContent = `Note format not saved: ${result?.error || "unknown"}`;
+    statusMsg.className = "status-message error";
+    return;
+  }
+
+  noteFormatInput.value = result.template;
+  savedNoteFormat = compileNoteFormat(result.template);
+  statusMsg.textContent = rewrite
+    ? `Note format saved; ${result.rewritten.toLocaleString()} notes rewritten`
+    : "Note format saved";
+  statusMsg.className = "status-message";
+  if (result.queued) refreshOutboxStatus();
+  await loadCheckoutData();
+}
+
+noteFormatInput.addEventListener("input", showNoteFormatExample);
+
+noteFormatSaveBtn.addEventListener("click", async () => {
+  if (!showNoteFormatExample()) return;
+  const template = noteFormatInput.value || noteFormatInput.placeholder;
+  if (!noteFormatRewrite.checked) {
+    await saveNoteFormat(template, false);
+    return;
+  }
+
+  const preview = await chrome.runtime.sendMessage({ type: "PREVIEW_NOTE_FORMAT", template });
+  if (!preview?.ok) {
+    statusMsg.textContent = `Note format not saved: ${preview?.error || "unknown"}`;
+    statusMsg.className = "status-message error";
+    return;
+  }
+  if (preview.changes.length === 0) {
+    await saveNoteFormat(template, false);
+    return;
+  }
+
+  const untouched = preview.unparsed > 0 ? ` (${preview.unparsed.toLocaleString()} without a location are left alone)` : "";
+  noteFormatText.innerHTML = `<strong>${preview.changes.length.toLocaleString()}</strong> notes will be rewritten${untouched}:`;
+  noteFormatList.innerHTML = preview.changes
+    .slice(0, 100)
+    .map((c) => `<div>${escapeHtml(c.from)} → ${escapeHtml(c.to)}</div>`)
+    .join("") + (preview.changes.length > 100 ? `<div>…and ${preview.changes.length - 100} more</div>` : "");
+  noteFormatBar.dataset.template = template;
+  noteFormatBar.classList.remove("hidden");
+});
+
+noteFormatConfirmBtn.addEventListener("click", () => {
+  saveNoteFormat(noteFormatBar.dataset.template, true);
+});
+
+noteFormatCancelBtn.addEventListener("click", () => {
+  noteFormatBar.classList.add("hidden");
+});
+
 // ---------------------------------------------------------------------------
 // Set list rendering
 // ---------------------------------------------------------------------------
@@ -1022,14 +1482,29 @@ clearAllBtn.addEventListener("click", async () => {
 locInput.addEventListener("change", () => {
   chrome.runtime.sendMessage({ type: "SET_STATE", key: "locationTag", value: locInput.value });
 });
+locInput.addEventListener("input", () => {
+  syncBinderPosition();
+});
 posInput.addEventListener("change", () => {
   chrome.runtime.sendMessage({ type: "SET_STATE", key: "position", value: Number(posInput.value) });
   checkDividerAlert();
 });
+posBinderInput.addEventListener("change", () => {
+  const position = parsePosition(posBinderInput.value, addCardLayout());
+  posBinderInput.classList.toggle("error", position == null);
+  if (position == null) return;
+  posInput.value = position;
+  posInput.dispatchEvent(new Event("change"));
+  syncBinderPosition();
+});
 divInput.addEventListener("change", () => {
   chrome.runtime.sendMessage({ type: "SET_STATE", key: "dividerEvery", value: Number(divInput.value) });
   checkDividerAlert();
 });
+condSelect.addEventListener("change", () => {
+  defaultCondition = condSelect.value;
+  chrome.runtime.sendMessage({ type: "SET_STATE", key: "defaultCondition", value: defaultCondition });
+});
 // ---------------------------------------------------------------------------
 // Initialisation — load persisted state & determine phase
 // ---------------------------------------------------------------------------
@@ -1049,6 +1524,21 @@ async function loadState() {
     // Check cached sets
     await refreshCachedSets();
 
+    // Re-index cached cards if the search fields changed since they were cached
+    const migration = await chrome.runtime.sendMessage({ type: "GET_SEARCH_MIGRATION_STATUS" });
+    if (migration?.ok && migration.needsMigration) {
+      statusMsg.textContent = "Updating search index…";
+      statusMsg.className = "status-message pending";
+      const migrated = await chrome.runtime.sendMessage({ type: "MIGRATE_SEARCH_SCHEMA" });
+      if (migrated?.ok) {
+        statusMsg.textContent = `Search index updated (${migrated.migrated.toLocaleString()} cards)`;
+        statusMsg.className = "status-message";
+      } else {
+        statusMsg.textContent = `Search index update failed: ${migrated?.error || "unknown"}`;
+        statusMsg.className = "status-message error";
+      }
+    }
+
     // Load persisted state
     const stateResult = await chrome.runtime.sendMessage({
       type: "GET_STATE",
@@ -1066,6 +1556,7 @@ async function loadState() {
       if (v.position != null) posInput.value = v.position;
       if (v.dividerEvery != null) divInput.value = v.dividerEvery;
       if (v.defaultCondition) defaultCondition = v.defaultCondition;
+      condSelect.value = defaultCondition;
     }
   } catch (err) {
     console.error("[overlay] Failed to load state:", err);
@@ -1101,6 +1592,16 @@ async function loadState() {
     // Ignore — cleanup happens server-side
   }
 
+  // Location layouts, so binder positions can be shown as page/slot
+  await populateCheckoutLocations();
+
+  const noteFormat = await chrome.runtime.sendMessage({ type: "GET_NOTE_FORMAT" }).catch(() => null);
+  if (noteFormat?.ok) {
+    noteFormatInput.value = noteFormat.template;
+    savedNoteFormat = compileNoteFormat(noteFormat.template);
+    showNoteFormatExample();
+  }
+
   // Set initial phase
   setPhase(determinePhase());
   checkDividerAlert();
@@ -1132,6 +1633,30 @@ async function refreshState() {
   setPhase(determinePhase());
 }
 
+// ---------------------------------------------------------------------------
+// Binder positions
+// ---------------------------------------------------------------------------
+
+/** Page layout of the Add Cards location, or null for linear positions. */
+function addCardLayout() {
+  const loc = findInventoryLocation(locInput.value);
+  return hasBinderLayout(loc) ? loc : null;
+}
+
+/**
+ * Show the Add Cards position as page/slot when the location is a binder.
+ * The numeric input stays the source of truth and is what gets saved.
+ */
+function syncBinderPosition() {
+  const layout = addCardLayout();
+  posInput.classList.toggle("hidden", !!layout);
+  posBinderInput.classList.toggle("hidden", !layout);
+  if (layout && shadow.activeElement !== posBinderInput) {
+    posBinderInput.value = formatPosition(Number(posInput.value) || 1, layout);
+    posBinderInput.classList.remove("error");
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Divider alert
 // ---------------------------------------------------------------------------
@@ -1141,8 +1666,10 @@ function checkDividerAlert() {
   const divEvery = Number(divInput.value) || 0;
 
   if (divEvery > 0 && pos > 1 && (pos - 1) % divEvery === 0) {
+    const layout = addCardLayout();
+    const where = layout ? `, before ${formatPosition(pos, layout)}` : "";
     dividerAlertText.innerHTML =
-      `<strong>Insert a divider</strong> — ${pos - 1} cards added (every ${divEvery})`;
+      `<strong>Insert a divider</strong> — ${pos - 1} cards added (every ${divEvery})${escapeHtml(where)}`;
     dividerAlert.classList.remove("hidden");
   } else {
     dividerAlert.classList.add("hidden");
@@ -1154,9 +1681,9 @@ function checkDividerAlert() {
 // ---------------------------------------------------------------------------
 
 searchInput.addEventListener("input", () => {
-  const query = searchInput.value.trim();
+  const { query } = parseQuantityPrefix(searchInput.value);
   clearTimeout(debounceTimer);
-  debounceTimer = setTimeout(() => doSearch(query), 100);
+  debounceTimer = setTimeout(() => doSearch(query.trim()), 100);
 });
 
 async function doSearch(query) {
@@ -1228,7 +1755,7 @@ function renderResults() {
             ${card.image_cropped ? `<img src="${escapeHtml(card.image_cropped)}" alt="">` : ""}
           </div>
           <div class="result-info">
-            <div class="result-name">${escapeHtml(card.name)}</div>
+            <div class="result-name">${renderCardName(card)}</div>
             <div class="result-meta">
               ${badges}
               <span>${escapeHtml(card.set_code)} #${card.collectors_number}</span>
@@ -1241,6 +1768,21 @@ function renderResults() {
     .join("");
 }
 
+/**
+ * Card name for the results list. Multi-face cards show every face, with
+ * the one the search matched highlighted.
+ */
+function renderCardName(card) {
+  if (!card.faces || card.faces.length < 2 || card.matched_face == null || card.matched_face < 0) {
+    return escapeHtml(card.name);
+  }
+  return card.faces
+    .map((face, i) =>
+      `<span class="${i === card.matched_face ? "face-match" : "face-other"}">${escapeHtml(face)}</span>`
+    )
+    .join(" // ");
+}
+
 function escapeHtml(str) {
   const el = document.createElement("span");
   el.textContent = str;
@@ -1263,6 +1805,13 @@ resultsList.addEventListener("click", (e) => {
 // ---------------------------------------------------------------------------
 
 searchInput.addEventListener("keydown", (e) => {
+  // Ctrl+Z on an empty search box undoes the last add instead of editing text
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z" && !searchInput.value) {
+    e.preventDefault();
+    undoLastAdd();
+    return;
+  }
+
   if (results.length === 0) {
     if (e.key === "Escape") {
       if (!searchInput.value) collapse();
@@ -1311,6 +1860,21 @@ async function addSelectedCard() {
   isAdding = true;
 
   const card = results[selectedIndex];
+  const quantity =
+    parseQuantityPrefix(searchInput.value).quantity ||
+    Math.max(1, Math.floor(Number(qtyInput.value) || 1));
+
+  // Adding past a location's capacity takes a second press
+  const lastPosition = Number(posInput.value) + quantity - 1;
+  const overflow = capacityWarning(locInput.value, quantity, lastPosition);
+  const overfillKey = `${locInput.value}|${lastPosition}`;
+  if (overflow && overfillAllowed !== overfillKey) {
+    overfillAllowed = overfillKey;
+    isAdding = false;
+    statusMsg.textContent = `⚠ ${overflow} Add again to go ahead.`;
+    statusMsg.className = "status-message error";
+    return;
+  }
 
   const selectedEl = resultsList.querySelector(".selected");
   if (selectedEl) {
@@ -1329,25 +1893,47 @@ async function addSelectedCard() {
     type: "ADD_CARD",
     emid: card.emid,
     foil: card.is_foil_variant ? 1 : 0,
-    condition: defaultCondition,
+    condition: condSelect.value || defaultCondition,
     language: getAddCardLanguage(),
     locationTag: locInput.value,
     position: Number(posInput.value),
+    quantity,
   });
 
   isAdding = false;
   searchInput.disabled = false;
 
   if (result?.ok) {
-    sessionCount++;
+    // The service worker caps the copies per add
+    const added = result.outboxIds.length;
+    sessionCount += added;
     sessionCountEl.textContent = sessionCount;
 
-    const noteText = result.noteText || `${locInput.value}p${posInput.value}`;
-    statusMsg.textContent = `✓ ${card.name} added → ${noteText}`;
+    const noteTexts = result.noteTexts || [formatNote(locInput.value, Number(posInput.value), "", savedNoteFormat)];
+    const layout = addCardLayout();
+    const first = result.newPosition - added;
+    const last = result.newPosition - 1;
+    let noteText;
+    if (layout) {
+      noteText = `${locInput.value} ${formatPosition(first, layout)}` +
+        (last > first ? ` – ${formatPosition(last, layout)}` : "");
+    } else {
+      noteText = noteTexts.length > 1
+        ? `${noteTexts[0]}–${noteTexts[noteTexts.length - 1]}`
+        : noteTexts[0];
+    }
+    const label = added > 1 ? `${added}× ${card.name}` : card.name;
+    statusMsg.textContent = `✓ ${label} queued → ${noteText}`;
     statusMsg.className = "status-message";
 
     posInput.value = result.newPosition;
+    qtyInput.value = 1;
+    syncBinderPosition();
     checkDividerAlert();
+    refreshOutboxStatus();
+
+    undoStack.push({ outboxIds: result.outboxIds, name: label, noteText });
+    updateUndoButton();
 
     searchInput.value = "";
     clearResults();
@@ -1360,6 +1946,131 @@ async function addSelectedCard() {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Undo last add
+// ---------------------------------------------------------------------------
+
+function updateUndoButton() {
+  const count = undoStack.length;
+  undoBtn.classList.toggle("hidden", count === 0);
+  undoBtn.textContent = count > 1 ? `Undo (${count})` : "Undo";
+  undoBtn.disabled = isUndoing;
+}
+
+/**
+ * Undo the most recent add of this session: removes it from EchoMTG (or
+ * the outbox if it hasn't been sent yet) and rolls the position back.
+ * Repeated calls walk back through earlier adds; an add that can't be
+ * undone at all is dropped from the stack so the ones before it still can.
+ */
+async function undoLastAdd() {
+  if (isUndoing || isAdding || undoStack.length === 0) return;
+  isUndoing = true;
+  updateUndoButton();
+
+  const last = undoStack[undoStack.length - 1];
+  statusMsg.textContent = `Undoing ${last.name}…`;
+  statusMsg.className = "status-message pending";
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: "UNDO_ADD",
+      outboxIds: last.outboxIds,
+    });
+
+    if (result?.ok) {
+      undoStack.pop();
+      sessionCount = Math.max(sessionCount - last.outboxIds.length, 0);
+      sessionCountEl.textContent = sessionCount;
+      if (result.position != null) {
+        posInput.value = result.position;
+        syncBinderPosition();
+        checkDividerAlert();
+      }
+      statusMsg.textContent = `↶ Undid ${last.name} (${last.noteText})`;
+      statusMsg.className = "status-message";
+    } else if (result?.stale) {
+      undoStack.pop();
+      statusMsg.textContent = `✗ Can't undo ${last.name} — ${result.error}; skipped it`;
+      statusMsg.className = "status-message error";
+    } else if (result?.undoneIds?.length > 0) {
+      // Some copies were undone before the failure; keep only the rest
+      last.outboxIds = last.outboxIds.filter((id) => !result.undoneIds.includes(id));
+      sessionCount = Math.max(sessionCount - result.undoneIds.length, 0);
+      sessionCountEl.textContent = sessionCount;
+      if (result.position != null) {
+        posInput.value = result.position;
+        syncBinderPosition();
+        checkDividerAlert();
+      }
+      statusMsg.textContent = `✗ Undid ${result.undoneIds.length} cop${result.undoneIds.length !== 1 ? "ies" : "y"} of ${last.name}, then failed — ${result.error}`;
+      statusMsg.className = "status-message error";
+    } else {
+      statusMsg.textContent = `✗ Undo failed — ${result?.error || "unknown error"}`;
+      statusMsg.className = "status-message error";
+    }
+  } catch (err) {
+    statusMsg.textContent = `✗ Undo failed — ${err.message}`;
+    statusMsg.className = "status-message error";
+  }
+
+  isUndoing = false;
+  updateUndoButton();
+  refreshOutboxStatus();
+  searchInput.focus();
+}
+
+undoBtn.addEventListener("click", undoLastAdd);
+
+// ---------------------------------------------------------------------------
+// Outbox status (queued adds and notes waiting on EchoMTG)
+// ---------------------------------------------------------------------------
+
+/**
+ * Show "N pending / M failed" in the status bar and keep polling while the
+ * panel is open and there is still queued work.
+ */
+async function refreshOutboxStatus() {
+  clearTimeout(outboxPollTimer);
+  outboxPollTimer = null;
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "GET_OUTBOX_STATUS" });
+    if (!result?.ok) return;
+
+    const { pending, failed } = result;
+    if (pending === 0 && failed === 0) {
+      outboxStatusEl.textContent = "";
+      outboxStatusEl.classList.add("hidden");
+      outboxStatusEl.classList.remove("outbox-failed");
+    } else {
+      outboxStatusEl.textContent = `${pending} pending / ${failed} failed`;
+      outboxStatusEl.classList.remove("hidden");
+      outboxStatusEl.classList.toggle("outbox-failed", failed > 0);
+      outboxStatusEl.title = failed > 0
+        ? "Some EchoMTG writes failed — click to retry"
+        : "Queued EchoMTG writes";
+    }
+
+    if (pending > 0 && expanded) {
+      outboxPollTimer = setTimeout(refreshOutboxStatus, 3000);
+    }
+  } catch (err) {
+    console.warn("[overlay] refreshOutboxStatus error:", err);
+  }
+}
+
+outboxStatusEl.addEventListener("click", async () => {
+  if (!outboxStatusEl.classList.contains("outbox-failed")) return;
+  const result = await chrome.runtime.sendMessage({ type: "RETRY_OUTBOX" });
+  if (result?.ok) {
+    const stuck = result.stuck.length > 0 ? `; ${result.stuck[0]}${result.stuck.length > 1 ? ` (+${result.stuck.length - 1} more)` : ""}` : "";
+    statusMsg.textContent = `Retrying ${result.requeued} failed write${result.requeued !== 1 ? "s" : ""}${stuck}`;
+    statusMsg.className = result.stuck.length > 0 ? "status-message error" : "status-message pending";
+  }
+  refreshOutboxStatus();
+});
+
 // ---------------------------------------------------------------------------
 // Check Out — CSV import, dual search, filters, location checkout
 // ---------------------------------------------------------------------------
@@ -1368,83 +2079,85 @@ function updateCheckoutSearchCount() {
   const count = checkoutSearchCards.querySelectorAll('input[type="checkbox"]:checked').length;
   checkoutSearchBtn.textContent = `Move (${count})`;
   checkoutSearchBtn.disabled = count === 0;
+  checkoutPreviewBtn.disabled = count === 0;
+  checkoutPreviewBar.classList.add("hidden");
 }
 
 checkoutSearchCards.addEventListener("change", updateCheckoutSearchCount);
 
-// --- CSV parsing ---
+/** Update the Move panel after an inventory import or sync. */
+function showInventoryLoaded(count) {
+  checkoutImportStatus.textContent = `${count.toLocaleString()} cards loaded`;
+  checkoutClearInvBtn.classList.remove("hidden");
+  checkoutSyncNotesBtn.classList.remove("hidden");
+  checkoutExportRow.classList.remove("hidden");
+  checkoutSearchInput.disabled = false;
+  populateCheckoutFilters();
+  populateCheckoutLocations();
+}
 
-function parseCSV(text) {
-  const lines = text.split(/\r?\n/);
-  if (lines.length < 2) return [];
+// "Import" or "Sync", for messages about the merge awaiting a choice
+let pendingMergeSource = "Import";
 
-  const headers = parseCSVLine(lines[0]);
-  const records = [];
+function formatMergeSummary(result) {
+  return `${result.added} added, ${result.removed} removed, ${result.changed} changed`;
+}
 
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    const values = parseCSVLine(line);
-    const row = {};
-    for (let j = 0; j < headers.length; j++) {
-      row[headers[j]] = values[j] || "";
-    }
-    records.push(row);
+/**
+ * Report an import or sync. Imports are merged into the local inventory;
+ * when local locations conflict with imported ones, nothing is written
+ * until the user picks a side in the merge bar.
+ */
+function handleInventoryMerge(result, source) {
+  if (result.applied) {
+    checkoutMergeBar.classList.add("hidden");
+    showInventoryLoaded(result.count);
+    const located = result.located != null ? ` (${result.located.toLocaleString()} with locations)` : "";
+    const unresolved = result.unresolved ? `; ${result.unresolved} not matched to a cached card` : "";
+    const truncated = result.truncated ? `; stopped at ${result.count.toLocaleString()} cards, so none were removed` : "";
+    statusMsg.textContent = `${source}: ${formatMergeSummary(result)}${located}${unresolved}${truncated}`;
+    statusMsg.className = "status-message";
+    return;
   }
-  return records;
-}
 
-function parseCSVLine(line) {
-  const fields = [];
-  let current = "";
-  let inQuotes = false;
+  const samples = result.conflictSamples
+    .map((c) => `${escapeHtml(c.name)}: ${escapeHtml(c.local || "none")} → ${escapeHtml(c.incoming || "none")}`)
+    .join("<br>");
+  checkoutMergeText.innerHTML = `
+    <strong>${result.conflicts}</strong> card${result.conflicts !== 1 ? "s have" : " has"} a different
+    location here than in the ${source.toLowerCase()} (${formatMergeSummary(result)}).<br>${samples}
+  `;
+  pendingMergeSource = source;
+  checkoutMergeBar.classList.remove("hidden");
+  checkoutImportStatus.textContent = "Waiting for merge choice...";
+}
 
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (inQuotes) {
-      if (ch === '"') {
-        if (i + 1 < line.length && line[i + 1] === '"') {
-          current += '"';
-          i++; // skip escaped quote
-        } else {
-          inQuotes = false;
-        }
-      } else {
-        current += ch;
-      }
+async function applyInventoryMerge(keepLocalNotes) {
+  checkoutMergeBar.classList.add("hidden");
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "APPLY_INVENTORY_IMPORT", keepLocalNotes });
+    if (result?.ok) {
+      handleInventoryMerge(result, pendingMergeSource);
     } else {
-      if (ch === '"') {
-        inQuotes = true;
-      } else if (ch === ",") {
-        fields.push(current);
-        current = "";
-      } else {
-        current += ch;
-      }
+      statusMsg.textContent = `${pendingMergeSource} failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
     }
+  } catch (err) {
+    statusMsg.textContent = `${pendingMergeSource} error: ${err.message}`;
+    statusMsg.className = "status-message error";
   }
-  fields.push(current);
-  return fields;
+  loadCheckoutData();
 }
 
-function csvRowToInventoryRecord(row) {
-  return {
-    echo_inventory_id: Number(row["echo_inventory_id"]) || 0,
-    emid: Number(row["echoid"]) || 0,
-    name: row["Name"] || "",
-    name_lower: (row["Name"] || "").toLowerCase(),
-    set_code: (row["Set Code"] || "").toUpperCase(),
-    set_name: row["Set"] || "",
-    collectors_number: row["Collector Number"] || "",
-    rarity: row["Rarity"] || "",
-    condition: row["Condition"] || "NM",
-    language: row["Language"] || "EN",
-    foil: Number(row["Foil Qty"] || 0) > 0,
-    note: row["note"] || "",
-    acquired_price: parseFloat(row["Acquired"]) || 0,
-    date_acquired: row["Date Acquired"] || "",
-  };
-}
+checkoutMergeLocalBtn.addEventListener("click", () => applyInventoryMerge(true));
+checkoutMergeIncomingBtn.addEventListener("click", () => applyInventoryMerge(false));
+checkoutMergeCancelBtn.addEventListener("click", async () => {
+  checkoutMergeBar.classList.add("hidden");
+  await chrome.runtime.sendMessage({ type: "CANCEL_INVENTORY_IMPORT" });
+  statusMsg.textContent = `${pendingMergeSource} cancelled`;
+  statusMsg.className = "status-message";
+  loadCheckoutData();
+});
 
 // --- CSV file import ---
 
@@ -1457,10 +2170,8 @@ checkoutImportFile.addEventListener("change", async (e) => {
 
   try {
     const text = await file.text();
-    const rows = parseCSV(text);
-    const records = rows
-      .map(csvRowToInventoryRecord)
-      .filter((r) => r.echo_inventory_id > 0);
+    const { importer, records } = parseInventoryCSV(text);
+    checkoutImportStatus.textContent = `Importing ${importer.label} CSV...`;
 
     const result = await chrome.runtime.sendMessage({
       type: "IMPORT_INVENTORY",
@@ -1468,14 +2179,7 @@ checkoutImportFile.addEventListener("change", async (e) => {
     });
 
     if (result?.ok) {
-      checkoutImportStatus.textContent = `${result.count.toLocaleString()} cards loaded`;
-      checkoutClearInvBtn.classList.remove("hidden");
-      checkoutSyncNotesBtn.classList.remove("hidden");
-      checkoutSearchInput.disabled = false;
-      statusMsg.textContent = `Imported ${result.count.toLocaleString()} inventory cards`;
-      statusMsg.className = "status-message";
-      populateCheckoutFilters();
-      populateCheckoutLocations();
+      handleInventoryMerge(result, `${importer.label} import`);
     } else {
       checkoutImportStatus.textContent = `Import failed: ${result?.error}`;
       statusMsg.textContent = `Import failed: ${result?.error}`;
@@ -1491,11 +2195,47 @@ checkoutImportFile.addEventListener("change", async (e) => {
   checkoutImportFile.value = "";
 });
 
+// --- Live sync from EchoMTG ---
+
+checkoutSyncInvBtn.addEventListener("click", async () => {
+  checkoutSyncInvBtn.disabled = true;
+  checkoutImportStatus.textContent = "Syncing...";
+  statusMsg.textContent = "Syncing inventory from EchoMTG...";
+  statusMsg.className = "status-message pending";
+
+  // The sync answers once at the end; poll its progress meanwhile
+  const progressTimer = setInterval(async () => {
+    const status = await chrome.runtime.sendMessage({ type: "GET_INVENTORY_SYNC_STATUS" }).catch(() => null);
+    if (status?.running) {
+      checkoutImportStatus.textContent = `Syncing... ${status.fetched.toLocaleString()} cards`;
+    }
+  }, 1000);
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "SYNC_INVENTORY" });
+    if (result?.ok) {
+      handleInventoryMerge(result, "Sync");
+    } else {
+      checkoutImportStatus.textContent = `Sync failed: ${result?.error}`;
+      statusMsg.textContent = `Sync failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+    }
+  } catch (err) {
+    checkoutImportStatus.textContent = "Sync failed";
+    statusMsg.textContent = `Sync error: ${err.message}`;
+    statusMsg.className = "status-message error";
+  }
+
+  clearInterval(progressTimer);
+  checkoutSyncInvBtn.disabled = false;
+});
+
 checkoutClearInvBtn.addEventListener("click", async () => {
   await chrome.runtime.sendMessage({ type: "CLEAR_INVENTORY" });
   checkoutImportStatus.textContent = "No inventory loaded";
   checkoutClearInvBtn.classList.add("hidden");
   checkoutSyncNotesBtn.classList.add("hidden");
+  checkoutExportRow.classList.add("hidden");
   checkoutSearchInput.disabled = true;
   checkoutSearchCards.innerHTML = "";
   updateCheckoutSearchCount();
@@ -1525,26 +2265,68 @@ checkoutSyncNotesBtn.addEventListener("click", async () => {
   checkoutSyncNotesBtn.textContent = "Sync Notes";
 });
 
+// --- Export ---
+
+/** Save text as a file through a temporary object URL. */
+function downloadFile(content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  shadow.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+checkoutExportBtn.addEventListener("click", async () => {
+  checkoutExportBtn.disabled = true;
+  const filters = checkoutExportFiltered.checked ? getCheckoutFilters() : {};
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "GET_INVENTORY_EXPORT", filters });
+    if (result?.ok) {
+      const { content, filename, mimeType } = exportInventory(result.items, checkoutExportFormat.value);
+      downloadFile(content, filename, mimeType);
+      statusMsg.textContent = `Exported ${result.items.length.toLocaleString()} cards to ${filename}`;
+      statusMsg.className = "status-message";
+    } else {
+      statusMsg.textContent = `Export failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+    }
+  } catch (err) {
+    statusMsg.textContent = `Export error: ${err.message}`;
+    statusMsg.className = "status-message error";
+  }
+
+  checkoutExportBtn.disabled = false;
+});
+
 // --- Tab switching ---
 
-checkoutTabName.addEventListener("click", () => {
-  checkoutMode = "name";
-  checkoutTabName.classList.add("active");
-  checkoutTabList.classList.remove("active");
-  checkoutModeName.classList.remove("hidden");
-  checkoutModeList.classList.add("hidden");
+/** Show one search mode's tab and controls and clear the results. */
+function showCheckoutMode(mode) {
+  checkoutMode = mode;
+  const modes = [
+    ["name", checkoutTabName, checkoutModeName],
+    ["list", checkoutTabList, checkoutModeList],
+    ["deck", checkoutTabDeck, checkoutModeDeck],
+  ];
+  for (const [name, tab, panel] of modes) {
+    tab.classList.toggle("active", name === mode);
+    panel.classList.toggle("hidden", name !== mode);
+  }
   checkoutSearchCards.innerHTML = "";
+  checkoutPickReport.classList.add("hidden");
+  checkoutWantRow.classList.add("hidden");
   updateCheckoutSearchCount();
-});
+}
+
+checkoutTabName.addEventListener("click", () => showCheckoutMode("name"));
+checkoutTabDeck.addEventListener("click", () => showCheckoutMode("deck"));
 
 checkoutTabList.addEventListener("click", async () => {
-  checkoutMode = "list";
-  checkoutTabList.classList.add("active");
-  checkoutTabName.classList.remove("active");
-  checkoutModeList.classList.remove("hidden");
-  checkoutModeName.classList.add("hidden");
-  checkoutSearchCards.innerHTML = "";
-  updateCheckoutSearchCount();
+  showCheckoutMode("list");
 
   // Populate list dropdown
   try {
@@ -1579,36 +2361,139 @@ checkoutLoadListBtn.addEventListener("click", async () => {
 
   checkoutLoadListBtn.disabled = true;
   checkoutLoadListBtn.textContent = "Loading...";
+  checkoutPickReport.classList.add("hidden");
+  checkoutWantRow.classList.add("hidden");
   checkoutSearchCards.innerHTML = '<div class="checkout-card-item">Loading list...</div>';
 
   try {
     const listResult = await chrome.runtime.sendMessage({ type: "GET_ECHO_LIST", listId });
-    if (listResult?.ok && listResult.emids.length > 0) {
-      const filters = getCheckoutFilters();
+    if (listResult?.ok && listResult.items.length > 0) {
       const result = await chrome.runtime.sendMessage({
-        type: "SEARCH_INVENTORY_BY_EMIDS",
-        emids: listResult.emids,
-        filters,
+        type: "RESOLVE_DECKLIST",
+        items: listResult.items,
+        filters: getCheckoutFilters(),
       });
-      if (result?.ok) {
-        if (result.cards.length === 0) {
-          checkoutSearchCards.innerHTML = '<div class="checkout-card-item">No matching inventory cards</div>';
-        } else {
-          renderCheckoutCards(checkoutSearchCards, result.cards);
-        }
-        updateCheckoutSearchCount();
-      }
+      showPickedCards(result, "No matching inventory cards", `${listResult.listName} (missing)`);
     } else {
       checkoutSearchCards.innerHTML = '<div class="checkout-card-item">No cards in list or list not found</div>';
     }
   } catch (err) {
     checkoutSearchCards.innerHTML = '<div class="checkout-card-item">Failed to load list</div>';
   }
+  updateCheckoutSearchCount();
 
   checkoutLoadListBtn.disabled = false;
   checkoutLoadListBtn.textContent = "Load List";
 });
 
+// --- List and decklist picks ---
+
+/**
+ * Show the result of RESOLVE_DECKLIST: the chosen copies pre-ticked, spare
+ * copies unticked so they can be swapped in, and a line for every card
+ * that's short ("need 4, own 2") or couldn't be read. Shortfalls can be
+ * exported or sent to a new EchoMTG list as `wantName`.
+ */
+function showPickedCards(result, emptyText, wantName) {
+  if (!result?.ok) {
+    checkoutSearchCards.innerHTML = `<div class="checkout-card-item">Error: ${escapeHtml(result?.error || "unknown")}</div>`;
+    return;
+  }
+
+  const { picks, spare, missing, unparsed } = result;
+  const chosen = picks.flatMap((p) => p.chosen);
+  const cards = [...chosen, ...spare];
+  if (cards.length === 0) {
+    checkoutSearchCards.innerHTML = `<div class="checkout-card-item">${escapeHtml(emptyText)}</div>`;
+  } else {
+    renderCheckoutCards(checkoutSearchCards, cards, new Set(chosen.map((c) => c.echo_inventory_id)));
+  }
+
+  const wanted = picks.reduce((sum, p) => sum + p.entry.quantity, 0);
+  const lines = [`<div>Picked ${chosen.length} of ${wanted} cards.</div>`];
+  for (const { entry, owned } of missing) {
+    const finish = entry.foil === true ? " (foil)" : "";
+    const section = entry.section && entry.section !== "main" ? ` (${entry.section})` : "";
+    lines.push(
+      `<div class="checkout-pick-missing">${escapeHtml(entry.name)}${finish}${section}: need ${entry.quantity}, own ${owned}</div>`
+    );
+  }
+  if (unparsed.length > 0) {
+    lines.push(
+      `<div class="checkout-pick-missing">Couldn't read: ${unparsed.map(escapeHtml).join(", ")}</div>`
+    );
+  }
+  checkoutPickReport.innerHTML = lines.join("");
+  checkoutPickReport.classList.remove("hidden");
+
+  shortfall = toWantList(missing);
+  checkoutWantName.value = wantName;
+  checkoutWantRow.classList.toggle("hidden", shortfall.length === 0);
+}
+
+checkoutWantExportBtn.addEventListener("click", () => {
+  if (shortfall.length === 0) return;
+  const { content, filename, mimeType } = exportWantList(shortfall, checkoutWantFormat.value);
+  downloadFile(content, filename, mimeType);
+});
+
+checkoutWantListBtn.addEventListener("click", async () => {
+  const name = checkoutWantName.value.trim();
+  if (shortfall.length === 0 || !name) return;
+
+  checkoutWantListBtn.disabled = true;
+  statusMsg.textContent = "Creating EchoMTG list...";
+  statusMsg.className = "status-message pending";
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "CREATE_WANT_LIST", name, wants: shortfall });
+    if (result?.ok) {
+      const notAdded = [...result.skipped, ...result.failed];
+      statusMsg.textContent =
+        `Created "${name}" with ${result.added} card${result.added === 1 ? "" : "s"}` +
+        (notAdded.length > 0 ? `; not added: ${notAdded.join(", ")}` : "");
+      statusMsg.className = notAdded.length > 0 ? "status-message error" : "status-message";
+    } else {
+      statusMsg.textContent = `List failed: ${result?.error || "unknown error"}`;
+      statusMsg.className = "status-message error";
+    }
+  } catch (err) {
+    statusMsg.textContent = `List failed: ${err.message}`;
+    statusMsg.className = "status-message error";
+  }
+  checkoutWantListBtn.disabled = false;
+});
+
+checkoutDeckResolveBtn.addEventListener("click", async () => {
+  const text = checkoutDeckText.value.trim();
+  if (!text) return;
+
+  checkoutDeckResolveBtn.disabled = true;
+  checkoutDeckResolveBtn.textContent = "Picking...";
+  checkoutPickReport.classList.add("hidden");
+  checkoutWantRow.classList.add("hidden");
+  checkoutSearchCards.innerHTML = '<div class="checkout-card-item">Matching decklist...</div>';
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: "RESOLVE_DECKLIST",
+      text,
+      filters: getCheckoutFilters(),
+      preferences: {
+        order: checkoutDeckOrder.value,
+        nonFoilFirst: checkoutDeckNonFoil.checked,
+        preferLocation: checkoutDeckLocation.value.trim(),
+      },
+    });
+    showPickedCards(result, "None of these cards are on hand", `Want list ${new Date().toISOString().slice(0, 10)}`);
+  } catch (err) {
+    checkoutSearchCards.innerHTML = '<div class="checkout-card-item">Failed to match decklist</div>';
+  }
+  updateCheckoutSearchCount();
+
+  checkoutDeckResolveBtn.disabled = false;
+  checkoutDeckResolveBtn.textContent = "Pick Cards";
+});
+
 // --- Multi-select filter dropdowns ---
 
 function setupFilterDropdown(btn, menu, wrap, onChange) {
@@ -1739,7 +2624,7 @@ function getAddCardLanguage() {
 }
 
 function rerunAddCardsSearch() {
-  const query = searchInput.value.trim();
+  const query = parseQuantityPrefix(searchInput.value).query.trim();
   if (query) doSearch(query);
 }
 
@@ -1777,6 +2662,8 @@ function rerunCheckoutSearch() {
   } else if (checkoutMode === "list") {
     const listId = checkoutEchoListSelect.value;
     if (listId) checkoutLoadListBtn.click();
+  } else if (checkoutMode === "deck") {
+    if (checkoutDeckText.value.trim()) checkoutDeckResolveBtn.click();
   }
 }
 
@@ -1790,32 +2677,59 @@ async function populateCheckoutLocations() {
       // Don't show the list yet - it will show on focus
       // If a location is already entered, refresh the offset to match latest data
       refreshLocationOffset();
+      renderLocationRegistry();
+      syncBinderPosition();
     }
   } catch (err) {
     console.warn("[overlay] populateCheckoutLocations error:", err);
   }
 }
 
+function findInventoryLocation(tag) {
+  const q = tag.trim().toLowerCase();
+  return q ? inventoryLocations.find((loc) => loc.tag.toLowerCase() === q) : undefined;
+}
+
+/** "412/500" for locations with a capacity, otherwise "412 cards". */
+function locationFill(loc) {
+  return loc.capacity ? `${loc.count}/${loc.capacity}` : `${loc.count} card${loc.count !== 1 ? "s" : ""}`;
+}
+
+/** Point the offset at the first free position of a known location. */
+function setLocationOffset(loc) {
+  checkoutOffsetInput.value = loc.maxPosition + 1;
+  const free = loc.capacity ? ` · ${Math.max(loc.capacity - loc.count, 0)} free` : "";
+  const slot = hasBinderLayout(loc) ? ` (${formatPosition(loc.maxPosition + 1, loc)})` : "";
+  checkoutOffsetHint.textContent = `Next position after ${loc.maxPosition} existing${slot}${free}`;
+}
+
+/**
+ * Warning for a move or add that would take a location past its capacity,
+ * or "" if it fits (or has no capacity set). Adds pass the last position
+ * they fill too, since the cached count misses cards added since the
+ * locations were loaded.
+ */
+function capacityWarning(tag, adding, lastPosition = 0) {
+  const loc = findInventoryLocation(tag);
+  if (!loc?.capacity) return "";
+  const total = Math.max(loc.count + adding, lastPosition);
+  if (total <= loc.capacity) return "";
+  return `${loc.label} holds ${loc.capacity} cards; this makes ${total}.`;
+}
+
 /**
  * Recalculate the offset input and hint based on the current location input
  * and the latest inventoryLocations data.
  */
 function refreshLocationOffset() {
-  const current = checkoutLocationInput.value.trim();
-  if (!current) return;
-  const match = inventoryLocations.find(
-    (loc) => loc.tag.toLowerCase() === current.toLowerCase()
-  );
-  if (match) {
-    checkoutOffsetInput.value = match.maxPosition + 1;
-    checkoutOffsetHint.textContent = `Next position after ${match.maxPosition} existing`;
-  }
+  const match = findInventoryLocation(checkoutLocationInput.value);
+  if (match) setLocationOffset(match);
 }
 
 function renderLocationList(filter) {
   const q = filter.toLowerCase();
   const matching = inventoryLocations.filter((loc) =>
-    !q || loc.tag.toLowerCase().includes(q)
+    !q || loc.tag.toLowerCase().includes(q) || loc.label.toLowerCase().includes(q)
   );
 
   if (matching.length === 0) {
@@ -1827,7 +2741,7 @@ function renderLocationList(filter) {
   checkoutLocationList.innerHTML = matching
     .map(
       (loc) =>
-        `<div class="location-combobox-item" data-tag="${escapeHtml(loc.tag)}" data-max="${loc.maxPosition}">${escapeHtml(loc.tag)} <span class="location-combobox-count">(${loc.maxPosition} cards)</span></div>`
+        `<div class="location-combobox-item" data-tag="${escapeHtml(loc.tag)}">${escapeHtml(loc.label)} <span class="location-combobox-count">${loc.registered ? `${escapeHtml(loc.tag)} ` : ""}(${locationFill(loc)})</span></div>`
     )
     .join("");
   checkoutLocationList.classList.remove("hidden");
@@ -1847,12 +2761,9 @@ checkoutLocationInput.addEventListener("blur", () => {
 checkoutLocationInput.addEventListener("input", () => {
   renderLocationList(checkoutLocationInput.value);
   // If typed value exactly matches a location, set offset
-  const match = inventoryLocations.find(
-    (loc) => loc.tag.toLowerCase() === checkoutLocationInput.value.trim().toLowerCase()
-  );
+  const match = findInventoryLocation(checkoutLocationInput.value);
   if (match) {
-    checkoutOffsetInput.value = match.maxPosition + 1;
-    checkoutOffsetHint.textContent = `Next position after ${match.maxPosition} existing`;
+    setLocationOffset(match);
   } else if (checkoutLocationInput.value.trim()) {
     checkoutOffsetInput.value = 1;
     checkoutOffsetHint.textContent = "New location starts at position 1";
@@ -1864,11 +2775,8 @@ checkoutLocationInput.addEventListener("input", () => {
 checkoutLocationList.addEventListener("click", (e) => {
   const item = e.target.closest(".location-combobox-item");
   if (!item) return;
-  const tag = item.dataset.tag;
-  const maxPos = Number(item.dataset.max) || 0;
-  checkoutLocationInput.value = tag;
-  checkoutOffsetInput.value = maxPos + 1;
-  checkoutOffsetHint.textContent = `Next position after ${maxPos} existing`;
+  checkoutLocationInput.value = item.dataset.tag;
+  refreshLocationOffset();
   checkoutLocationList.classList.add("hidden");
 });
 
@@ -1888,6 +2796,7 @@ async function loadCheckoutData() {
       checkoutImportStatus.textContent = `${result.count.toLocaleString()} cards loaded`;
       checkoutClearInvBtn.classList.remove("hidden");
       checkoutSyncNotesBtn.classList.remove("hidden");
+      checkoutExportRow.classList.remove("hidden");
       checkoutSearchInput.disabled = false;
       await populateCheckoutFilters();
       await populateCheckoutLocations();
@@ -1895,6 +2804,7 @@ async function loadCheckoutData() {
       checkoutImportStatus.textContent = "No inventory loaded";
       checkoutClearInvBtn.classList.add("hidden");
       checkoutSyncNotesBtn.classList.add("hidden");
+      checkoutExportRow.classList.add("hidden");
       checkoutSearchInput.disabled = true;
     }
 
@@ -1909,6 +2819,7 @@ async function loadCheckoutData() {
         accCheckoutStatus.textContent = "";
       }
     }
+    refreshCompactionStatus();
   } catch (err) {
     console.warn("[overlay] loadCheckoutData error:", err);
   }
@@ -2009,32 +2920,13 @@ function sortMoveCards(cards) {
   });
 }
 
-/**
- * Compare collector numbers, handling numeric and alphanumeric cases.
- * e.g., "1" < "2" < "10" < "10a" < "10b"
- */
-function compareCollectorNumbers(a, b) {
-  const aNum = parseInt(a, 10);
-  const bNum = parseInt(b, 10);
-
-  // Both are numeric - compare as numbers
-  if (!isNaN(aNum) && !isNaN(bNum)) {
-    if (aNum !== bNum) return aNum - bNum;
-    // Same number prefix - compare full string for suffixes (10a vs 10b)
-    return (a || "").localeCompare(b || "");
-  }
-
-  // Fallback to string comparison
-  return (a || "").localeCompare(b || "");
-}
-
-function renderCheckoutCards(container, cards) {
+function renderCheckoutCards(container, cards, selectedIds = new Set()) {
   const sorted = sortMoveCards(cards);
   container.innerHTML = sorted
     .map(
       (card) => `
     <div class="checkout-card-item" data-inventory-id="${card.echo_inventory_id}" data-emid="${card.emid}">
-      <input type="checkbox" class="checkout-cb">
+      <input type="checkbox" class="checkout-cb"${selectedIds.has(card.echo_inventory_id) ? " checked" : ""}>
       <div class="checkout-card-info">
         <div class="checkout-card-name">${escapeHtml(card.name)}${card.foil ? ' <span class="badge badge-foil">Foil</span>' : ""}</div>
         <div class="checkout-card-meta">${escapeHtml(card.set_code)} #${card.collectors_number}${card.language && card.language !== "EN" ? ` · ${escapeHtml(card.language)}` : ""}${card.note ? ` · ${escapeHtml(card.note)}` : ""}</div>
@@ -2047,40 +2939,88 @@ function renderCheckoutCards(container, cards) {
 
 // --- Checkout button ---
 
-checkoutSearchBtn.addEventListener("click", async () => {
-  const checked = checkoutSearchCards.querySelectorAll('input[type="checkbox"]:checked');
-  if (checked.length === 0) return;
+// Move awaiting confirmation from the preview bar
+let pendingMove = null;
 
-  const inventoryIds = Array.from(checked).map(
-    (cb) => Number(cb.closest(".checkout-card-item").dataset.inventoryId)
-  );
+/** Collect the selected cards and target slot, or report what's missing. */
+function getMoveRequest() {
+  const checked = checkoutSearchCards.querySelectorAll('input[type="checkbox"]:checked');
+  if (checked.length === 0) return null;
 
   const targetLocation = checkoutLocationInput.value.trim();
-  const targetOffset = Number(checkoutOffsetInput.value) || 1;
-
   if (!targetLocation) {
     statusMsg.textContent = "Please select or enter a location";
     statusMsg.className = "status-message error";
-    return;
+    return null;
+  }
+
+  return {
+    inventoryIds: Array.from(checked).map(
+      (cb) => Number(cb.closest(".checkout-card-item").dataset.inventoryId)
+    ),
+    targetLocation,
+    targetOffset: Number(checkoutOffsetInput.value) || 1,
+    mode: checkoutModeSelect.value,
+    deferred: checkoutDeferCb.checked,
+  };
+}
+
+/**
+ * Show the notes a move will write. Collisions block the move; otherwise
+ * the bar's Move button carries it out.
+ */
+function showMovePreview(move, preview) {
+  const blocked = preview.collisions.length > 0;
+  const overflow = capacityWarning(move.targetLocation, move.inventoryIds.length);
+  const warning = overflow ? `<div class="checkout-capacity-warning">${escapeHtml(overflow)}</div>` : "";
+  const held = (c) => (c.arriving ? " (not yet retrieved)" : c.reserved ? " (held for return)" : "");
+  const row = (c) => `<div>${escapeHtml(c.name)}: ${escapeHtml(c.from || "none")} → ${escapeHtml(c.to || "?")}${held(c)}</div>`;
+
+  if (blocked) {
+    checkoutPreviewText.innerHTML = `<strong>${preview.collisions.length}</strong> target slot${preview.collisions.length !== 1 ? "s are" : " is"} taken. Pick another offset or insert instead.`;
+    checkoutPreviewList.innerHTML = preview.collisions.map((c) => `<div>${escapeHtml(c.from)}: ${escapeHtml(c.name)}${held(c)}</div>`).join("");
+  } else {
+    const shiftNote = preview.shifts.length > 0
+      ? `, <strong>${preview.shifts.length}</strong> shifted down by ${preview.placements.length}`
+      : "";
+    checkoutPreviewText.innerHTML = `${warning}<strong>${preview.placements.length}</strong> moved${shiftNote}:`;
+    checkoutPreviewList.innerHTML = [...preview.placements, ...preview.shifts].map(row).join("");
+  }
+
+  pendingMove = blocked ? null : move;
+  checkoutPreviewConfirmBtn.classList.toggle("hidden", blocked);
+  checkoutPreviewBar.classList.remove("hidden");
+}
+
+async function requestMovePreview(move) {
+  const result = await chrome.runtime.sendMessage({ type: "PREVIEW_CHECKOUT", ...move });
+  if (!result?.ok) {
+    statusMsg.textContent = `Preview failed: ${result?.error || "unknown"}`;
+    statusMsg.className = "status-message error";
+    return null;
   }
+  return result;
+}
 
+async function performMove(move) {
+  checkoutPreviewBar.classList.add("hidden");
+  pendingMove = null;
   checkoutSearchBtn.disabled = true;
   checkoutSearchBtn.textContent = "Moving...";
 
   try {
-    const result = await chrome.runtime.sendMessage({
-      type: "CHECKOUT_CARDS",
-      inventoryIds,
-      targetLocation,
-      targetOffset,
-    });
+    const result = await chrome.runtime.sendMessage({ type: "CHECKOUT_CARDS", ...move });
     if (result?.ok) {
-      statusMsg.textContent = `Moved ${inventoryIds.length} card${inventoryIds.length !== 1 ? "s" : ""}`;
+      const count = move.inventoryIds.length;
+      const shifted = result.shifted ? `, shifted ${result.shifted}` : "";
+      const deferred = move.deferred ? "; notes update as you tick them off" : "";
+      statusMsg.textContent = `Moved ${count} card${count !== 1 ? "s" : ""}${shifted}${deferred}`;
       statusMsg.className = "status-message";
       checkoutSearchCards.innerHTML = "";
       checkoutSearchInput.value = "";
       updateCheckoutSearchCount();
       await loadCheckoutData();
+      refreshOutboxStatus();
 
       // Open the retrieval plan
       if (result.planId) {
@@ -2095,8 +3035,504 @@ checkoutSearchBtn.addEventListener("click", async () => {
     statusMsg.textContent = "Move failed";
     statusMsg.className = "status-message error";
   }
-  checkoutSearchBtn.disabled = false;
   updateCheckoutSearchCount();
+}
+
+checkoutSearchBtn.addEventListener("click", async () => {
+  const move = getMoveRequest();
+  if (!move) return;
+
+  // Moves that disturb other cards or overfill the target need a look first
+  const preview = await requestMovePreview(move);
+  if (!preview) return;
+  if (
+    preview.shifts.length > 0 ||
+    preview.collisions.length > 0 ||
+    capacityWarning(move.targetLocation, move.inventoryIds.length)
+  ) {
+    showMovePreview(move, preview);
+    return;
+  }
+  await performMove(move);
+});
+
+checkoutPreviewBtn.addEventListener("click", async () => {
+  const move = getMoveRequest();
+  if (!move) return;
+  const preview = await requestMovePreview(move);
+  if (preview) showMovePreview(move, preview);
+});
+
+checkoutPreviewConfirmBtn.addEventListener("click", () => {
+  if (pendingMove) performMove(pendingMove);
+});
+
+checkoutPreviewCancelBtn.addEventListener("click", () => {
+  checkoutPreviewBar.classList.add("hidden");
+  pendingMove = null;
+});
+
+// --- Compact location ---
+
+let compactPollTimer = null;
+
+/** Show how far the last compaction's note rewrites have got; polls while any are queued. */
+async function refreshCompactionStatus() {
+  clearTimeout(compactPollTimer);
+  compactPollTimer = null;
+  const status = await chrome.runtime.sendMessage({ type: "GET_COMPACTION_STATUS" }).catch(() => null);
+  if (!status?.ok || status.total === 0 || (status.pending === 0 && status.failed === 0)) {
+    compactProgress.classList.add("hidden");
+    return;
+  }
+
+  const failed = status.failed > 0 ? ` · ${status.failed} failed` : "";
+  compactStatus.textContent = `Renumbering ${status.location}: ${status.done}/${status.total} notes written${failed}`;
+  compactRetryBtn.classList.toggle("hidden", status.failed === 0);
+  compactProgress.classList.remove("hidden");
+  if (status.pending > 0 && expanded) {
+    compactPollTimer = setTimeout(refreshCompactionStatus, 3000);
+  }
+}
+
+compactRetryBtn.addEventListener("click", async () => {
+  await chrome.runtime.sendMessage({ type: "RETRY_OUTBOX" });
+  refreshOutboxStatus();
+  refreshCompactionStatus();
+});
+
+compactPreviewBtn.addEventListener("click", async () => {
+  const location = compactLocationInput.value.trim();
+  if (!location) {
+    compactLocationInput.focus();
+    return;
+  }
+
+  const plan = await chrome.runtime.sendMessage({ type: "PREVIEW_COMPACTION", location });
+  if (!plan?.ok) {
+    statusMsg.textContent = `Compact failed: ${plan?.error || "unknown"}`;
+    statusMsg.className = "status-message error";
+    return;
+  }
+  if (plan.moves.length === 0 && plan.released.length === 0) {
+    statusMsg.textContent = plan.count > 0
+      ? `${location} is already numbered 1-${plan.count}`
+      : `No cards at ${location}`;
+    statusMsg.className = "status-message";
+    return;
+  }
+
+  // Re-sort guide, in shelf order: each card slides down to its new slot
+  compactText.innerHTML = `<strong>${plan.moves.length}</strong> of ${plan.count} cards at ${escapeHtml(location)} get new positions:`;
+  compactList.innerHTML = [
+    ...plan.moves.map((m) => `<div>${escapeHtml(m.from)} → ${escapeHtml(m.to)} ${escapeHtml(m.name)} (${escapeHtml(m.set_code)} #${escapeHtml(m.collectors_number)})</div>`),
+    ...plan.released.map((r) => `<div>${escapeHtml(r.from)} → ${escapeHtml(r.to)} ${escapeHtml(r.name)} (checked out, returns here)</div>`),
+  ].join("");
+  compactBar.dataset.location = location;
+  compactBar.classList.remove("hidden");
+});
+
+compactConfirmBtn.addEventListener("click", async () => {
+  const location = compactBar.dataset.location;
+  compactBar.classList.add("hidden");
+
+  const result = await chrome.runtime.sendMessage({ type: "COMPACT_LOCATION", location });
+  if (result?.ok) {
+    statusMsg.textContent = `Renumbered ${location} as 1-${result.count}`;
+    statusMsg.className = "status-message";
+    await populateCheckoutLocations();
+    refreshOutboxStatus();
+    refreshCompactionStatus();
+  } else {
+    statusMsg.textContent = `Compact failed: ${result?.error || "unknown"}`;
+    statusMsg.className = "status-message error";
+  }
+});
+
+compactCancelBtn.addEventListener("click", () => {
+  compactBar.classList.add("hidden");
+});
+
+// --- Location audit ---
+
+/** "3–5, 9" from [[3, 5], [9, 9]]. */
+function formatRanges(ranges) {
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}–${to}`)).join(", ");
+}
+
+function auditSection(title, rows) {
+  return `
+    <div class="plan-location-group">
+      <div class="plan-location-header">${title}</div>
+      <div class="checkout-preview-list">${rows.join("")}</div>
+    </div>`;
+}
+
+function auditRow(text, action = "") {
+  return `<div class="audit-row"><span>${text}</span>${action}</div>`;
+}
+
+function compactAction(location) {
+  return `<button class="btn btn-sm audit-compact-btn" data-location="${escapeHtml(location)}">Compact</button>`;
+}
+
+async function runAudit() {
+  auditBtn.disabled = true;
+  auditStatus.textContent = "Checking...";
+  const report = await chrome.runtime.sendMessage({ type: "AUDIT_LOCATIONS" }).catch(() => null);
+  auditBtn.disabled = false;
+
+  if (!report?.ok) {
+    auditStatus.textContent = `Audit failed: ${report?.error || "unknown"}`;
+    auditReport.classList.add("hidden");
+    return;
+  }
+
+  const { collisions, gaps, mismatches, notFound, unparsed, unlocated } = report;
+  const sections = [];
+  if (collisions.length > 0) {
+    sections.push(auditSection(`Shared slots (${collisions.length})`, collisions.map((c) =>
+      auditRow(
+        `${escapeHtml(c.cards[0].note)}: ${c.cards.map((card) => escapeHtml(card.name)).join(", ")}`,
+        compactAction(c.location)
+      )
+    )));
+  }
+  if (gaps.length > 0) {
+    sections.push(auditSection(`Gaps (${gaps.length} location${gaps.length !== 1 ? "s" : ""})`, gaps.map((g) =>
+      auditRow(`${escapeHtml(g.location)}: ${formatRanges(g.missing)} (${g.count} empty)`, compactAction(g.location))
+    )));
+  }
+  if (mismatches.length > 0) {
+    const ids = mismatches.map((m) => m.checkout_id).join(",");
+    sections.push(auditSection(`Moved cards with changed notes (${mismatches.length})`, [
+      ...mismatches.map((m) => {
+        const echo = m.echo_note !== null && m.echo_note !== m.note ? ` (EchoMTG: ${m.echo_note || "no note"})` : "";
+        return auditRow(`${escapeHtml(m.name)}: ${escapeHtml(m.note || "no note")}${escapeHtml(echo)} → ${escapeHtml(m.expected)}`);
+      }),
+      auditRow("", `<button class="btn btn-sm audit-repair-btn" data-ids="${ids}">Rewrite ${mismatches.length} note${mismatches.length !== 1 ? "s" : ""}</button>`),
+    ]));
+  }
+  if (notFound.length > 0) {
+    const ids = notFound.map((n) => n.checkout_id).join(",");
+    sections.push(auditSection(`Not found when retrieving (${notFound.length})`, [
+      ...notFound.map((n) => auditRow(`${escapeHtml(n.name)}: ${escapeHtml(n.note || "no note")}`)),
+      auditRow("", `<button class="btn btn-sm audit-dismiss-btn" data-ids="${ids}">Dismiss</button>`),
+    ]));
+  }
+  if (unparsed.length > 0) {
+    sections.push(auditSection(`Notes without a location (${unparsed.length})`, unparsed.slice(0, 100).map((u) =>
+      auditRow(`${escapeHtml(u.name)}: ${escapeHtml(u.note)}`)
+    )));
+  }
+
+  const problems = collisions.length + gaps.length + mismatches.length + notFound.length + unparsed.length;
+  const unlocatedText = unlocated.length > 0 ? ` · ${unlocated.length.toLocaleString()} cards have no note` : "";
+  auditStatus.textContent = (problems === 0 ? "No problems found" : `${problems} problem${problems !== 1 ? "s" : ""}`) + unlocatedText;
+  auditReport.innerHTML = sections.join("");
+  auditReport.classList.toggle("hidden", sections.length === 0);
+}
+
+auditBtn.addEventListener("click", runAudit);
+
+auditReport.addEventListener("click", async (e) => {
+  const compactBtn = e.target.closest(".audit-compact-btn");
+  if (compactBtn) {
+    compactLocationInput.value = compactBtn.dataset.location;
+    compactPreviewBtn.click();
+    return;
+  }
+
+  const repairBtn = e.target.closest(".audit-repair-btn");
+  if (repairBtn) {
+    repairBtn.disabled = true;
+    const ids = repairBtn.dataset.ids.split(",").map(Number);
+    const result = await chrome.runtime.sendMessage({ type: "REPAIR_CHECKOUT_NOTES", ids });
+    if (result?.ok) {
+      statusMsg.textContent = `Rewrote ${result.repaired} note${result.repaired !== 1 ? "s" : ""}`;
+      statusMsg.className = "status-message";
+      refreshOutboxStatus();
+    } else {
+      statusMsg.textContent = `Rewrite failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+    }
+    await runAudit();
+    return;
+  }
+
+  const dismissBtn = e.target.closest(".audit-dismiss-btn");
+  if (dismissBtn) {
+    dismissBtn.disabled = true;
+    const ids = dismissBtn.dataset.ids.split(",").map(Number);
+    const result = await chrome.runtime.sendMessage({ type: "DISMISS_NOT_FOUND", ids });
+    if (!result?.ok) {
+      statusMsg.textContent = `Dismiss failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+    }
+    await runAudit();
+  }
+});
+
+// --- Location registry ---
+
+function renderLocationRegistry() {
+  const registered = inventoryLocations.filter((loc) => loc.registered);
+  const selectedParent = registryParentSelect.value;
+
+  registryParentSelect.innerHTML = `<option value="">No parent</option>` + registered
+    .map((loc) => `<option value="${escapeHtml(loc.tag)}">${escapeHtml(loc.label)}</option>`)
+    .join("");
+  registryParentSelect.value = registered.some((loc) => loc.tag === selectedParent) ? selectedParent : "";
+
+  registryList.innerHTML = registered
+    .map((loc) => `
+      <div class="checkin-group-card" data-tag="${escapeHtml(loc.tag)}">
+        <div class="checkin-group-info">
+          <div class="checkin-group-name">${escapeHtml(loc.label)}</div>
+          <div class="checkin-group-meta">${escapeHtml(loc.tag)} · ${escapeHtml(loc.type)}${hasBinderLayout(loc) ? ` (${loc.pockets_per_page}-pocket${loc.sides === 2 ? ", both sides" : ""})` : ""} · ${locationFill(loc)}</div>
+        </div>
+        <button class="btn btn-sm registry-edit-btn">Edit</button>
+        <button class="btn btn-sm btn-danger registry-delete-btn">Delete</button>
+      </div>
+    `)
+    .join("");
+}
+
+registryTypeSelect.addEventListener("change", () => {
+  registryBinderRow.classList.toggle("hidden", registryTypeSelect.value !== "binder");
+});
+
+registrySaveBtn.addEventListener("click", async () => {
+  const tag = registryTagInput.value.trim();
+  if (!tag) {
+    registryTagInput.focus();
+    return;
+  }
+
+  const result = await chrome.runtime.sendMessage({
+    type: "SAVE_LOCATION",
+    location: {
+      tag,
+      name: registryNameInput.value,
+      type: registryTypeSelect.value,
+      parent_tag: registryParentSelect.value,
+      capacity: registryCapacityInput.value,
+      walk_order: registryOrderInput.value,
+      pockets_per_page: registryTypeSelect.value === "binder" ? registryPocketsInput.value : null,
+      sides: registrySidesSelect.value,
+    },
+  });
+  if (!result?.ok) {
+    statusMsg.textContent = `Save failed: ${result?.error || "unknown"}`;
+    statusMsg.className = "status-message error";
+    return;
+  }
+
+  statusMsg.textContent = `Saved ${result.location.name}`;
+  statusMsg.className = "status-message";
+  registryTagInput.value = "";
+  registryNameInput.value = "";
+  registryCapacityInput.value = "";
+  registryOrderInput.value = "";
+  registryPocketsInput.value = "";
+  await populateCheckoutLocations();
+});
+
+registryList.addEventListener("click", async (e) => {
+  const card = e.target.closest("[data-tag]");
+  if (!card) return;
+  const loc = inventoryLocations.find((l) => l.tag === card.dataset.tag);
+  if (!loc) return;
+
+  if (e.target.closest(".registry-edit-btn")) {
+    registryTagInput.value = loc.tag;
+    registryNameInput.value = loc.name;
+    registryTypeSelect.value = loc.type;
+    registryParentSelect.value = loc.parent_tag || "";
+    registryCapacityInput.value = loc.capacity || "";
+    registryOrderInput.value = loc.walk_order || "";
+    registryPocketsInput.value = loc.pockets_per_page || "";
+    registrySidesSelect.value = String(loc.sides || 2);
+    registryBinderRow.classList.toggle("hidden", loc.type !== "binder");
+    registryNameInput.focus();
+  } else if (e.target.closest(".registry-delete-btn")) {
+    const result = await chrome.runtime.sendMessage({ type: "DELETE_LOCATION", tag: loc.tag });
+    if (!result?.ok) {
+      statusMsg.textContent = `Delete failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+      return;
+    }
+    await populateCheckoutLocations();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Return — put checked-out cards back in their source slots
+// ---------------------------------------------------------------------------
+
+async function loadReturnGroups() {
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "GET_CHECKOUT_GROUPS" });
+    if (!result?.ok) return;
+
+    const groups = result.groups.sort((a, b) => b.checkedOutAt - a.checkedOutAt);
+    if (groups.length === 0) {
+      returnGroupList.innerHTML = "";
+      returnEmpty.classList.remove("hidden");
+      accReturnStatus.textContent = "";
+      return;
+    }
+
+    returnEmpty.classList.add("hidden");
+    const total = groups.reduce((s, g) => s + g.count, 0);
+    accReturnStatus.textContent = `${total} card${total !== 1 ? "s" : ""} out`;
+    accReturnStatus.className = "accordion-status";
+
+    returnGroupList.innerHTML = groups
+      .map((g) => `
+        <div class="checkin-group-card" data-location="${escapeHtml(g.location)}">
+          <div class="checkin-group-info">
+            <div class="checkin-group-name">${escapeHtml(g.location)}</div>
+            <div class="checkin-group-meta">${g.count} card${g.count !== 1 ? "s" : ""} · out since ${new Date(g.checkedOutAt).toLocaleDateString()}</div>
+          </div>
+          <button class="btn btn-sm checkin-view-btn">Return</button>
+        </div>
+      `)
+      .join("");
+  } catch (err) {
+    console.warn("[overlay] loadReturnGroups error:", err);
+  }
+}
+
+returnGroupList.addEventListener("click", (e) => {
+  const card = e.target.closest("[data-location]");
+  if (card && e.target.closest(".checkin-view-btn")) {
+    showReturnPlan(card.dataset.location);
+  }
+});
+
+function updateReturnCount() {
+  const count = returnCardList.querySelectorAll(".checkin-cb:checked").length;
+  returnConfirmBtn.textContent = `Return (${count})`;
+  returnConfirmBtn.disabled = count === 0;
+}
+
+/**
+ * A checkout slot as it is found on the shelf: binder coordinates for
+ * binders, otherwise the note the service worker formatted for it.
+ */
+function returnSlot(tag, position, formatted) {
+  const loc = findInventoryLocation(tag);
+  return hasBinderLayout(loc) ? `${loc.tag} ${formatPosition(position, loc)}` : formatted;
+}
+
+/** Show the put-away plan for one checkout group, grouped by source location. */
+async function showReturnPlan(location) {
+  currentReturnGroup = location;
+  returnGroupsView.classList.add("hidden");
+  returnDetailView.classList.remove("hidden");
+  returnDetailHeader.innerHTML = `<strong>${escapeHtml(location)}</strong>`;
+  returnCardList.innerHTML = "";
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: "GET_CHECKOUT_CARDS", location });
+    if (!result?.ok) {
+      returnCardList.innerHTML = `<div class="checkin-empty">Error: ${escapeHtml(result?.error || "unknown")}</div>`;
+      updateReturnCount();
+      return;
+    }
+
+    // Cards arrive in put-away order: source location, then position
+    const groups = new Map();
+    for (const card of result.cards) {
+      const loc = card.sourceLocation || "No original location";
+      if (!groups.has(loc)) groups.set(loc, []);
+      groups.get(loc).push(card);
+    }
+
+    let html = "";
+    for (const [loc, cards] of groups) {
+      html += `<div class="plan-location-group">`;
+      html += `<div class="plan-location-header">${escapeHtml(loc)}</div>`;
+      for (const card of cards) {
+        const slot = card.sourceLocation ? returnSlot(card.sourceLocation, card.sourcePosition, card.sourceSlot) : "new slot";
+        html += `
+          <div class="checkout-card-item" data-checkout-id="${card.id}" data-unlocated="${card.sourceLocation ? 0 : 1}">
+            <input type="checkbox" class="checkin-cb" checked>
+            <div class="checkout-card-info">
+              <div class="checkout-card-name">${escapeHtml(slot)} — ${escapeHtml(card.cardName)}</div>
+              <div class="checkout-card-meta">${escapeHtml(card.setCode)} #${escapeHtml(card.collectorsNumber || "")} · now ${escapeHtml(returnSlot(location, card.targetPosition, card.targetSlot))}</div>
+            </div>
+          </div>
+        `;
+      }
+      html += `</div>`;
+    }
+    returnCardList.innerHTML = html;
+
+    // Cards moved before they had a location need somewhere to go
+    const unlocated = result.cards.some((c) => !c.sourceLocation);
+    returnFallbackBar.classList.toggle("hidden", !unlocated);
+  } catch (err) {
+    console.warn("[overlay] showReturnPlan error:", err);
+    returnCardList.innerHTML = '<div class="checkin-empty">Error loading cards</div>';
+  }
+  updateReturnCount();
+}
+
+returnCardList.addEventListener("change", updateReturnCount);
+
+returnBackBtn.addEventListener("click", () => {
+  returnDetailView.classList.add("hidden");
+  returnGroupsView.classList.remove("hidden");
+  currentReturnGroup = null;
+  loadReturnGroups();
+});
+
+returnConfirmBtn.addEventListener("click", async () => {
+  const checked = Array.from(returnCardList.querySelectorAll(".checkin-cb:checked"));
+  if (checked.length === 0) return;
+  const ids = checked.map((cb) => Number(cb.closest(".checkout-card-item").dataset.checkoutId));
+
+  const fallbackLocation = returnFallbackLocation.value.trim();
+  const needsFallback = checked.some((cb) => cb.closest(".checkout-card-item").dataset.unlocated === "1");
+  if (needsFallback && !fallbackLocation) {
+    statusMsg.textContent = "Enter a location for cards with no original slot";
+    statusMsg.className = "status-message error";
+    returnFallbackLocation.focus();
+    return;
+  }
+
+  returnConfirmBtn.disabled = true;
+  returnConfirmBtn.textContent = "Returning...";
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: "CHECKIN_CARDS",
+      ids,
+      locationTag: fallbackLocation || undefined,
+      position: Number(returnFallbackPosition.value) || 1,
+    });
+    if (result?.ok) {
+      statusMsg.textContent = `Returned ${result.count} card${result.count !== 1 ? "s" : ""} from ${currentReturnGroup}`;
+      statusMsg.className = "status-message";
+      returnFallbackLocation.value = "";
+      refreshOutboxStatus();
+      await loadCheckoutData();
+      await showReturnPlan(currentReturnGroup);
+      if (returnCardList.querySelectorAll(".checkin-cb").length === 0) {
+        returnBackBtn.click();
+      }
+    } else {
+      statusMsg.textContent = `Return failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+      updateReturnCount();
+    }
+  } catch (err) {
+    statusMsg.textContent = `Return error: ${err.message}`;
+    statusMsg.className = "status-message error";
+    updateReturnCount();
+  }
 });
 
 // ---------------------------------------------------------------------------
@@ -2124,11 +3560,14 @@ async function loadRetrievalPlans() {
       .map((p) => {
         const total = p.items ? p.items.length : 0;
         const checked = p.items ? p.items.filter((i) => i.checked).length : 0;
+        const notFound = p.items ? p.items.filter((i) => i.not_found).length : 0;
+        const missingText = notFound > 0 ? ` · ${notFound} not found` : "";
+        const doneText = p.status === "completed" ? " · Completed" : "";
         return `
         <div class="checkin-group-card" data-plan-id="${p.id}">
           <div class="checkin-group-info">
             <div class="checkin-group-name">${escapeHtml(p.title)}</div>
-            <div class="checkin-group-meta">${total} card${total !== 1 ? "s" : ""} · ${checked} retrieved</div>
+            <div class="checkin-group-meta">${total} card${total !== 1 ? "s" : ""} · ${checked} retrieved${missingText}${doneText}</div>
           </div>
           <button class="btn btn-sm checkin-view-btn">View</button>
           <button class="btn btn-sm btn-danger plan-delete-btn">Delete</button>
@@ -2192,26 +3631,24 @@ async function showPlanDetail(planId) {
     }
 
     const plan = result.plan;
-    plansDetailHeader.innerHTML = `<strong>${escapeHtml(plan.title)}</strong>`;
+    const deferredText = plan.deferred ? `<div class="plan-walk-meta">Notes update as cards are ticked off</div>` : "";
+    const doneText = plan.status === "completed" ? " · Completed" : "";
+    plansDetailHeader.innerHTML = `<strong>${escapeHtml(plan.title)}</strong>${doneText}${deferredText}`;
 
-    // Group items by source location
-    const groups = new Map();
-    (plan.items || []).forEach((item, idx) => {
-      const loc = item.current_location || "Unknown location";
-      if (!groups.has(loc)) groups.set(loc, []);
-      groups.get(loc).push({ ...item, _index: idx });
-    });
+    // Walk the locations in shelf order, each front to back
+    const path = planPickPath((plan.items || []).map((item, idx) => ({ ...item, _index: idx })), inventoryLocations);
 
-    let html = "";
-    for (const [loc, items] of groups) {
+    let html = `<div class="plan-walk">${escapeHtml(formatPickPath(path))}<div class="plan-walk-meta">${formatFlipEstimate(path)}</div></div>`;
+    for (const stop of path.stops) {
       html += `<div class="plan-location-group">`;
-      html += `<div class="plan-location-header">${escapeHtml(loc)}</div>`;
-      for (const item of items) {
-        const checkedClass = item.checked ? " plan-item-done" : "";
+      html += `<div class="plan-location-header">${escapeHtml(stop.label)}</div>`;
+      for (const item of stop.items) {
+        const stateClass = item.checked ? " plan-item-done" : item.not_found ? " plan-item-missing" : "";
         html += `
-          <div class="plan-item${checkedClass}" data-plan-id="${planId}" data-item-index="${item._index}">
+          <div class="plan-item${stateClass}" data-plan-id="${planId}" data-item-index="${item._index}">
             <input type="checkbox" class="plan-item-cb" ${item.checked ? "checked" : ""}>
-            <span class="plan-item-text">p${item.current_position || "?"} — ${escapeHtml(item.card_name)} (${escapeHtml(item.set_code)} #${item.collectors_number || ""})</span>
+            <span class="plan-item-text">${escapeHtml(formatPosition(item.current_position, stop.layout))} — ${escapeHtml(item.card_name)} (${escapeHtml(item.set_code)} #${item.collectors_number || ""})</span>
+            <button class="btn btn-sm plan-item-missing-btn" title="Couldn't find it here: keep its old note and flag it in the audit">${item.not_found ? "Found" : "Not found"}</button>
           </div>
         `;
       }
@@ -2225,30 +3662,48 @@ async function showPlanDetail(planId) {
   }
 }
 
-plansDetailItems.addEventListener("change", async (e) => {
-  const cb = e.target.closest(".plan-item-cb");
-  if (!cb) return;
-  const item = cb.closest(".plan-item");
+/** Mark a plan item retrieved, not found or neither, then redraw the plan. */
+async function resolvePlanItem(item, state) {
   const planId = Number(item.dataset.planId);
   const itemIndex = Number(item.dataset.itemIndex);
-  const checked = cb.checked;
-
-  if (checked) {
-    item.classList.add("plan-item-done");
-  } else {
-    item.classList.remove("plan-item-done");
-  }
+  item.classList.toggle("plan-item-done", state === "retrieved");
+  item.classList.toggle("plan-item-missing", state === "not_found");
 
   try {
-    await chrome.runtime.sendMessage({
+    const result = await chrome.runtime.sendMessage({
       type: "UPDATE_PLAN_ITEM",
       planId,
       itemIndex,
-      checked,
+      state,
     });
+    if (!result?.ok) {
+      statusMsg.textContent = `Plan update failed: ${result?.error || "unknown"}`;
+      statusMsg.className = "status-message error";
+    } else {
+      if (result.notes > 0) refreshOutboxStatus();
+      if (result.plan.status === "completed") {
+        statusMsg.textContent = `${result.plan.title} completed`;
+        statusMsg.className = "status-message";
+      }
+    }
   } catch (err) {
     console.warn("[overlay] updatePlanItem error:", err);
   }
+  await showPlanDetail(planId);
+}
+
+plansDetailItems.addEventListener("change", async (e) => {
+  const cb = e.target.closest(".plan-item-cb");
+  if (!cb) return;
+  await resolvePlanItem(cb.closest(".plan-item"), cb.checked ? "retrieved" : null);
+});
+
+plansDetailItems.addEventListener("click", async (e) => {
+  const btn = e.target.closest(".plan-item-missing-btn");
+  if (!btn) return;
+  const item = btn.closest(".plan-item");
+  btn.disabled = true;
+  await resolvePlanItem(item, item.classList.contains("plan-item-missing") ? null : "not_found");
 });
 
 plansBackBtn.addEventListener("click", () => {
@@ -2267,20 +3722,15 @@ plansPrintBtn.addEventListener("click", async () => {
 
     const plan = result.plan;
 
-    // Group items by source location
-    const groups = new Map();
-    (plan.items || []).forEach((item) => {
-      const loc = item.current_location || "Unknown";
-      if (!groups.has(loc)) groups.set(loc, []);
-      groups.get(loc).push(item);
-    });
+    const path = planPickPath(plan.items || [], inventoryLocations);
 
-    let listHtml = "";
-    for (const [loc, items] of groups) {
-      listHtml += `<h3>${loc}</h3><ul>`;
-      for (const item of items) {
+    let listHtml = `<p class="walk">${escapeHtml(formatPickPath(path))}<br><em>${formatFlipEstimate(path)}</em></p>`;
+    for (const stop of path.stops) {
+      listHtml += `<h3>${escapeHtml(stop.label)}</h3><ul>`;
+      for (const item of stop.items) {
         const check = item.checked ? "checked" : "";
-        listHtml += `<li><input type="checkbox" ${check} disabled> p${item.current_position || "?"} — ${item.card_name} (${item.set_code} #${item.collectors_number || ""})</li>`;
+        const missing = item.not_found ? " <em>(not found)</em>" : "";
+        listHtml += `<li><input type="checkbox" ${check} disabled> ${formatPosition(item.current_position, stop.layout)} — ${escapeHtml(item.card_name)} (${item.set_code} #${item.collectors_number || ""})${missing}</li>`;
       }
       listHtml += `</ul>`;
     }
@@ -2293,6 +3743,7 @@ plansPrintBtn.addEventListener("click", async () => {
   h3 { color: #555; margin-top: 16px; margin-bottom: 4px; }
   ul { list-style: none; padding-left: 0; }
   li { padding: 4px 0; font-size: 14px; }
+  .walk { font-size: 13px; color: #333; }
   input[type="checkbox"] { margin-right: 8px; }
   @media print { body { font-size: 12px; } }
 </style></head>
@@ -0,0 +1,97 @@
+/**
+ * Binder page/pocket addressing.
+ *
+ * Notes always store a linear position ("bd1p47"). For locations registered
+ * with a page layout, positions are shown and typed as binder coordinates
+ * instead: with 9 pockets per page and cards on both sides, position 47 is
+ * "page 3, slot 2 (back)".
+ *
+ * A layout is any object with `pockets_per_page` and `sides` (1 or 2), such
+ * as a location registry record; a missing or zero `pockets_per_page` means
+ * plain linear positions.
+ */
+
+/**
+ * Whether a location has a page layout.
+ * @param {object|null|undefined} layout
+ * @returns {boolean}
+ */
+export function hasBinderLayout(layout) {
+  return !!layout && layout.pockets_per_page > 0;
+}
+
+/**
+ * Linear position → binder coordinates.
+ *
+ * @param {number} position - 1-based linear position.
+ * @param {{ pockets_per_page: number, sides?: number }} layout
+ * @returns {{ page: number, slot: number, back: boolean }}
+ */
+export function toBinderSlot(position, layout) {
+  const pockets = layout.pockets_per_page;
+  const perPage = pockets * (layout.sides === 2 ? 2 : 1);
+  const index = position - 1;
+  const onPage = index % perPage;
+  return {
+    page: Math.floor(index / perPage) + 1,
+    slot: (onPage % pockets) + 1,
+    back: onPage >= pockets,
+  };
+}
+
+/**
+ * Binder coordinates → linear position.
+ *
+ * @param {{ page: number, slot: number, back?: boolean }} address
+ * @param {{ pockets_per_page: number, sides?: number }} layout
+ * @returns {number}
+ */
+export function fromBinderSlot({ page, slot, back = false }, layout) {
+  const pockets = layout.pockets_per_page;
+  const perPage = pockets * (layout.sides === 2 ? 2 : 1);
+  return (page - 1) * perPage + (back ? pockets : 0) + slot;
+}
+
+/**
+ * Show a position the way it is found on the shelf: "page 3, slot 2
+ * (back)" for binders (no side on single-sided pages), "p47" otherwise.
+ *
+ * @param {number} position
+ * @param {object|null} [layout]
+ * @returns {string}
+ */
+export function formatPosition(position, layout) {
+  if (!position) return "p?";
+  if (!hasBinderLayout(layout)) return `p${position}`;
+  const { page, slot, back } = toBinderSlot(position, layout);
+  const side = layout.sides === 2 ? (back ? " (back)" : " (front)") : "";
+  return `page ${page}, slot ${slot}${side}`;
+}
+
+// "page 3, slot 2 (back)", "3/2b", "p3 s2", "3 2 back"
+const BINDER_ADDRESS_RE =
+  /^(?:page|pg|p)?\s*(\d+)\s*(?:[,/]\s*(?:slot\s*|s)?|\s*(?:slot|s)\s*|\s+)(\d+)\s*\(?\s*(front|back|f|b)?\s*\)?$/i;
+
+/**
+ * Read a typed position. Plain numbers are always linear positions; binder
+ * coordinates are accepted for locations with a layout.
+ *
+ * @param {string} text
+ * @param {object|null} [layout]
+ * @returns {number|null} Linear position, or null if the text is not a
+ *   valid position for this layout.
+ */
+export function parsePosition(text, layout) {
+  const str = String(text ?? "").trim();
+  if (/^\d+$/.test(str)) return Number(str) >= 1 ? Number(str) : null;
+  if (!hasBinderLayout(layout)) return null;
+
+  const match = str.match(BINDER_ADDRESS_RE);
+  if (!match) return null;
+  const page = Number(match[1]);
+  const slot = Number(match[2]);
+  const back = /^b/i.test(match[3] || "");
+  if (page < 1 || slot < 1 || slot > layout.pockets_per_page) return null;
+  if (back && layout.sides !== 2) return null;
+  return fromBinderSlot({ page, slot, back }, layout);
+}
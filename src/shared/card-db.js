@@ -6,7 +6,9 @@
  * Object stores
  * ─────────────
  *  cards  (keyPath: "emid")
- *    Indexes: by_first_letter, by_set_code, by_name
+ *    Indexes: by_first_letter, by_set_code, by_name, by_initials,
+ *    by_search_normalized, by_collector_number, by_set_number,
+ *    by_face_name, by_face_letter (multi-entry: one key per card face)
  *
  *  sets   (keyPath: "set_code")
  *    Cache metadata per set (card count, cached timestamp).
@@ -17,27 +19,70 @@
  *
  *  state  (keyPath: "key")
  *    Arbitrary key/value pairs for persisting location, position,
- *    dividerEvery, foil, language, etc.
+ *    dividerEvery, foil, language, the location note format, etc.
+ *
+ *  locations (keyPath: "tag")
+ *    Indexes: by_parent
+ *    Registered locations: name, type, nesting, capacity, binder layout.
+ *
+ *  outbox (keyPath: "id", autoIncrement)
+ *    Indexes: by_status
+ *    Queued EchoMTG writes (card adds with their location notes, and note
+ *    rewrites for cards shifted to make room), drained
+ *    by the service worker with retry/backoff. Sent entries are kept as
+ *    "done" for a day so the session's adds can be undone.
+ *
+ * backupDatabase() / restoreDatabase() move all of the above through a
+ * single versioned JSON document.
  */
 
 import { extractVariantTags, normalizeCardName } from "./card-name-utils.js";
+import { DEFAULT_NOTE_FORMAT, compileNoteFormat, formatNote, parseNote } from "./note-format.js";
 import {
+  compareCollectorNumbers,
+  createFuzzyIntent,
   detectSearchIntent,
   extractTokens,
+  foldForSearch,
   generateInitials,
   generateProgressiveInitials,
+  matchedFace,
   matchesTokenPrefixes,
   normalizeForSearch,
-  scoreMatch
+  parseSearchQuery,
+  scoreMatch,
+  splitFaces
 } from "./search-utils.js";
 
 
 const DB_NAME = "echomtg_fast_inventory";
-const DB_VERSION = 6;
+export const DB_VERSION = 10;
+
+/**
+ * Version of the derived search fields written by toCardRecord(). Bump this
+ * whenever those fields change so cached cards are re-indexed through
+ * migrateSearchSchema().
+ */
+const SEARCH_SCHEMA_VERSION = 4;
 
 /** @type {IDBDatabase|null} */
 let _db = null;
 
+/** State key of the location note template. */
+const NOTE_FORMAT_KEY = "noteFormat";
+
+/** State key of the templates used before the current one, newest first. */
+const NOTE_FORMAT_HISTORY_KEY = "noteFormatHistory";
+
+/** How many earlier templates relocateNote() still recognises. */
+const NOTE_FORMAT_HISTORY_SIZE = 5;
+
+/** Compiled note template, loaded from state by openDB(). */
+let _noteFormat = compileNoteFormat(DEFAULT_NOTE_FORMAT);
+
+/** Compiled earlier templates, newest first, loaded with _noteFormat. */
+let _oldNoteFormats = [];
+
 /**
  * Open (or create) the database.  Returns the same instance on subsequent
  * calls within the same execution context.
@@ -150,16 +195,83 @@ function openDB() {
           console.log("[db] v6 repair: added missing by_search_normalized index");
         }
       }
+
+      // Upgrade to version 7 - add outbox store for queued EchoMTG writes
+      if (oldVersion < 7) {
+        if (!db.objectStoreNames.contains("outbox")) {
+          const outbox = db.createObjectStore("outbox", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          outbox.createIndex("by_status", "status", { unique: false });
+          console.log("[db] Upgraded to version 7 - added outbox store");
+        }
+      }
+
+      // Upgrade to version 8 - collector number lookup indexes
+      if (oldVersion < 8) {
+        const cards = req.transaction.objectStore("cards");
+        if (!cards.indexNames.contains("by_collector_number")) {
+          cards.createIndex("by_collector_number", "collectors_number_lower", { unique: false });
+        }
+        if (!cards.indexNames.contains("by_set_number")) {
+          cards.createIndex("by_set_number", ["set_code", "collectors_number_lower"], { unique: false });
+        }
+        console.log("[db] Upgraded to version 8 - added collector number indexes");
+      }
+
+      // Upgrade to version 9 - per-face indexes for double-faced/split cards
+      if (oldVersion < 9) {
+        const cards = req.transaction.objectStore("cards");
+        if (!cards.indexNames.contains("by_face_name")) {
+          cards.createIndex("by_face_name", "face_names", { unique: false, multiEntry: true });
+        }
+        if (!cards.indexNames.contains("by_face_letter")) {
+          cards.createIndex("by_face_letter", "face_letters", { unique: false, multiEntry: true });
+        }
+        console.log("[db] Upgraded to version 9 - added card face indexes");
+      }
+
+      // Upgrade to version 10 - location registry
+      if (oldVersion < 10) {
+        if (!db.objectStoreNames.contains("locations")) {
+          const locations = db.createObjectStore("locations", { keyPath: "tag" });
+          locations.createIndex("by_parent", "parent_tag", { unique: false });
+          console.log("[db] Upgraded to version 10 - added locations store");
+        }
+      }
     };
 
     req.onsuccess = () => {
       _db = req.result;
-      resolve(_db);
+      loadNoteFormat(_db).finally(() => resolve(_db));
     };
     req.onerror = () => reject(req.error);
   });
 }
 
+/**
+ * Load the saved note template for parseNoteLocation() and
+ * formatNoteLocation(), keeping the default if it can't be read, along
+ * with the templates used before it.
+ *
+ * @param {IDBDatabase} db
+ */
+async function loadNoteFormat(db) {
+  try {
+    const tx = db.transaction("state", "readonly");
+    const store = tx.objectStore("state");
+    const saved = await promisify(store.get(NOTE_FORMAT_KEY));
+    const history = await promisify(store.get(NOTE_FORMAT_HISTORY_KEY));
+    _noteFormat = compileNoteFormat(saved?.value || DEFAULT_NOTE_FORMAT);
+    _oldNoteFormats = (history?.value || []).map(compileNoteFormat);
+  } catch (err) {
+    console.warn("[db] Using the default note format:", err);
+    _noteFormat = compileNoteFormat(DEFAULT_NOTE_FORMAT);
+    _oldNoteFormats = [];
+  }
+}
+
 /**
  * Wrap an IDBRequest in a Promise.
  * @param {IDBRequest} req
@@ -199,32 +311,37 @@ function txComplete(tx) {
  * @returns {function(object): boolean}
  */
 function inventoryMatcher(intent, rawQuery) {
-  const q = rawQuery.trim().toLowerCase();
+  const q = foldForSearch(rawQuery.trim());
 
   switch (intent.strategy) {
     case "initials":
     case "space_initials": {
       const initials = intent.query; // already lowercased
-      return (rec) => {
-        const cardInitials = generateInitials(rec.name || "");
-        return cardInitials.startsWith(initials);
-      };
+      return (rec) =>
+        splitFaces(rec.name || "").some((face) => generateInitials(face).startsWith(initials));
     }
 
     case "multi_token": {
       const tokens = intent.tokens;
+      // "bolt 2" could also be set BOLT, number 2
+      const collector = intent.collector && inventoryMatcher({ strategy: "collector_number", ...intent.collector }, rawQuery);
       return (rec) => {
         const cardTokens = extractTokens(rec.name || "");
-        return matchesTokenPrefixes(tokens, cardTokens);
+        return matchesTokenPrefixes(tokens, cardTokens) || (collector ? collector(rec) : false);
       };
     }
 
     case "prefix":
-      return (rec) => rec.name_lower.startsWith(q);
+      return (rec) => normalizeForSearch(rec.name || "").startsWith(intent.query);
+
+    case "collector_number":
+      return (rec) =>
+        (!intent.setCode || rec.set_code === intent.setCode) &&
+        String(rec.collectors_number ?? "").toLowerCase().startsWith(intent.number);
 
     default:
       // Fallback to substring
-      return (rec) => rec.name_lower.includes(q);
+      return (rec) => foldForSearch(rec.name || "").includes(q);
   }
 }
 
@@ -243,14 +360,18 @@ function inventoryMatcher(intent, rawQuery) {
 export function toCardRecord(raw, setCode, setName) {
   const name = (raw.name || "").trim();
   const nameLower = name.toLowerCase();
-  const nameNormalized = normalizeCardName(name).toLowerCase();
+  const nameNormalized = foldForSearch(normalizeCardName(name));
   const searchNormalized = normalizeForSearch(name);
   const { tags, isFoilVariant } = extractVariantTags(name);
 
-  // Generate search indexes for advanced search
+  // Generate search indexes for advanced search. Multi-face cards
+  // ("Fire // Ice") get initials and a prefix key for every face.
+  const faces = splitFaces(name);
+  const faceNames = faces.map(normalizeForSearch);
+  const faceInitials = faces.map(generateInitials);
   const tokens = extractTokens(name);
-  const initials = generateInitials(name);
-  const progressiveInitials = generateProgressiveInitials(name);
+  const initials = faceInitials[0] || "";
+  const progressiveInitials = [...new Set(faces.flatMap(generateProgressiveInitials))];
 
   return {
     emid: raw.emid,
@@ -259,37 +380,675 @@ export function toCardRecord(raw, setCode, setName) {
     name_normalized: nameNormalized,
     search_normalized: searchNormalized,
     first_letter: searchNormalized.charAt(0) || "",
+    faces,
+    face_names: faceNames,
+    face_letters: [...new Set(faceNames.map((face) => face.charAt(0)).filter(Boolean))],
+    face_initials: faceInitials,
     tokens,
     initials,
     progressive_initials: progressiveInitials,
     set_code: setCode,
     set_name: setName,
     collectors_number: raw.collectors_number,
+    collectors_number_lower: String(raw.collectors_number ?? "").trim().toLowerCase(),
     rarity: (raw.rarity || "").trim(),
     main_type: (raw.main_type || "").trim(),
     image: raw.image || "",
     image_cropped: raw.image_cropped || "",
     variant_tags: tags,
     is_foil_variant: isFoilVariant,
+    search_version: SEARCH_SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Transform an item from EchoMTG's /inventory/view/ API into the inventory
+ * record shape produced by the CSV import, plus its note_id and remote_note
+ * (the note as EchoMTG holds it, which a sync may keep apart from `note`).
+ *
+ * @param {object} item - Inventory item from the API.
+ * @returns {object} Inventory record.
+ */
+export function toInventoryRecord(item) {
+  const name = (item.name || "").trim();
+  const noteId = Number(item.note_id) || 0;
+  const note = (item.note || "").trim();
+
+  return {
+    echo_inventory_id: Number(item.inventory_id) || 0,
+    emid: Number(item.emid) || 0,
+    name,
+    name_lower: name.toLowerCase(),
+    set_code: (item.set_code || "").toUpperCase(),
+    set_name: item.set || "",
+    collectors_number: String(item.collectors_number ?? ""),
+    rarity: item.rarity || "",
+    main_type: item.main_type || "",
+    condition: item.condition || "NM",
+    language: item.language || "EN",
+    foil: Number(item.foil) > 0,
+    note,
+    remote_note: note,
+    // note_id is 0 when no note exists
+    ...(noteId > 0 ? { note_id: noteId } : {}),
+    acquired_price: parseFloat(item.price_acquired) || 0,
+    date_acquired: item.date_acquired || "",
   };
 }
 
+/** Importer an inventory record came from; EchoMTG records carry none. */
+function inventorySource(rec) {
+  return rec.source || "echomtg";
+}
+
+/**
+ * Diff incoming inventory records against the local ones and build the
+ * merged records to write.
+ *
+ * @param {object[]} existing - Local inventory records.
+ * @param {object[]} records - Incoming inventory records.
+ * @param {object} [options]
+ * @param {boolean} [options.keepLocalNotes=false] - Resolve note conflicts locally.
+ * @param {boolean} [options.truncated=false] - The records are only part of
+ *   the inventory (a sync stopped early), so nothing missing is removed.
+ * @returns {{ summary: object, merged: object[], removedIds: number[] }}
+ */
+function diffInventoryRecords(existing, records, { keepLocalNotes = false, truncated = false } = {}) {
+  // Only items from the same source as the import can be removed by it, so
+  // a Moxfield import doesn't drop the EchoMTG inventory and vice versa
+  const sources = new Set(records.map(inventorySource));
+  const local = new Map(
+    existing
+      .filter((rec) => sources.has(inventorySource(rec)))
+      .map((rec) => [rec.echo_inventory_id, rec])
+  );
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0, conflicts: [] };
+  const merged = [];
+
+  for (const incoming of records) {
+    const current = local.get(incoming.echo_inventory_id);
+    local.delete(incoming.echo_inventory_id);
+
+    if (!current) {
+      summary.added++;
+      merged.push(incoming);
+      continue;
+    }
+
+    // EchoMTG's copy of the note is bookkeeping, not a change to report
+    const differs = Object.keys(incoming).some((key) => key !== "remote_note" && incoming[key] !== current[key]);
+    if (!differs) {
+      summary.unchanged++;
+      if ("remote_note" in incoming && incoming.remote_note !== current.remote_note) {
+        merged.push({ ...current, remote_note: incoming.remote_note });
+      }
+      continue;
+    }
+    summary.changed++;
+
+    // Local-only fields (note_id, ...) survive; incoming values win otherwise
+    const rec = { ...current, ...incoming };
+    if ((current.note || "") !== (incoming.note || "")) {
+      summary.conflicts.push({
+        echo_inventory_id: incoming.echo_inventory_id,
+        name: incoming.name || current.name,
+        local: current.note || "",
+        incoming: incoming.note || "",
+      });
+      if (keepLocalNotes) rec.note = current.note;
+    }
+    merged.push(rec);
+  }
+
+  const removedIds = truncated ? [] : [...local.keys()];
+  summary.removed = removedIds.length;
+  return { summary, merged, removedIds };
+}
+
 // ---------------------------------------------------------------------------
 // Location helpers
 // ---------------------------------------------------------------------------
 
 /**
- * Parse a location note like "b5r1p3" into { tag: "b5r1", position: 3 }.
- * Returns { tag: null, position: null } for empty or non-matching notes.
+ * Parse a location note like "b5r1p3" into { tag: "b5r1", position: 3 },
+ * using the configured note format. Free text after the location is
+ * returned as `extra`; notes that don't match have a null tag and position
+ * and are all extra.
  *
  * @param {string} note
- * @returns {{ tag: string|null, position: number|null }}
+ * @returns {{ tag: string|null, position: number|null, extra: string }}
  */
 export function parseNoteLocation(note) {
-  if (!note || typeof note !== "string") return { tag: null, position: null };
-  const match = note.trim().match(/^(.+?)p(\d+)$/);
-  if (!match) return { tag: null, position: null };
-  return { tag: match[1], position: Number(match[2]) };
+  return parseNote(note, _noteFormat);
+}
+
+/**
+ * Write a location note in the configured format, e.g. "b5r1p3".
+ *
+ * @param {string} tag
+ * @param {number} position
+ * @param {string} [extra=""] - Free text to keep after the location.
+ * @returns {string}
+ */
+export function formatNoteLocation(tag, position, extra = "") {
+  return formatNote(tag, position, extra, _noteFormat);
+}
+
+/**
+ * Whether a checked-out card's note, locally or on EchoMTG (when known),
+ * no longer points at the slot it was moved to.
+ */
+function checkoutNoteOff(inv, co) {
+  const pointsAt = (note) => {
+    const { tag, position } = parseNoteLocation(note);
+    return tag === co.target_location && position === co.target_position;
+  };
+  return !pointsAt(inv.note) || (inv.remote_note !== undefined && !pointsAt(inv.remote_note));
+}
+
+/**
+ * Rewrite the location in a note, keeping the user's free text. A note
+ * still in an earlier template (the format was switched without
+ * rewriting) loses its old location too, instead of keeping it as text.
+ */
+function relocateNote(note, tag, position) {
+  let { tag: current, extra } = parseNoteLocation(note);
+  if (!current) {
+    const old = _oldNoteFormats.map((format) => parseNote(note, format)).find((parsed) => parsed.tag);
+    if (old) extra = old.extra;
+  }
+  return formatNoteLocation(tag, position, extra);
+}
+
+/**
+ * Work out where moved cards land and what is in their way.
+ *
+ * Occupied slots are inventory notes at the target location, the source
+ * slots of cards checked out from it (held for their return) and the
+ * target slots of deferred moves into it that haven't been retrieved yet.
+ * "insert" shifts everything at or after the offset down by the number of
+ * cards moved; "append" leaves it alone and reports the slots in the way.
+ *
+ * @param {object[]} inventory - All inventory records.
+ * @param {object[]} outstanding - Checkout records with status "out".
+ * @param {number[]} inventoryIds - Cards being moved, in order.
+ * @param {string} targetLocation
+ * @param {number} targetOffset
+ * @param {"insert"|"append"} mode
+ * @param {object[]} [pending=[]] - Checkout records with status "pending".
+ * @returns {{ placements: object[], shifts: object[], collisions: object[] }}
+ *   Entries are { echo_inventory_id, name, from, to } for inventory notes;
+ *   held slots carry checkout_id and reserved: true instead (and
+ *   arriving: true for deferred moves).
+ */
+function planPlacement(inventory, outstanding, inventoryIds, targetLocation, targetOffset, mode, pending = []) {
+  const count = inventoryIds.length;
+  const moving = new Set(inventoryIds);
+  const byId = new Map(inventory.map((rec) => [rec.echo_inventory_id, rec]));
+  const slot = (pos, extra) => formatNoteLocation(targetLocation, pos, extra);
+
+  const placements = inventoryIds.map((id, i) => ({
+    echo_inventory_id: id,
+    name: byId.get(id)?.name || "",
+    from: byId.get(id)?.note || "",
+    to: relocateNote(byId.get(id)?.note, targetLocation, targetOffset + i),
+  }));
+
+  const occupants = [];
+  for (const rec of inventory) {
+    if (moving.has(rec.echo_inventory_id)) continue;
+    const { tag, position, extra } = parseNoteLocation(rec.note);
+    if (tag === targetLocation) {
+      occupants.push({ echo_inventory_id: rec.echo_inventory_id, name: rec.name, position, extra });
+    }
+  }
+  for (const co of outstanding) {
+    if (co.source_location === targetLocation && !moving.has(co.echo_inventory_id)) {
+      occupants.push({ checkout_id: co.id, name: co.card_name, position: co.source_position, reserved: true });
+    }
+  }
+  for (const co of pending) {
+    if (co.target_location === targetLocation && !moving.has(co.echo_inventory_id)) {
+      occupants.push({
+        checkout_id: co.id,
+        name: co.card_name,
+        position: co.target_position,
+        reserved: true,
+        arriving: true,
+      });
+    }
+  }
+  occupants.sort((a, b) => a.position - b.position);
+
+  const shifts = [];
+  const collisions = [];
+  for (const { position, extra, ...occupant } of occupants) {
+    if (position < targetOffset) continue;
+    if (mode === "insert") {
+      shifts.push({ ...occupant, from: slot(position, extra), to: slot(position + count, extra) });
+    } else if (position < targetOffset + count) {
+      collisions.push({ ...occupant, from: slot(position, extra), to: null });
+    }
+  }
+
+  return { placements, shifts, collisions };
+}
+
+/**
+ * Renumber a location's cards 1..n in their current order, closing the
+ * holes left by pulled cards (and splitting duplicate positions).
+ *
+ * Cards checked out from the location lose their held slots; they are
+ * given new ones after the compacted cards, in their old order, so
+ * returning them appends rather than collides.
+ *
+ * @param {object[]} inventory - All inventory records.
+ * @param {object[]} outstanding - Checkout records with status "out".
+ * @param {string} locationTag
+ * @returns {{ location: string, count: number, moves: object[], released: object[] }}
+ *   moves are { echo_inventory_id, name, set_code, collectors_number, from,
+ *   to } for cards whose note changes; released are { checkout_id, name,
+ *   from, to } for held slots.
+ */
+function planCompaction(inventory, outstanding, locationTag) {
+  const located = [];
+  for (const rec of inventory) {
+    const { tag, position } = parseNoteLocation(rec.note);
+    if (tag === locationTag) located.push({ rec, position });
+  }
+  located.sort((a, b) => a.position - b.position || (a.rec.name || "").localeCompare(b.rec.name || ""));
+
+  const moves = [];
+  located.forEach(({ rec }, i) => {
+    const to = relocateNote(rec.note, locationTag, i + 1);
+    if (rec.note.trim() !== to) {
+      moves.push({
+        echo_inventory_id: rec.echo_inventory_id,
+        name: rec.name,
+        set_code: rec.set_code || "",
+        collectors_number: rec.collectors_number || "",
+        from: rec.note.trim(),
+        to,
+      });
+    }
+  });
+
+  const released = outstanding
+    .filter((co) => co.source_location === locationTag)
+    .sort((a, b) => a.source_position - b.source_position)
+    .map((co, i) => ({
+      checkout_id: co.id,
+      name: co.card_name,
+      from: formatNoteLocation(locationTag, co.source_position),
+      to: formatNoteLocation(locationTag, located.length + i + 1),
+    }))
+    .filter((r) => r.from !== r.to);
+
+  return { location: locationTag, count: located.length, moves, released };
+}
+
+/**
+ * Refuse to renumber a location while deferred moves into it are still
+ * waiting: their reserved slots aren't in any note to renumber.
+ *
+ * @param {object[]} pending - Checkout records with status "pending".
+ * @param {string} locationTag
+ */
+function assertNoArrivals(pending, locationTag) {
+  const arriving = pending.filter((co) => co.target_location === locationTag).length;
+  if (arriving > 0) {
+    throw new Error(
+      `${arriving} card${arriving === 1 ? " is" : "s are"} still to be retrieved into ${locationTag}; finish or delete that plan first`
+    );
+  }
+}
+
+/**
+ * Unoccupied [[from, to], ...] runs below the highest of some sorted
+ * positions, e.g. [2, 3, 7] → [[1, 1], [4, 6]].
+ */
+function gapRanges(occupied) {
+  const ranges = [];
+  let previous = 0;
+  for (const pos of occupied) {
+    if (pos > previous + 1) ranges.push([previous + 1, pos - 1]);
+    previous = Math.max(previous, pos);
+  }
+  return ranges;
+}
+
+/**
+ * Check the location data for problems.
+ *
+ * - collisions: two or more cards noted at the same slot
+ * - gaps: positions below a location's highest that nothing occupies
+ *   (slots held for checked-out cards count as occupied)
+ * - unparsed: notes with text but no location in the current format
+ * - unlocated: cards with an empty note
+ * - mismatches: cards still checked out whose note, locally or on EchoMTG
+ *   as of the last sync or note write, doesn't point at the slot they
+ *   were moved to
+ * - notFound: cards a retrieval plan couldn't find where their note says
+ *
+ * @param {object[]} inventory - All inventory records.
+ * @param {object[]} outstanding - Checkout records with status "out".
+ * @param {object} [flagged]
+ * @param {object[]} [flagged.pending=[]] - Checkout records with status
+ *   "pending"; their target slots count as held.
+ * @param {object[]} [flagged.notFound=[]] - Checkout records with status
+ *   "not_found".
+ * @returns {{ collisions: object[], gaps: object[], unparsed: object[],
+ *   unlocated: object[], mismatches: object[], notFound: object[] }}
+ *   collisions are { location, position, cards }; gaps are { location,
+ *   missing: [[from, to], ...], count }; unparsed and unlocated are
+ *   { echo_inventory_id, name, note }; mismatches are { checkout_id,
+ *   echo_inventory_id, name, note, echo_note (null if unknown), expected };
+ *   notFound are { checkout_id, echo_inventory_id, name, note }.
+ */
+function auditLocations(inventory, outstanding, { pending = [], notFound = [] } = {}) {
+  const card = (rec) => ({ echo_inventory_id: rec.echo_inventory_id, name: rec.name, note: rec.note || "" });
+  const slots = new Map(); // tag → Map(position → cards)
+  const unparsed = [];
+  const unlocated = [];
+
+  for (const rec of inventory) {
+    const { tag, position, extra } = parseNoteLocation(rec.note);
+    if (!tag) {
+      (extra ? unparsed : unlocated).push(card(rec));
+      continue;
+    }
+    if (!slots.has(tag)) slots.set(tag, new Map());
+    const byPosition = slots.get(tag);
+    if (!byPosition.has(position)) byPosition.set(position, []);
+    byPosition.get(position).push(card(rec));
+  }
+
+  const held = new Map();
+  for (const co of outstanding) {
+    if (!co.source_location) continue;
+    if (!held.has(co.source_location)) held.set(co.source_location, new Set());
+    held.get(co.source_location).add(co.source_position);
+  }
+  for (const co of pending) {
+    if (!held.has(co.target_location)) held.set(co.target_location, new Set());
+    held.get(co.target_location).add(co.target_position);
+  }
+
+  const collisions = [];
+  const gaps = [];
+  const byTag = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  for (const tag of Array.from(slots.keys()).sort(byTag)) {
+    const byPosition = slots.get(tag);
+    const heldHere = held.get(tag) || new Set();
+    const positions = Array.from(byPosition.keys()).sort((a, b) => a - b);
+
+    for (const position of positions) {
+      const cards = byPosition.get(position);
+      if (cards.length > 1) collisions.push({ location: tag, position, cards });
+    }
+
+    const highest = positions[positions.length - 1];
+    const occupied = [...positions, ...Array.from(heldHere).filter((pos) => pos < highest)].sort((a, b) => a - b);
+    const missing = gapRanges(occupied);
+    const count = missing.reduce((sum, [from, to]) => sum + to - from + 1, 0);
+    if (count > 0) gaps.push({ location: tag, missing, count });
+  }
+
+  const byId = new Map(inventory.map((rec) => [rec.echo_inventory_id, rec]));
+  const mismatches = [];
+  for (const co of outstanding) {
+    const inv = byId.get(co.echo_inventory_id);
+    if (!inv || !checkoutNoteOff(inv, co)) continue;
+    mismatches.push({
+      checkout_id: co.id,
+      echo_inventory_id: co.echo_inventory_id,
+      name: inv.name,
+      note: inv.note || "",
+      echo_note: inv.remote_note ?? null,
+      expected: relocateNote(inv.note, co.target_location, co.target_position),
+    });
+  }
+
+  const missingCards = notFound.map((co) => ({
+    checkout_id: co.id,
+    echo_inventory_id: co.echo_inventory_id,
+    name: co.card_name,
+    note: byId.get(co.echo_inventory_id)?.note || "",
+  }));
+
+  return { collisions, gaps, unparsed, unlocated, mismatches, notFound: missingCards };
+}
+
+/**
+ * How each located note reads in another note format, keeping its free
+ * text.
+ *
+ * @param {object[]} inventory - All inventory records.
+ * @param {object} format - From compileNoteFormat().
+ * @returns {{ changes: object[], unparsed: number }} changes are
+ *   { echo_inventory_id, name, from, to } for notes that would change;
+ *   unparsed counts non-empty notes without a location.
+ */
+function planNoteRewrite(inventory, format) {
+  const changes = [];
+  let unparsed = 0;
+  for (const rec of inventory) {
+    const { tag, position, extra } = parseNoteLocation(rec.note);
+    if (!tag) {
+      if (extra) unparsed++;
+      continue;
+    }
+    const to = formatNote(tag, position, extra, format);
+    if (to !== rec.note.trim()) {
+      changes.push({ echo_inventory_id: rec.echo_inventory_id, name: rec.name, from: rec.note.trim(), to });
+    }
+  }
+  return { changes, unparsed };
+}
+
+/**
+ * Card count and highest position per location tag, from inventory notes
+ * plus the target slots of active checkouts and unretrieved deferred moves.
+ *
+ * @param {object[]} inventory
+ * @param {object[]} checkouts
+ * @returns {Map<string, { count: number, maxPosition: number }>}
+ */
+function locationStats(inventory, checkouts) {
+  const stats = new Map();
+  const entry = (tag) => {
+    if (!stats.has(tag)) stats.set(tag, { count: 0, maxPosition: 0 });
+    return stats.get(tag);
+  };
+
+  for (const rec of inventory) {
+    const { tag, position } = parseNoteLocation(rec.note);
+    if (!tag) continue;
+    const stat = entry(tag);
+    stat.count++;
+    if (position > stat.maxPosition) stat.maxPosition = position;
+  }
+
+  for (const co of checkouts) {
+    if ((co.status === "out" || co.status === "pending") && co.target_location) {
+      const stat = entry(co.target_location);
+      const pos = co.target_position || 0;
+      if (pos > stat.maxPosition) stat.maxPosition = pos;
+    }
+  }
+
+  return stats;
+}
+
+// ---------------------------------------------------------------------------
+// Location registry
+// ---------------------------------------------------------------------------
+
+/** Kinds of registered location: storage hierarchy levels, then containers. */
+const LOCATION_TYPES = ["room", "shelf", "box", "row", "binder", "deck"];
+
+/**
+ * Validate a location entry before it is stored.
+ *
+ * @param {object} input - { tag, name?, type?, parent_tag?, capacity?,
+ *   pockets_per_page?, sides? }
+ * @param {Map<string, object>} byTag - Registered locations.
+ * @returns {object} Record for the locations store.
+ * @throws {Error} On a missing tag, unknown type or parent, a parent loop,
+ *   or a capacity or page layout that is not a positive whole number.
+ */
+function toLocationRecord(input, byTag) {
+  const tag = String(input?.tag ?? "").trim();
+  if (!tag) throw new Error("Location tag is required");
+
+  const type = input.type || "box";
+  if (!LOCATION_TYPES.includes(type)) throw new Error(`Unknown location type: ${type}`);
+
+  const parentTag = String(input.parent_tag ?? "").trim() || null;
+  if (parentTag) {
+    if (!byTag.has(parentTag)) throw new Error(`Unknown parent location: ${parentTag}`);
+    for (let t = parentTag; t; t = byTag.get(t)?.parent_tag) {
+      if (t === tag) throw new Error(`${tag} cannot be inside itself`);
+    }
+  }
+
+  const wholeOrNull = (value, message) => {
+    if (value == null || value === "") return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(message);
+    return n;
+  };
+  const capacity = wholeOrNull(input.capacity, "Capacity must be a whole number of cards");
+  // Binder pages: positions are shown as page/slot but notes stay linear
+  const pockets = wholeOrNull(input.pockets_per_page, "Pockets per page must be a whole number");
+  const sides = Number(input.sides) === 2 ? 2 : 1;
+  // Where it comes among its siblings when a retrieval plan is walked
+  const walkOrder = wholeOrNull(input.walk_order, "Walk order must be a whole number");
+
+  const now = Date.now();
+  return {
+    tag,
+    name: String(input.name ?? "").trim() || tag,
+    type,
+    parent_tag: parentTag,
+    capacity,
+    pockets_per_page: pockets,
+    sides: pockets ? sides : null,
+    walk_order: walkOrder,
+    created_at: byTag.get(tag)?.created_at || now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Display label for a location: its parent's name and its own, e.g.
+ * "Blue Box, Row 1". Unregistered tags are shown as-is.
+ */
+function locationLabel(tag, byTag) {
+  const loc = byTag.get(tag);
+  if (!loc) return tag;
+  const parent = loc.parent_tag && byTag.get(loc.parent_tag);
+  return parent ? `${parent.name}, ${loc.name}` : loc.name;
+}
+
+/**
+ * Merge the registry with the locations found in notes. Card counts roll
+ * up the hierarchy, so a box counts the cards in its rows.
+ *
+ * @param {object[]} registry - Records from the locations store.
+ * @param {Map<string, { count: number, maxPosition: number }>} stats
+ * @returns {object[]} { tag, name, label, type, parent_tag, capacity,
+ *   pockets_per_page, sides, walk_order, registered, count, maxPosition },
+ *   sorted by tag.
+ */
+function summarizeLocations(registry, stats) {
+  const byTag = new Map(registry.map((loc) => [loc.tag, loc]));
+  const summaries = new Map();
+
+  for (const tag of new Set([...byTag.keys(), ...stats.keys()])) {
+    const loc = byTag.get(tag);
+    const own = stats.get(tag);
+    summaries.set(tag, {
+      tag,
+      name: loc?.name || tag,
+      label: locationLabel(tag, byTag),
+      type: loc?.type || null,
+      parent_tag: loc?.parent_tag || null,
+      capacity: loc?.capacity ?? null,
+      pockets_per_page: loc?.pockets_per_page ?? null,
+      sides: loc?.sides ?? null,
+      walk_order: loc?.walk_order ?? null,
+      registered: !!loc,
+      count: own?.count || 0,
+      maxPosition: own?.maxPosition || 0,
+    });
+  }
+
+  for (const [tag, { count }] of stats) {
+    const seen = new Set([tag]);
+    for (let p = byTag.get(tag)?.parent_tag; p && !seen.has(p); p = byTag.get(p)?.parent_tag) {
+      seen.add(p);
+      summaries.get(p).count += count;
+    }
+  }
+
+  return Array.from(summaries.values()).sort((a, b) =>
+    a.tag.localeCompare(b.tag, undefined, { numeric: true })
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Backup format
+// ---------------------------------------------------------------------------
+
+/** Marks a JSON file as a Scroll Rack database backup. */
+const BACKUP_FORMAT = "scroll-rack-backup";
+
+/** Layout version of the backup file itself (the schema is db_version). */
+const BACKUP_FORMAT_VERSION = 1;
+
+/** Stores that can be rebuilt by re-caching sets, so backups may omit them. */
+const CARD_CACHE_STORES = ["cards", "sets"];
+
+// ---------------------------------------------------------------------------
+// Search tuning
+// ---------------------------------------------------------------------------
+
+// searchCards adds fuzzy matches when strict strategies find fewer than this
+const FUZZY_MIN_RESULTS = 3;
+
+// Strategies whose queries are name text, and so worth typo-correcting
+const FUZZY_STRATEGIES = new Set(["prefix", "multi_token"]);
+
+// Shorter queries are still being typed; fuzzy hits would only be noise
+const FUZZY_MIN_QUERY_LENGTH = 4;
+
+// ---------------------------------------------------------------------------
+// Query filter helpers
+// ---------------------------------------------------------------------------
+
+// compareCollectorNumbers() result → whether a cn<op> query term passes
+const COLLECTOR_NUMBER_OPS = {
+  "=": (cmp) => cmp === 0,
+  ">": (cmp) => cmp > 0,
+  ">=": (cmp) => cmp >= 0,
+  "<": (cmp) => cmp < 0,
+  "<=": (cmp) => cmp <= 0,
+};
+
+/**
+ * Drop query filters that only apply to inventory (language, location)
+ * so they don't reject every cached card, which carries neither.
+ */
+function cardQueryFilters(filters) {
+  const { languages, locations, exclude, ...rest } = filters;
+  if (exclude) {
+    const cardExclude = exclude
+      .map((ex) => cardQueryFilters(ex))
+      .filter((ex) => Object.keys(ex).length > 0);
+    if (cardExclude.length > 0) rest.exclude = cardExclude;
+  }
+  return rest;
 }
 
 // ---------------------------------------------------------------------------
@@ -407,9 +1166,9 @@ const CardDB = {
       const tx = db.transaction("cards", "readonly");
       const store = tx.objectStore("cards");
       
-      // Get a few cards to check if they have search fields
+      // Get a few cards to check if their search fields are current
       const cards = await promisify(store.getAll(undefined, 5));
-      return cards.length > 0 && cards.some(card => !card.tokens || !card.initials);
+      return cards.length > 0 && cards.some(card => card.search_version !== SEARCH_SCHEMA_VERSION);
     } catch (err) {
       console.warn("[db] Migration check failed:", err);
       return false;
@@ -433,7 +1192,7 @@ const CardDB = {
       
       for (const card of cards) {
         // Check if card needs migration
-        if (!card.tokens || !card.initials) {
+        if (card.search_version !== SEARCH_SCHEMA_VERSION) {
           // Regenerate card record with new search fields
           const updated = toCardRecord(
             {
@@ -484,6 +1243,13 @@ const CardDB = {
    * - Space-separated initials ("S F" → "Stormfighter Falcon") 
    * - Multi-token search ("storm fal" → "Stormfighter Falcon")
    * - Prefix search ("sto" → "Stormfighter")
+   * - Collector number ("mh3 241", "241", "mh3#241a") via the
+   *   by_set_number / by_collector_number indexes
+   * - Fuzzy fallback ("thalia guardien") when the strategies above find
+   *   fewer than FUZZY_MIN_RESULTS cards; near-misses rank after them
+   *
+   * Every face of a multi-face card is searchable; such results carry a
+   * matched_face index so the UI can highlight the face that matched.
    *
    * @param {string} query - User's search input.
    * @param {string[]} [activeSets] - If provided, only return cards from
@@ -494,12 +1260,22 @@ const CardDB = {
   async searchCards(query, activeSets, maxResults = 20) {
     if (!query || !query.trim()) return [];
 
-    const intent = detectSearchIntent(query);
+    const parsed = parseSearchQuery(query);
+    const queryFilters = cardQueryFilters(parsed.filters);
     const setFilter =
       activeSets && activeSets.length > 0
         ? new Set(activeSets.map((s) => s.toUpperCase()))
         : null;
 
+    // Filter-only query ("s:mh3 r:mythic"): list matching cards
+    if (!parsed.text) {
+      return this.searchByFilters(queryFilters, setFilter, maxResults);
+    }
+
+    query = parsed.text;
+    const knownSets = new Set((await this.getCachedSets()).map((set) => set.set_code));
+    const intent = detectSearchIntent(query, knownSets);
+    const fuzzyIds = new Set();
     let candidates = [];
 
     try {
@@ -519,6 +1295,10 @@ const CardDB = {
         case "prefix":
           candidates = await this.searchByPrefix(intent.query, setFilter);
           break;
+
+        case "collector_number":
+          candidates = await this.searchByCollectorNumber(intent.setCode, intent.number, setFilter);
+          break;
           
         default:
           // Fallback to basic search
@@ -526,6 +1306,10 @@ const CardDB = {
           break;
       }
 
+      if (parsed.hasFilters) {
+        candidates = candidates.filter((card) => this._matchesFilters(card, queryFilters));
+      }
+
       // Score and sort results
       if (candidates.length > 0 && intent.strategy !== "prefix") {
         const scored = candidates.map(card => ({
@@ -533,11 +1317,31 @@ const CardDB = {
           score: scoreMatch(intent, card)
         }));
 
-        scored.sort((a, b) => a.score - b.score);
+        scored.sort((a, b) =>
+          a.score - b.score ||
+          (intent.strategy === "collector_number"
+            ? compareCollectorNumbers(a.card.collectors_number, b.card.collectors_number)
+            : 0)
+        );
         candidates = scored.map(item => item.card);
       }
 
-      return candidates.slice(0, maxResults);
+      // Typo-tolerant fallback when the strict strategies come up short
+      if (candidates.length < FUZZY_MIN_RESULTS && FUZZY_STRATEGIES.has(intent.strategy)) {
+        const seen = new Set(candidates.map((card) => card.emid));
+        const fuzzy = (await this.searchByFuzzy(query, setFilter, maxResults)).filter(
+          (card) => !seen.has(card.emid) && (!parsed.hasFilters || this._matchesFilters(card, queryFilters))
+        );
+        fuzzy.forEach((card) => fuzzyIds.add(card.emid));
+        candidates = candidates.concat(fuzzy);
+      }
+
+      // Tell the UI which face of a multi-face card matched
+      return candidates.slice(0, maxResults).map((card) => {
+        if (!card.faces || card.faces.length < 2) return card;
+        const faceIntent = fuzzyIds.has(card.emid) ? createFuzzyIntent(query) : intent;
+        return { ...card, matched_face: matchedFace(faceIntent, card) };
+      });
     } catch (err) {
       console.warn("[db] Advanced search failed, falling back to basic search:", err);
       return this.searchByBasic(query, setFilter, maxResults);
@@ -545,56 +1349,168 @@ const CardDB = {
   },
 
   /**
-   * Search by initials using initials index.
+   * List cached cards matching query filters only (no name text), ordered
+   * by set and collector number.
+   *
+   * @param {object} filters - Compiled query filters.
+   * @param {Set<string>|null} setFilter
+   * @param {number} [maxResults=20]
+   * @returns {Promise<object[]>}
    */
-  async searchByInitials(query, setFilter) {
+  async searchByFilters(filters, setFilter, maxResults = 20) {
+    if (Object.keys(filters).length === 0) return [];
+
     const db = await openDB();
     const tx = db.transaction("cards", "readonly");
-    const index = tx.objectStore("cards").index("by_initials");
+    const store = tx.objectStore("cards");
 
-    const results = [];
-    return new Promise((resolve, reject) => {
-      const req = index.openCursor();
+    const matches = [];
+    await new Promise((resolve, reject) => {
+      const req = store.openCursor();
       req.onsuccess = () => {
         const cursor = req.result;
         if (!cursor) {
-          resolve(results);
+          resolve();
           return;
         }
-        
         const card = cursor.value;
-        // Handle migration: check if search fields exist, if not skip
-        if (!card.initials || !card.progressive_initials) {
-          cursor.continue();
-          return;
-        }
-        
-        if (
-          (card.initials.startsWith(query) || card.progressive_initials.includes(query)) &&
-          (!setFilter || setFilter.has(card.set_code))
-        ) {
-          results.push(card);
+        if ((!setFilter || setFilter.has(card.set_code)) && this._matchesFilters(card, filters)) {
+          matches.push(card);
         }
         cursor.continue();
       };
       req.onerror = () => reject(req.error);
     });
+
+    matches.sort((a, b) =>
+      a.set_code.localeCompare(b.set_code) ||
+      compareCollectorNumbers(a.collectors_number, b.collectors_number)
+    );
+    return matches.slice(0, maxResults);
   },
 
   /**
-   * Search by multi-token prefix matching.
+   * Fuzzy fallback: scan cached cards for names within a few typos of the
+   * query ("thalia guardien" → "Thalia, Guardian of Thraben").
+   *
+   * Only cards with a face starting with the query's first letter are
+   * scored (all of them, keeping the closest maxResults), so a typo in the
+   * first letter ("Xhalia Guardian") is never corrected.
+   *
+   * @param {string} query
+   * @param {Set<string>|null} setFilter
+   * @param {number} [maxResults=20]
+   * @returns {Promise<object[]>} Near-miss cards, closest first.
    */
-  async searchByMultiToken(tokens, firstToken, setFilter) {
-    if (!firstToken) return [];
+  async searchByFuzzy(query, setFilter, maxResults = 20) {
+    const intent = createFuzzyIntent(query);
+    if (intent.tokens.join("").length < FUZZY_MIN_QUERY_LENGTH) return [];
 
     const db = await openDB();
     const tx = db.transaction("cards", "readonly");
-    
-    // Use first letter of first token for initial filtering
-    const index = tx.objectStore("cards").index("by_first_letter");
-    const range = IDBKeyRange.only(firstToken.charAt(0));
+    const index = tx.objectStore("cards").index("by_face_letter");
+    const range = IDBKeyRange.only(intent.tokens[0].charAt(0));
 
-    const results = [];
+    const byScore = (a, b) => a.score - b.score || a.card.name.localeCompare(b.card.name);
+    let scored = [];
+    await new Promise((resolve, reject) => {
+      const req = index.openCursor(range);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const card = cursor.value;
+        if (!setFilter || setFilter.has(card.set_code)) {
+          const score = scoreMatch(intent, card);
+          if (score < 1000) scored.push({ card, score });
+          // Keep only the closest few so a big bucket stays cheap to hold
+          if (scored.length > maxResults * 4) scored = scored.sort(byScore).slice(0, maxResults);
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+
+    return scored.sort(byScore).slice(0, maxResults).map((item) => item.card);
+  },
+
+  /**
+   * Search by initials using initials index.
+   */
+  async searchByInitials(query, setFilter) {
+    const db = await openDB();
+    const tx = db.transaction("cards", "readonly");
+    const index = tx.objectStore("cards").index("by_initials");
+
+    const results = [];
+    return new Promise((resolve, reject) => {
+      const req = index.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve(results);
+          return;
+        }
+        
+        const card = cursor.value;
+        // Handle migration: check if search fields exist, if not skip
+        if (!card.initials || !card.progressive_initials) {
+          cursor.continue();
+          return;
+        }
+        
+        const faceInitials = card.face_initials || [card.initials];
+        if (
+          (faceInitials.some((i) => i.startsWith(query)) || card.progressive_initials.includes(query)) &&
+          (!setFilter || setFilter.has(card.set_code))
+        ) {
+          results.push(card);
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  /**
+   * Search by collector number, optionally within one set. Matches the
+   * number as a prefix so "241" also finds "241a", "241b".
+   */
+  async searchByCollectorNumber(setCode, number, setFilter) {
+    if (!number) return [];
+
+    const db = await openDB();
+    const tx = db.transaction("cards", "readonly");
+    const store = tx.objectStore("cards");
+
+    let matches;
+    if (setCode) {
+      const range = IDBKeyRange.bound([setCode, number], [setCode, number + "\uffff"]);
+      matches = await promisify(store.index("by_set_number").getAll(range));
+    } else {
+      const range = IDBKeyRange.bound(number, number + "\uffff");
+      matches = await promisify(store.index("by_collector_number").getAll(range));
+    }
+
+    return matches.filter((card) => !setFilter || setFilter.has(card.set_code));
+  },
+
+  /**
+   * Search by multi-token prefix matching.
+   */
+  async searchByMultiToken(tokens, firstToken, setFilter) {
+    if (!firstToken) return [];
+
+    const db = await openDB();
+    const tx = db.transaction("cards", "readonly");
+    
+    // Use first letter of first token for initial filtering (any face)
+    const index = tx.objectStore("cards").index("by_face_letter");
+    const range = IDBKeyRange.only(firstToken.charAt(0));
+
+    const results = [];
     return new Promise((resolve, reject) => {
       const req = index.openCursor(range);
       req.onsuccess = () => {
@@ -626,7 +1542,7 @@ const CardDB = {
   },
 
   /**
-   * Search by prefix using search_normalized index.
+   * Search by prefix of any card face using the by_face_name index.
    */
   async searchByPrefix(query, setFilter) {
     if (!query) return [];
@@ -636,11 +1552,11 @@ const CardDB = {
     
     // Try using new search index first, fall back to first letter
     try {
-      const index = tx.objectStore("cards").index("by_search_normalized");
+      const index = tx.objectStore("cards").index("by_face_name");
       const lowerBound = IDBKeyRange.lowerBound(query);
-      const upperBound = IDBKeyRange.upperBound(query + '\uffff'); // Unicode max char
 
       const results = [];
+      const seen = new Set(); // A card is listed once per matching face
       return new Promise((resolve, reject) => {
         const req = index.openCursor(lowerBound);
         req.onsuccess = () => {
@@ -651,7 +1567,8 @@ const CardDB = {
           }
           
           const card = cursor.value;
-          if (!setFilter || setFilter.has(card.set_code)) {
+          if (!seen.has(card.emid) && (!setFilter || setFilter.has(card.set_code))) {
+            seen.add(card.emid);
             results.push(card);
           }
           cursor.continue();
@@ -660,7 +1577,7 @@ const CardDB = {
       });
     } catch (err) {
       // Fall back to basic search if index doesn't exist
-      console.warn("[db] search_normalized index not available, using fallback");
+      console.warn("[db] by_face_name index not available, using fallback");
       return this.searchByBasic(query, setFilter);
     }
   },
@@ -671,7 +1588,7 @@ const CardDB = {
   async searchByBasic(query, setFilter, maxResults = 20) {
     if (!query) return [];
 
-    const q = query.trim().toLowerCase();
+    const q = foldForSearch(query.trim());
     if (!q) return [];
 
     const firstLetter = q.charAt(0);
@@ -706,15 +1623,54 @@ const CardDB = {
   // Checkout tracking
   // -----------------------------------------------------------------------
 
+  /**
+   * Dry run of checkoutCards(): every note the move would write, without
+   * changing anything.
+   *
+   * @param {number[]} inventoryIds - Inventory echo_inventory_id values.
+   * @param {string} targetLocation - Target location tag (e.g. "deck1").
+   * @param {number} targetOffset - Starting position at the target location.
+   * @param {object} [options]
+   * @param {"insert"|"append"} [options.mode="append"]
+   * @returns {Promise<{ placements: object[], shifts: object[], collisions: object[] }>}
+   */
+  async previewCheckout(inventoryIds, targetLocation, targetOffset, { mode = "append" } = {}) {
+    const db = await openDB();
+    const tx = db.transaction(["checkouts", "inventory"], "readonly");
+    const index = tx.objectStore("checkouts").index("by_status");
+    const inventory = await promisify(tx.objectStore("inventory").getAll());
+    const outstanding = await promisify(index.getAll("out"));
+    const pending = await promisify(index.getAll("pending"));
+    return planPlacement(inventory, outstanding, inventoryIds, targetLocation, targetOffset, mode, pending);
+  },
+
   /**
    * Check out cards — create checkout records with location data.
    *
+   * In "insert" mode cards already at or after the offset are shifted down
+   * to make room; in "append" mode the move is refused if any target slot
+   * is taken. See previewCheckout().
+   *
+   * A deferred move only reserves the target slots: records are created as
+   * "pending" and the notes stay put until resolvePlanItem() marks each
+   * card retrieved.
+   *
    * @param {number[]} inventoryIds - Inventory echo_inventory_id values.
    * @param {string} targetLocation - Target location tag (e.g. "deck1").
    * @param {number} targetOffset - Starting position offset at target location.
-   * @returns {Promise<object[]>} Created checkout records.
+   * @param {object} [options]
+   * @param {"insert"|"append"} [options.mode="append"]
+   * @param {boolean} [options.deferred=false]
+   * @returns {Promise<{ records: object[], placed: object[], shifted: object[] }>}
+   *   Created checkout records, the moved cards' new notes (not yet written
+   *   when deferred), and the inventory notes shifted to make room.
+   * @throws {Error} In append mode, if a target slot is occupied; and for
+   *   deferred inserts, which would shift cards before anything has moved.
    */
-  async checkoutCards(inventoryIds, targetLocation, targetOffset) {
+  async checkoutCards(inventoryIds, targetLocation, targetOffset, { mode = "append", deferred = false } = {}) {
+    if (deferred && mode === "insert") {
+      throw new Error("Deferred moves can't insert; append to free slots instead");
+    }
     const db = await openDB();
     const tx = db.transaction(["checkouts", "inventory"], "readwrite");
     const checkoutStore = tx.objectStore("checkouts");
@@ -722,9 +1678,47 @@ const CardDB = {
     const now = Date.now();
     const records = [];
 
+    const inventory = await promisify(invStore.getAll());
+    const outstanding = await promisify(checkoutStore.index("by_status").getAll("out"));
+    const pending = await promisify(checkoutStore.index("by_status").getAll("pending"));
+    const { placements, shifts, collisions } = planPlacement(
+      inventory, outstanding, inventoryIds, targetLocation, targetOffset, mode, pending
+    );
+    if (collisions.length > 0) {
+      tx.abort();
+      throw new Error(`Already taken at ${targetLocation}: ${collisions.map((c) => c.from).join(", ")}`);
+    }
+
+    // Make room first so the moved cards' notes aren't shifted too
+    const shifted = [];
+    const byId = new Map(inventory.map((rec) => [rec.echo_inventory_id, rec]));
+    const byCheckoutId = new Map([...outstanding, ...pending].map((co) => [co.id, co]));
+    for (const shift of shifts) {
+      const { position } = parseNoteLocation(shift.to);
+      if (shift.reserved) {
+        const co = byCheckoutId.get(shift.checkout_id);
+        if (shift.arriving) co.target_position = position;
+        else co.source_position = position;
+        checkoutStore.put(co);
+      } else {
+        const inv = byId.get(shift.echo_inventory_id);
+        inv.note = shift.to;
+        invStore.put(inv);
+        shifted.push(shift);
+        // A card moved here earlier is still checked out at its old slot
+        const co = outstanding.find(
+          (r) => r.echo_inventory_id === inv.echo_inventory_id && r.target_location === targetLocation
+        );
+        if (co) {
+          co.target_position = position;
+          checkoutStore.put(co);
+        }
+      }
+    }
+
     for (let i = 0; i < inventoryIds.length; i++) {
       const invId = inventoryIds[i];
-      const inv = await promisify(invStore.get(invId));
+      const inv = byId.get(invId);
       const { tag: sourceTag, position: sourcePos } = parseNoteLocation(inv?.note || "");
 
       const newPosition = targetOffset + i;
@@ -738,53 +1732,143 @@ const CardDB = {
         target_position: newPosition,
         source_location: sourceTag,
         source_position: sourcePos,
-        status: "out",
+        status: deferred ? "pending" : "out",
         checked_out_at: now,
         checked_in_at: null,
       };
-      checkoutStore.put(rec);
+      const req = checkoutStore.put(rec);
+      req.onsuccess = () => { rec.id = req.result; };
       records.push(rec);
 
       // Update the local inventory note to reflect the new location
-      if (inv) {
-        inv.note = `${targetLocation}p${newPosition}`;
+      if (inv && !deferred) {
+        inv.note = placements[i].to;
         invStore.put(inv);
       }
     }
 
     await txComplete(tx);
-    return records;
+    return { records, placed: placements, shifted };
   },
 
   /**
-   * Check in cards — mark checkout records as returned.
+   * Dry run of compactLocation().
    *
-   * @param {number[]} ids - Checkout record IDs.
-   * @param {string} [locationTag] - Return location tag.
-   * @param {number} [position] - Return position.
-   * @returns {Promise<number>} Number of records updated.
+   * @param {string} locationTag
+   * @returns {Promise<object>} See planCompaction().
    */
-  async checkinCards(ids, locationTag, position) {
+  async previewCompaction(locationTag) {
     const db = await openDB();
-    const tx = db.transaction("checkouts", "readwrite");
+    const tx = db.transaction(["checkouts", "inventory"], "readonly");
+    const index = tx.objectStore("checkouts").index("by_status");
+    const inventory = await promisify(tx.objectStore("inventory").getAll());
+    const outstanding = await promisify(index.getAll("out"));
+    assertNoArrivals(await promisify(index.getAll("pending")), locationTag);
+    return planCompaction(inventory, outstanding, locationTag);
+  },
+
+  /**
+   * Renumber a location's cards contiguously from 1, updating local notes
+   * and the checkout records that point into the location.
+   *
+   * @param {string} locationTag
+   * @returns {Promise<object>} The applied plan; see planCompaction().
+   * @throws {Error} If deferred moves into the location are still waiting.
+   */
+  async compactLocation(locationTag) {
+    const db = await openDB();
+    const tx = db.transaction(["checkouts", "inventory"], "readwrite");
+    const checkoutStore = tx.objectStore("checkouts");
+    const invStore = tx.objectStore("inventory");
+    const inventory = await promisify(invStore.getAll());
+    const outstanding = await promisify(checkoutStore.index("by_status").getAll("out"));
+    try {
+      assertNoArrivals(await promisify(checkoutStore.index("by_status").getAll("pending")), locationTag);
+    } catch (err) {
+      tx.abort();
+      throw err;
+    }
+    const plan = planCompaction(inventory, outstanding, locationTag);
+
+    const byId = new Map(inventory.map((rec) => [rec.echo_inventory_id, rec]));
+    for (const move of plan.moves) {
+      const inv = byId.get(move.echo_inventory_id);
+      inv.note = move.to;
+      invStore.put(inv);
+    }
+
+    // Keep checkout records in step: cards moved into the location, and
+    // the held slots of cards moved out of it
+    const newPosition = new Map(plan.moves.map((m) => [m.echo_inventory_id, parseNoteLocation(m.to).position]));
+    const released = new Map(plan.released.map((r) => [r.checkout_id, parseNoteLocation(r.to).position]));
+    for (const co of outstanding) {
+      let changed = false;
+      if (co.target_location === locationTag && newPosition.has(co.echo_inventory_id)) {
+        co.target_position = newPosition.get(co.echo_inventory_id);
+        changed = true;
+      }
+      if (released.has(co.id)) {
+        co.source_position = released.get(co.id);
+        changed = true;
+      }
+      if (changed) checkoutStore.put(co);
+    }
+
+    await txComplete(tx);
+    return plan;
+  },
+
+  /**
+   * Check in cards — mark checkout records as returned and point the local
+   * inventory notes back at the slots the cards were moved from.
+   *
+   * Cards that had no location before the move go to the fallback
+   * location at consecutive positions; without one their notes are left
+   * as they are.
+   *
+   * @param {number[]} ids - Checkout record IDs, in put-away order.
+   * @param {string} [locationTag] - Fallback location for unlocated cards.
+   * @param {number} [position=1] - First fallback position.
+   * @returns {Promise<object[]>} Updated checkout records, with
+   *   return_location / return_position (and the rewritten note as
+   *   note_text) set when a slot was restored.
+   */
+  async checkinCards(ids, locationTag, position = 1) {
+    const db = await openDB();
+    const tx = db.transaction(["checkouts", "inventory"], "readwrite");
     const store = tx.objectStore("checkouts");
+    const invStore = tx.objectStore("inventory");
     const now = Date.now();
-    let updated = 0;
+    const returned = [];
+    let nextFallback = position;
 
     for (const id of ids) {
       const record = await promisify(store.get(id));
-      if (record && record.status === "out") {
-        record.status = "in";
-        record.checked_in_at = now;
-        if (locationTag) record.return_location = locationTag;
-        if (position) record.return_position = position;
-        store.put(record);
-        updated++;
+      if (!record || record.status !== "out") continue;
+
+      record.status = "in";
+      record.checked_in_at = now;
+      if (record.source_location) {
+        record.return_location = record.source_location;
+        record.return_position = record.source_position;
+      } else if (locationTag) {
+        record.return_location = locationTag;
+        record.return_position = nextFallback++;
+      }
+      store.put(record);
+
+      const inv = await promisify(invStore.get(record.echo_inventory_id));
+      if (inv && record.return_location) {
+        inv.note = relocateNote(inv.note, record.return_location, record.return_position);
+        invStore.put(inv);
+        returned.push({ ...record, note_text: inv.note });
+      } else {
+        returned.push(record);
       }
     }
 
     await txComplete(tx);
-    return updated;
+    return returned;
   },
 
   /**
@@ -823,7 +1907,8 @@ const CardDB = {
    * Get checked-out cards for a specific location.
    *
    * @param {string} location - Target location tag.
-   * @returns {Promise<object[]>} Checkout records still out.
+   * @returns {Promise<object[]>} Checkout records still out, in put-away
+   *   order (by source location, then source position; unlocated last).
    */
   async getCheckoutCards(location) {
     const db = await openDB();
@@ -831,11 +1916,20 @@ const CardDB = {
     const store = tx.objectStore("checkouts");
     const records = await promisify(store.getAll());
 
-    return records.filter((r) => {
-      if (r.status !== "out") return false;
-      const loc = r.target_location || r.list_name || "Unknown";
-      return loc === location;
-    });
+    return records
+      .filter((r) => {
+        if (r.status !== "out") return false;
+        const loc = r.target_location || r.list_name || "Unknown";
+        return loc === location;
+      })
+      .sort((a, b) => {
+        if (a.source_location !== b.source_location) {
+          if (!a.source_location) return 1;
+          if (!b.source_location) return -1;
+          return a.source_location.localeCompare(b.source_location, undefined, { numeric: true });
+        }
+        return (a.source_position || 0) - (b.source_position || 0);
+      });
   },
 
   /**
@@ -857,24 +1951,99 @@ const CardDB = {
   // -----------------------------------------------------------------------
 
   /**
-   * Import inventory records from parsed CSV data.
-   * Clears existing inventory and bulk-inserts all records.
+   * Fill in emids for imported records that lack one (exports from other
+   * apps), matching cached cards by set + collector number, then by name
+   * within the set. Matched records also pick up missing set/rarity/type
+   * details from the card. Records are updated in place.
+   *
+   * @param {object[]} records - Inventory records; those with emid 0 are resolved.
+   * @returns {Promise<number>} Number of records still without an emid.
+   */
+  async resolveInventoryEmids(records) {
+    const pending = records.filter((rec) => !rec.emid);
+    if (pending.length === 0) return 0;
+
+    const db = await openDB();
+    const tx = db.transaction("cards", "readonly");
+    const store = tx.objectStore("cards");
+    const bySetNumber = store.index("by_set_number");
+    const byName = store.index("by_name");
+
+    let unresolved = 0;
+    for (const rec of pending) {
+      const number = String(rec.collectors_number || "").trim().toLowerCase();
+      let card = null;
+
+      if (rec.set_code && number) {
+        card = (await promisify(bySetNumber.getAll([rec.set_code, number])))[0] || null;
+      }
+      if (!card) {
+        const setName = (rec.set_name || "").toLowerCase();
+        const named = await promisify(byName.getAll(rec.name_lower || (rec.name || "").toLowerCase()));
+        card =
+          named.find((c) =>
+            rec.set_code ? c.set_code === rec.set_code : !setName || (c.set_name || "").toLowerCase() === setName
+          ) || null;
+      }
+
+      if (!card) {
+        unresolved++;
+        continue;
+      }
+      rec.emid = card.emid;
+      rec.set_code = rec.set_code || card.set_code;
+      rec.set_name = rec.set_name || card.set_name;
+      rec.collectors_number = rec.collectors_number || String(card.collectors_number ?? "");
+      rec.rarity = rec.rarity || card.rarity || "";
+      rec.main_type = rec.main_type || card.main_type || "";
+    }
+    return unresolved;
+  },
+
+  /**
+   * Compare incoming inventory records (CSV or API sync) with the local
+   * store by echo_inventory_id, without writing anything.
    *
-   * @param {object[]} records - Array of inventory record objects.
-   * @returns {Promise<number>} Number of records imported.
+   * @param {object[]} records - Incoming inventory records.
+   * @param {object} [options]
+   * @param {boolean} [options.truncated=false] - See mergeInventory().
+   * @returns {Promise<object>} Summary: { added, removed, changed,
+   *   unchanged, conflicts } where conflicts lists records whose note
+   *   differs from the local one: { echo_inventory_id, name, local, incoming }.
    */
-  async importInventory(records) {
+  async diffInventory(records, { truncated = false } = {}) {
+    const db = await openDB();
+    const tx = db.transaction("inventory", "readonly");
+    const existing = await promisify(tx.objectStore("inventory").getAll());
+    return diffInventoryRecords(existing, records, { truncated }).summary;
+  },
+
+  /**
+   * Merge incoming inventory records into the local store instead of
+   * replacing it: new items are added, items missing from the import are
+   * removed, and fields the import doesn't carry (note_id, ...) are kept.
+   *
+   * @param {object[]} records - Incoming inventory records.
+   * @param {object} [options]
+   * @param {boolean} [options.keepLocalNotes=false] - On note conflicts,
+   *   keep the local note (location) instead of the incoming one.
+   * @param {boolean} [options.truncated=false] - The records are only part
+   *   of the inventory; add and update, but remove nothing.
+   * @returns {Promise<object>} Same summary as diffInventory().
+   */
+  async mergeInventory(records, { keepLocalNotes = false, truncated = false } = {}) {
     const db = await openDB();
     const tx = db.transaction("inventory", "readwrite");
     const store = tx.objectStore("inventory");
-    store.clear();
+    const existing = await promisify(store.getAll());
 
-    for (const rec of records) {
-      store.put(rec);
-    }
+    const { summary, merged, removedIds } = diffInventoryRecords(existing, records, { keepLocalNotes, truncated });
+
+    for (const id of removedIds) store.delete(id);
+    for (const rec of merged) store.put(rec);
 
     await txComplete(tx);
-    return records.length;
+    return summary;
   },
 
   /**
@@ -938,6 +2107,25 @@ const CardDB = {
     await txComplete(tx);
   },
 
+  /**
+   * Record the note EchoMTG now holds for an inventory item, after a note
+   * write went through.
+   *
+   * @param {number} inventoryId - echo_inventory_id
+   * @param {string} note
+   */
+  async setRemoteNote(inventoryId, note) {
+    const db = await openDB();
+    const tx = db.transaction("inventory", "readwrite");
+    const store = tx.objectStore("inventory");
+    const rec = await promisify(store.get(inventoryId));
+    if (rec) {
+      rec.remote_note = note;
+      store.put(rec);
+    }
+    await txComplete(tx);
+  },
+
   /**
    * Get inventory items that are missing note_id.
    * @returns {Promise<object[]>} Inventory records without note_id.
@@ -987,6 +2175,54 @@ const CardDB = {
     return promisify(tx.objectStore("inventory").get(inventoryId));
   },
 
+  /**
+   * Get inventory records for export, each with its parsed note location
+   * and most recent checkout record.
+   *
+   * @param {object} [filters] - Same shape as searchInventoryFiltered filters.
+   * @returns {Promise<object[]>} Records with location_tag, position and
+   *   checkout (null if never checked out, otherwise with its source_slot
+   *   in the note format), sorted by location then position.
+   */
+  async getInventoryExport(filters = {}) {
+    const db = await openDB();
+    const tx = db.transaction(["inventory", "checkouts"], "readonly");
+    const inventory = await promisify(tx.objectStore("inventory").getAll());
+    const checkouts = await promisify(tx.objectStore("checkouts").getAll());
+
+    const latest = new Map();
+    for (const co of checkouts) {
+      const prev = latest.get(co.echo_inventory_id);
+      if (!prev || co.checked_out_at > prev.checked_out_at) {
+        latest.set(co.echo_inventory_id, co);
+      }
+    }
+
+    const items = inventory
+      .filter((rec) => this._matchesFilters(rec, filters))
+      .map((rec) => {
+        const { tag, position } = parseNoteLocation(rec.note);
+        const co = latest.get(rec.echo_inventory_id);
+        const sourceSlot = co?.source_location ? formatNoteLocation(co.source_location, co.source_position) : "";
+        return {
+          ...rec,
+          location_tag: tag,
+          position,
+          checkout: co ? { ...co, source_slot: sourceSlot } : null,
+        };
+      });
+
+    // Unlocated cards last
+    return items.sort((a, b) => {
+      if (a.location_tag !== b.location_tag) {
+        if (!a.location_tag) return 1;
+        if (!b.location_tag) return -1;
+        return a.location_tag.localeCompare(b.location_tag);
+      }
+      return (a.position || 0) - (b.position || 0) || (a.name || "").localeCompare(b.name || "");
+    });
+  },
+
   // -----------------------------------------------------------------------
   // Inventory queries (filtered search, locations, sets, languages, variants)
   // -----------------------------------------------------------------------
@@ -998,34 +2234,35 @@ const CardDB = {
   async getInventoryLocations() {
     const db = await openDB();
     const tx = db.transaction(["inventory", "checkouts"], "readonly");
-    const invStore = tx.objectStore("inventory");
-    const checkoutStore = tx.objectStore("checkouts");
+    const [inventory, checkouts] = await Promise.all([
+      promisify(tx.objectStore("inventory").getAll()),
+      promisify(tx.objectStore("checkouts").getAll()),
+    ]);
 
     const locations = new Map();
-
-    // Scan inventory notes
-    const invAll = await promisify(invStore.getAll());
-    for (const rec of invAll) {
-      const { tag, position } = parseNoteLocation(rec.note);
-      if (tag) {
-        const current = locations.get(tag) || 0;
-        if (position > current) locations.set(tag, position);
-      }
-    }
-
-    // Also include active checkout target locations
-    const checkouts = await promisify(checkoutStore.getAll());
-    for (const co of checkouts) {
-      if (co.status === "out" && co.target_location) {
-        const pos = co.target_position || 0;
-        const current = locations.get(co.target_location) || 0;
-        if (pos > current) locations.set(co.target_location, pos);
-      }
+    for (const [tag, { maxPosition }] of locationStats(inventory, checkouts)) {
+      locations.set(tag, maxPosition);
     }
-
     return locations;
   },
 
+  /**
+   * Every known location, registered or only seen in notes, with its
+   * display label, capacity and how many cards it holds.
+   *
+   * @returns {Promise<object[]>} See summarizeLocations().
+   */
+  async getLocationSummaries() {
+    const db = await openDB();
+    const tx = db.transaction(["locations", "inventory", "checkouts"], "readonly");
+    const [registry, inventory, checkouts] = await Promise.all([
+      promisify(tx.objectStore("locations").getAll()),
+      promisify(tx.objectStore("inventory").getAll()),
+      promisify(tx.objectStore("checkouts").getAll()),
+    ]);
+    return summarizeLocations(registry, locationStats(inventory, checkouts));
+  },
+
   /**
    * Get distinct set_code/set_name pairs from inventory.
    * @returns {Promise<object[]>} Array of { set_code, set_name }
@@ -1083,7 +2320,10 @@ const CardDB = {
   /**
    * Search inventory with filters.
    *
-   * @param {string} query - Name substring search.
+   * The query may carry filter terms (see parseSearchQuery); they are
+   * applied on top of the dropdown filters.
+   *
+   * @param {string} query - Name search, optionally with filter terms.
    * @param {object} filters - { foil, variant, set_code, language }
    * @param {number} [maxResults=50]
    * @returns {Promise<object[]>}
@@ -1091,8 +2331,8 @@ const CardDB = {
   async searchInventoryFiltered(query, filters = {}, maxResults = 50) {
     if (!query || !query.trim()) return [];
 
-    const intent = detectSearchIntent(query);
-    const matcher = inventoryMatcher(intent, query);
+    const { text, filters: queryFilters } = parseSearchQuery(query);
+    const matcher = text ? inventoryMatcher(detectSearchIntent(text), text) : () => true;
 
     const db = await openDB();
     const tx = db.transaction("inventory", "readonly");
@@ -1108,7 +2348,11 @@ const CardDB = {
           return;
         }
         const rec = cursor.value;
-        if (matcher(rec) && this._matchesFilters(rec, filters)) {
+        if (
+          matcher(rec) &&
+          this._matchesFilters(rec, filters) &&
+          this._matchesFilters(rec, queryFilters)
+        ) {
           results.push(rec);
         }
         cursor.continue();
@@ -1118,36 +2362,23 @@ const CardDB = {
   },
 
   /**
-   * Search inventory by emid list with filters.
+   * Inventory records that can be pulled for a deck: everything not
+   * currently checked out or waiting on a deferred move.
    *
-   * @param {number[]} emids - EchoMTG emid values.
-   * @param {object} filters - { foil, variant, set_code, language }
-   * @param {number} [maxResults=200]
+   * @param {object} [filters] - Same shape as searchInventoryFiltered filters.
    * @returns {Promise<object[]>}
    */
-  async searchInventoryByEmids(emids, filters = {}, maxResults = 200) {
-    if (!emids || emids.length === 0) return [];
-
+  async getInventoryOnHand(filters = {}) {
     const db = await openDB();
-    const tx = db.transaction("inventory", "readonly");
-    const index = tx.objectStore("inventory").index("by_emid");
-
-    const results = [];
-    const emidSet = new Set(emids.map(Number));
-
-    for (const emid of emidSet) {
-      if (results.length >= maxResults) break;
-      const range = IDBKeyRange.only(emid);
-      const matches = await promisify(index.getAll(range));
-      for (const rec of matches) {
-        if (results.length >= maxResults) break;
-        if (this._matchesFilters(rec, filters)) {
-          results.push(rec);
-        }
-      }
-    }
-
-    return results;
+    const tx = db.transaction(["inventory", "checkouts"], "readonly");
+    const index = tx.objectStore("checkouts").index("by_status");
+    const [inventory, outstanding, pending] = await Promise.all([
+      promisify(tx.objectStore("inventory").getAll()),
+      promisify(index.getAll("out")),
+      promisify(index.getAll("pending")),
+    ]);
+    const out = new Set([...outstanding, ...pending].map((co) => co.echo_inventory_id));
+    return inventory.filter((rec) => !out.has(rec.echo_inventory_id) && this._matchesFilters(rec, filters));
   },
 
   /**
@@ -1173,9 +2404,11 @@ const CardDB = {
     // Multi-select version filter (OR within)
     if (filters.versions && filters.versions.length > 0) {
       const nameLower = (rec.name || "").toLowerCase();
+      // Cached cards have no foil flag; fall back to foil-only printings
+      const isFoil = !!(rec.foil ?? rec.is_foil_variant);
       const matchesAny = filters.versions.some((v) => {
-        if (v === "regular") return !rec.foil;
-        if (v === "foil") return !!rec.foil;
+        if (v === "regular") return !isFoil;
+        if (v === "foil") return isFoil;
         // Variant tag match (case-insensitive substring)
         return nameLower.includes(v.toLowerCase());
       });
@@ -1192,9 +2425,165 @@ const CardDB = {
       if (!filters.languages.includes(rec.language)) return false;
     }
 
+    // Query-syntax filters (see parseSearchQuery)
+    if (filters.rarities && filters.rarities.length > 0) {
+      const code = (rec.rarity || "").trim().charAt(0).toLowerCase();
+      if (!filters.rarities.includes(code)) return false;
+    }
+    if (filters.types && filters.types.length > 0) {
+      const typeLower = (rec.main_type || "").toLowerCase();
+      if (!filters.types.some((t) => typeLower.includes(t))) return false;
+    }
+    if (filters.locations && filters.locations.length > 0) {
+      const { tag } = parseNoteLocation(rec.note);
+      const tagLower = (tag || "").toLowerCase();
+      if (!tagLower || !filters.locations.some((l) => tagLower.startsWith(l))) return false;
+    }
+    if (filters.collector_numbers) {
+      if (!rec.collectors_number) return false;
+      for (const { op, value } of filters.collector_numbers) {
+        const cmp = compareCollectorNumbers(rec.collectors_number, value);
+        if (!COLLECTOR_NUMBER_OPS[op](cmp)) return false;
+      }
+    }
+
+    // Negated terms: reject if any of them matches
+    if (filters.exclude) {
+      if (filters.exclude.some((ex) => this._matchesFilters(rec, ex))) return false;
+    }
+
     return true;
   },
 
+  // -----------------------------------------------------------------------
+  // Location registry
+  // -----------------------------------------------------------------------
+
+  /**
+   * All registered locations.
+   * @returns {Promise<object[]>}
+   */
+  async getLocations() {
+    const db = await openDB();
+    const tx = db.transaction("locations", "readonly");
+    return promisify(tx.objectStore("locations").getAll());
+  },
+
+  /**
+   * Register a location, or update the one with the same tag.
+   *
+   * @param {object} location - { tag, name?, type?, parent_tag?, capacity?,
+   *   pockets_per_page?, sides? }
+   * @returns {Promise<object>} The stored record.
+   * @throws {Error} If the entry is invalid (see toLocationRecord).
+   */
+  async saveLocation(location) {
+    const db = await openDB();
+    const tx = db.transaction("locations", "readwrite");
+    const store = tx.objectStore("locations");
+    const registry = await promisify(store.getAll());
+    const record = toLocationRecord(location, new Map(registry.map((loc) => [loc.tag, loc])));
+    store.put(record);
+    await txComplete(tx);
+    return record;
+  },
+
+  /**
+   * Remove a location from the registry. Notes that use its tag are left
+   * alone; the tag is simply unregistered again.
+   *
+   * @param {string} tag
+   * @throws {Error} If other locations are still inside it.
+   */
+  async deleteLocation(tag) {
+    const db = await openDB();
+    const tx = db.transaction("locations", "readwrite");
+    const store = tx.objectStore("locations");
+    const children = await promisify(store.index("by_parent").count(tag));
+    if (children > 0) {
+      tx.abort();
+      throw new Error(`${tag} still contains ${children} location${children !== 1 ? "s" : ""}`);
+    }
+    store.delete(tag);
+    await txComplete(tx);
+  },
+
+  // -----------------------------------------------------------------------
+  // Location audit
+  // -----------------------------------------------------------------------
+
+  /**
+   * Audit report of the location data.
+   *
+   * @returns {Promise<object>} See auditLocations().
+   */
+  async auditLocations() {
+    const db = await openDB();
+    const tx = db.transaction(["checkouts", "inventory"], "readonly");
+    const index = tx.objectStore("checkouts").index("by_status");
+    const inventory = await promisify(tx.objectStore("inventory").getAll());
+    const outstanding = await promisify(index.getAll("out"));
+    const pending = await promisify(index.getAll("pending"));
+    const notFound = await promisify(index.getAll("not_found"));
+    return auditLocations(inventory, outstanding, { pending, notFound });
+  },
+
+  /**
+   * Clear "not found" flags from the audit by deleting their checkout
+   * records. The cards' notes already point at their old slots.
+   *
+   * @param {number[]} checkoutIds
+   * @returns {Promise<number>} Number of flags cleared.
+   */
+  async dismissNotFound(checkoutIds) {
+    const db = await openDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    const store = tx.objectStore("checkouts");
+    let dismissed = 0;
+
+    for (const id of checkoutIds) {
+      const co = await promisify(store.get(id));
+      if (co?.status !== "not_found") continue;
+      store.delete(id);
+      dismissed++;
+    }
+
+    await txComplete(tx);
+    return dismissed;
+  },
+
+  /**
+   * Point the notes of checked-out cards back at the slots they were moved
+   * to (keeping free text). Cards whose notes already agree, locally and on
+   * EchoMTG, are skipped; the caller writes the returned notes to EchoMTG.
+   *
+   * @param {number[]} checkoutIds
+   * @returns {Promise<object[]>} { echo_inventory_id, from, to } per
+   *   rewritten note.
+   */
+  async repairCheckoutNotes(checkoutIds) {
+    const db = await openDB();
+    const tx = db.transaction(["checkouts", "inventory"], "readwrite");
+    const checkoutStore = tx.objectStore("checkouts");
+    const invStore = tx.objectStore("inventory");
+    const repaired = [];
+
+    for (const id of checkoutIds) {
+      const co = await promisify(checkoutStore.get(id));
+      if (!co || co.status !== "out") continue;
+      const inv = await promisify(invStore.get(co.echo_inventory_id));
+      if (!inv || !checkoutNoteOff(inv, co)) continue;
+
+      const to = relocateNote(inv.note, co.target_location, co.target_position);
+      repaired.push({ echo_inventory_id: inv.echo_inventory_id, from: inv.note || "", to });
+      inv.note = to;
+      invStore.put(inv);
+    }
+
+    await txComplete(tx);
+    return repaired;
+  },
+
   // -----------------------------------------------------------------------
   // Retrieval plans
   // -----------------------------------------------------------------------
@@ -1242,33 +2631,96 @@ const CardDB = {
   },
 
   /**
-   * Toggle a checked flag on a retrieval plan item.
+   * Mark a retrieval plan item retrieved, not found, or neither, and move
+   * its checkout record and local note to match:
+   *
+   * - retrieved: the card is out and its note points at the target slot
+   * - not_found: the note keeps (or gets back) the old slot, and the
+   *   checkout is kept as "not_found" for the location audit
+   * - null: back to how the move left it — pending with the old note for
+   *   deferred plans, out with the new note otherwise
+   *
+   * The plan is "completed" once every item is retrieved or not found.
+   * Items without a checkout record (older plans) and cards already
+   * checked in only have their flags changed.
+   *
    * @param {number} planId
    * @param {number} itemIndex
-   * @param {boolean} checked
-   * @returns {Promise<void>}
+   * @param {"retrieved"|"not_found"|null} state
+   * @returns {Promise<{ plan: object, notes: object[] }>} The updated plan
+   *   and the rewritten notes as { echo_inventory_id, from, to }.
+   * @throws {Error} If the plan or item doesn't exist.
    */
-  async updateRetrievalPlanItem(planId, itemIndex, checked) {
+  async resolvePlanItem(planId, itemIndex, state) {
     const db = await openDB();
-    const tx = db.transaction("retrieval_plans", "readwrite");
-    const store = tx.objectStore("retrieval_plans");
-    const plan = await promisify(store.get(planId));
-    if (plan && plan.items && plan.items[itemIndex] !== undefined) {
-      plan.items[itemIndex].checked = checked;
-      store.put(plan);
+    const tx = db.transaction(["retrieval_plans", "checkouts", "inventory"], "readwrite");
+    const planStore = tx.objectStore("retrieval_plans");
+    const checkoutStore = tx.objectStore("checkouts");
+    const invStore = tx.objectStore("inventory");
+    const notes = [];
+
+    const plan = await promisify(planStore.get(planId));
+    const item = plan?.items?.[itemIndex];
+    if (!item) {
+      tx.abort();
+      throw new Error(`Plan ${planId} has no item ${itemIndex}`);
+    }
+
+    const co = item.checkout_id != null ? await promisify(checkoutStore.get(item.checkout_id)) : null;
+    if (co && co.status !== "in") {
+      let status = plan.deferred ? "pending" : "out";
+      if (state === "retrieved") status = "out";
+      if (state === "not_found") status = "not_found";
+
+      const inv = await promisify(invStore.get(co.echo_inventory_id));
+      if (inv) {
+        let to = null;
+        if (status === "out" && co.status !== "out") {
+          // The card leaves whichever slot its note names now, which may
+          // have shifted since the move was planned
+          const { tag, position } = parseNoteLocation(inv.note);
+          co.source_location = tag;
+          co.source_position = position;
+          to = relocateNote(inv.note, co.target_location, co.target_position);
+        } else if (status !== "out" && co.status === "out") {
+          to = co.source_location
+            ? relocateNote(inv.note, co.source_location, co.source_position)
+            : parseNoteLocation(inv.note).extra;
+        }
+        if (to !== null && to !== (inv.note || "").trim()) {
+          notes.push({ echo_inventory_id: inv.echo_inventory_id, from: inv.note || "", to });
+          inv.note = to;
+          invStore.put(inv);
+        }
+      }
+      co.status = status;
+      checkoutStore.put(co);
     }
+
+    item.checked = state === "retrieved";
+    item.not_found = state === "not_found";
+    const resolved = plan.items.every((i) => i.checked || i.not_found);
+    plan.status = resolved ? "completed" : "active";
+    plan.completed_at = resolved ? plan.completed_at || Date.now() : null;
+    planStore.put(plan);
+
     await txComplete(tx);
+    return { plan, notes };
   },
 
   /**
-   * Delete a retrieval plan by ID.
+   * Delete a retrieval plan by ID, releasing the slots its unretrieved
+   * deferred moves were holding.
    * @param {number} id
    * @returns {Promise<void>}
    */
   async deleteRetrievalPlan(id) {
     const db = await openDB();
-    const tx = db.transaction("retrieval_plans", "readwrite");
-    tx.objectStore("retrieval_plans").delete(id);
+    const tx = db.transaction(["retrieval_plans", "checkouts"], "readwrite");
+    const store = tx.objectStore("retrieval_plans");
+    const plan = await promisify(store.get(id));
+    if (plan) await this._dropPendingCheckouts(tx.objectStore("checkouts"), plan);
+    store.delete(id);
     await txComplete(tx);
   },
 
@@ -1278,7 +2730,7 @@ const CardDB = {
    */
   async cleanExpiredPlans() {
     const db = await openDB();
-    const tx = db.transaction("retrieval_plans", "readwrite");
+    const tx = db.transaction(["retrieval_plans", "checkouts"], "readwrite");
     const store = tx.objectStore("retrieval_plans");
     const all = await promisify(store.getAll());
     const now = Date.now();
@@ -1286,6 +2738,7 @@ const CardDB = {
 
     for (const plan of all) {
       if (plan.expires_at <= now) {
+        await this._dropPendingCheckouts(tx.objectStore("checkouts"), plan);
         store.delete(plan.id);
         deleted++;
       }
@@ -1295,6 +2748,337 @@ const CardDB = {
     return deleted;
   },
 
+  /**
+   * Delete the still-pending checkout records of a plan's deferred moves.
+   * @private
+   */
+  async _dropPendingCheckouts(checkoutStore, plan) {
+    for (const item of plan.items || []) {
+      if (item.checkout_id == null) continue;
+      const co = await promisify(checkoutStore.get(item.checkout_id));
+      if (co?.status === "pending") checkoutStore.delete(co.id);
+    }
+  },
+
+  // -----------------------------------------------------------------------
+  // Outbox (queued EchoMTG writes)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Queue an operation for the service worker to send to EchoMTG.
+   *
+   * A "note" entry supersedes any unsent (pending or failed) note for the
+   * same inventory item, so an older write waiting out a back-off can't
+   * land after it and leave a stale location on EchoMTG.
+   *
+   * @param {object} entry - Operation payload, e.g. { op: "add", emid, foil,
+   *   condition, language, location_tag, position, note_text } or
+   *   { op: "note", inventory_id, note_text }.
+   * @returns {Promise<number>} The auto-generated outbox entry ID.
+   */
+  async enqueueOutbox(entry) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readwrite");
+    const store = tx.objectStore("outbox");
+    const now = Date.now();
+
+    if (entry.op === "note") {
+      const index = store.index("by_status");
+      for (const status of ["pending", "failed"]) {
+        const unsent = await promisify(index.getAll(IDBKeyRange.only(status)));
+        for (const old of unsent) {
+          if (old.op !== "note" || old.inventory_id !== entry.inventory_id) continue;
+          store.put({ ...old, status: "superseded" });
+        }
+      }
+    }
+
+    const id = await promisify(
+      store.add({
+        ...entry,
+        status: "pending",
+        attempts: 0,
+        last_error: null,
+        created_at: now,
+        next_attempt_at: now,
+      })
+    );
+    await txComplete(tx);
+    return id;
+  },
+
+  /**
+   * Get outbox entries with the given status, oldest first.
+   *
+   * @param {string} status - "pending" | "failed" | "done"
+   * @returns {Promise<object[]>}
+   */
+  async getOutboxEntries(status) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readonly");
+    const index = tx.objectStore("outbox").index("by_status");
+    const entries = await promisify(index.getAll(IDBKeyRange.only(status)));
+    return entries.sort((a, b) => a.id - b.id);
+  },
+
+  /**
+   * Get a single outbox entry by ID.
+   * @param {number} id
+   * @returns {Promise<object|undefined>}
+   */
+  async getOutboxEntry(id) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readonly");
+    return promisify(tx.objectStore("outbox").get(id));
+  },
+
+  /**
+   * Merge changes into an outbox entry. A superseded entry keeps its
+   * status, so a send that was already under way can't requeue it.
+   *
+   * @param {number} id
+   * @param {object} changes - Fields to overwrite.
+   * @returns {Promise<object|undefined>} The updated entry, if it exists.
+   */
+  async updateOutboxEntry(id, changes) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readwrite");
+    const store = tx.objectStore("outbox");
+    const entry = await promisify(store.get(id));
+    if (entry) {
+      const { status } = entry;
+      Object.assign(entry, changes);
+      if (status === "superseded") entry.status = status;
+      store.put(entry);
+    }
+    await txComplete(tx);
+    return entry;
+  },
+
+  /**
+   * Claim outbox entries for an undo: in one transaction, mark each one
+   * "undoing" so a drain skips it. Entries already being undone are left
+   * out, as are IDs with no entry.
+   *
+   * @param {number[]} ids
+   * @returns {Promise<object[]>} The claimed entries as they were before.
+   */
+  async claimOutboxEntries(ids) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readwrite");
+    const store = tx.objectStore("outbox");
+    const claimed = [];
+
+    for (const id of ids) {
+      const entry = await promisify(store.get(id));
+      if (!entry || entry.status === "undoing") continue;
+      claimed.push(entry);
+      store.put({ ...entry, status: "undoing", undo_status: entry.status });
+    }
+
+    await txComplete(tx);
+    return claimed;
+  },
+
+  /**
+   * Put entries claimed by claimOutboxEntries() back to their previous
+   * status. Entries deleted meanwhile are skipped.
+   *
+   * @param {number[]} ids
+   * @returns {Promise<void>}
+   */
+  async releaseOutboxEntries(ids) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readwrite");
+    const store = tx.objectStore("outbox");
+
+    for (const id of ids) {
+      const entry = await promisify(store.get(id));
+      if (entry?.status !== "undoing") continue;
+      const { undo_status: status, ...rest } = entry;
+      store.put({ ...rest, status });
+    }
+
+    await txComplete(tx);
+  },
+
+  /**
+   * Remove an outbox entry.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async deleteOutboxEntry(id) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readwrite");
+    tx.objectStore("outbox").delete(id);
+    await txComplete(tx);
+  },
+
+  /**
+   * How far a batch of outbox entries has got. Entries that were
+   * superseded by a newer note, or pruned once sent, count as done.
+   *
+   * @param {number[]} ids
+   * @returns {Promise<{ done: number, pending: number, failed: number }>}
+   */
+  async getOutboxProgress(ids) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readonly");
+    const store = tx.objectStore("outbox");
+    const progress = { done: 0, pending: 0, failed: 0 };
+
+    for (const id of ids) {
+      const entry = await promisify(store.get(id));
+      if (entry?.status === "failed") progress.failed++;
+      else if (entry?.status === "pending" || entry?.status === "undoing") progress.pending++;
+      else progress.done++;
+    }
+    return progress;
+  },
+
+  /**
+   * Count pending and failed outbox entries.
+   * @returns {Promise<{ pending: number, failed: number }>}
+   */
+  async getOutboxStats() {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readonly");
+    const index = tx.objectStore("outbox").index("by_status");
+    const pending = await promisify(index.count(IDBKeyRange.only("pending")));
+    const failed = await promisify(index.count(IDBKeyRange.only("failed")));
+    return { pending, failed };
+  },
+
+  /**
+   * Delete "done" and "superseded" outbox entries older than maxAgeMs.
+   *
+   * @param {number} [maxAgeMs=86400000] - Default one day.
+   * @returns {Promise<number>} Number of entries removed.
+   */
+  async pruneOutbox(maxAgeMs = 24 * 60 * 60 * 1000) {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readwrite");
+    const store = tx.objectStore("outbox");
+    const index = store.index("by_status");
+    const done = await promisify(index.getAll(IDBKeyRange.only("done")));
+    const superseded = await promisify(index.getAll(IDBKeyRange.only("superseded")));
+    const cutoff = Date.now() - maxAgeMs;
+    let deleted = 0;
+
+    for (const entry of [...done, ...superseded]) {
+      if (entry.created_at < cutoff) {
+        store.delete(entry.id);
+        deleted++;
+      }
+    }
+
+    await txComplete(tx);
+    return deleted;
+  },
+
+  /**
+   * Move failed outbox entries back to pending so they are retried on the
+   * next drain. Adds that reached EchoMTG without an inventory ID stay
+   * failed, since retrying them would add the card again.
+   *
+   * @returns {Promise<number>} Number of entries requeued.
+   */
+  async retryFailedOutbox() {
+    const db = await openDB();
+    const tx = db.transaction("outbox", "readwrite");
+    const index = tx.objectStore("outbox").index("by_status");
+    const failed = await promisify(index.getAll(IDBKeyRange.only("failed")));
+    const store = tx.objectStore("outbox");
+    const now = Date.now();
+
+    let requeued = 0;
+    for (const entry of failed) {
+      if (entry.added && !entry.inventory_id) continue;
+      entry.status = "pending";
+      entry.attempts = 0;
+      entry.next_attempt_at = now;
+      store.put(entry);
+      requeued++;
+    }
+
+    await txComplete(tx);
+    return requeued;
+  },
+
+  // -----------------------------------------------------------------------
+  // Location note format
+  // -----------------------------------------------------------------------
+
+  /**
+   * The note template in use, e.g. "{tag}p{pos}".
+   * @returns {Promise<string>}
+   */
+  async getNoteFormat() {
+    await openDB();
+    return _noteFormat.template;
+  },
+
+  /**
+   * Dry run of setNoteFormat() with rewrite.
+   *
+   * @param {string} template
+   * @returns {Promise<{ template: string, changes: object[], unparsed: number }>}
+   *   See planNoteRewrite().
+   * @throws {Error} If the template is invalid.
+   */
+  async previewNoteFormat(template) {
+    const format = compileNoteFormat(template);
+    const db = await openDB();
+    const tx = db.transaction("inventory", "readonly");
+    const inventory = await promisify(tx.objectStore("inventory").getAll());
+    return { template: format.template, ...planNoteRewrite(inventory, format) };
+  },
+
+  /**
+   * Switch the note template.
+   *
+   * With `rewrite`, local notes written in the old format are rewritten in
+   * the new one (free text kept). Without it, existing notes are simply
+   * read with the new template, for collections already noted that way.
+   * Either way the old template is remembered, so a note still written in
+   * it has its stale location replaced when the card is next moved.
+   *
+   * @param {string} template
+   * @param {object} [options]
+   * @param {boolean} [options.rewrite=false]
+   * @returns {Promise<{ template: string, changes: object[] }>} The notes
+   *   rewritten (see planNoteRewrite()); empty without rewrite.
+   * @throws {Error} If the template is invalid.
+   */
+  async setNoteFormat(template, { rewrite = false } = {}) {
+    const format = compileNoteFormat(template);
+    const db = await openDB();
+    const tx = db.transaction(["inventory", "state"], "readwrite");
+    const invStore = tx.objectStore("inventory");
+
+    let changes = [];
+    if (rewrite) {
+      const inventory = await promisify(invStore.getAll());
+      ({ changes } = planNoteRewrite(inventory, format));
+      const byId = new Map(inventory.map((rec) => [rec.echo_inventory_id, rec]));
+      for (const change of changes) {
+        const inv = byId.get(change.echo_inventory_id);
+        inv.note = change.to;
+        invStore.put(inv);
+      }
+    }
+    const history = [_noteFormat, ..._oldNoteFormats]
+      .filter((old, i, all) => old.template !== format.template && all.findIndex((f) => f.template === old.template) === i)
+      .slice(0, NOTE_FORMAT_HISTORY_SIZE);
+    tx.objectStore("state").put({ key: NOTE_FORMAT_KEY, value: format.template });
+    tx.objectStore("state").put({ key: NOTE_FORMAT_HISTORY_KEY, value: history.map((old) => old.template) });
+
+    await txComplete(tx);
+    _noteFormat = format;
+    _oldNoteFormats = history;
+    return { template: format.template, changes };
+  },
+
   // -----------------------------------------------------------------------
   // State helpers
   // -----------------------------------------------------------------------
@@ -1340,6 +3124,92 @@ const CardDB = {
     }
     return result;
   },
+
+  // -----------------------------------------------------------------------
+  // Backup / restore
+  // -----------------------------------------------------------------------
+
+  /**
+   * Serialize every object store into a single backup document.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.skipCardCache=false] - Leave out cached cards
+   *   and sets, which can be downloaded again.
+   * @returns {Promise<object>} { format, format_version, db_version,
+   *   search_version, created_at, skipped_stores, stores: { name: records[] } }
+   */
+  async backupDatabase({ skipCardCache = false } = {}) {
+    const db = await openDB();
+    const all = Array.from(db.objectStoreNames);
+    const skipped = skipCardCache ? all.filter((name) => CARD_CACHE_STORES.includes(name)) : [];
+    const names = all.filter((name) => !skipped.includes(name));
+
+    const tx = db.transaction(names, "readonly");
+    const stores = {};
+    for (const name of names) {
+      stores[name] = await promisify(tx.objectStore(name).getAll());
+    }
+
+    return {
+      format: BACKUP_FORMAT,
+      format_version: BACKUP_FORMAT_VERSION,
+      db_version: DB_VERSION,
+      search_version: SEARCH_SCHEMA_VERSION,
+      created_at: Date.now(),
+      skipped_stores: skipped,
+      stores,
+    };
+  },
+
+  /**
+   * Replace the contents of every store in a backup with its records.
+   *
+   * Stores missing from the backup (skipped card cache, or stores added
+   * after it was taken) are left untouched; stores this version doesn't
+   * know are ignored. Cards cached under an older search schema still
+   * need migrateSearchSchema() afterwards.
+   *
+   * Queued EchoMTG writes that were pending at backup time may have been
+   * sent since, so they are restored as failed rather than resent.
+   *
+   * @param {object} backup - Document from backupDatabase().
+   * @returns {Promise<object>} Map of store name → records restored.
+   * @throws {Error} If the document is not a backup this version can read,
+   *   or holds none of the stores it knows.
+   */
+  async restoreDatabase(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.stores !== "object") {
+      throw new Error("Not a Scroll Rack backup file");
+    }
+    if (backup.format_version > BACKUP_FORMAT_VERSION || backup.db_version > DB_VERSION) {
+      throw new Error("Backup was made by a newer version of Scroll Rack");
+    }
+
+    const db = await openDB();
+    const names = Object.keys(backup.stores).filter(
+      (name) => db.objectStoreNames.contains(name) && Array.isArray(backup.stores[name])
+    );
+    if (names.length === 0) throw new Error("Backup contains no data to restore");
+    const tx = db.transaction(names, "readwrite");
+    const restored = {};
+
+    for (const name of names) {
+      const store = tx.objectStore(name);
+      store.clear();
+      for (const rec of backup.stores[name]) {
+        if (name === "outbox" && rec.status === "pending") {
+          store.put({ ...rec, status: "failed", last_error: "Restored from backup; retry to send" });
+        } else {
+          store.put(rec);
+        }
+      }
+      restored[name] = backup.stores[name].length;
+    }
+
+    await txComplete(tx);
+    await loadNoteFormat(db);
+    return restored;
+  },
 };
 
 export default CardDB;
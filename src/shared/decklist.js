@@ -0,0 +1,242 @@
+/**
+ * Decklist parsing and best-copy selection.
+ *
+ * Accepts the common text exports: plain ("4 Lightning Bolt", "4x Lightning
+ * Bolt"), MTGA ("4 Lightning Bolt (M10) 146", with "Deck" / "Sideboard"
+ * headers) and MTGO / Apprentice ("SB: 2 Duress"). Each line is matched
+ * against the inventory by card name; the set and number of an MTGA line
+ * only steer which copy is picked, since Arena printings rarely match the
+ * paper ones on the shelf.
+ */
+
+import { normalizeCardName } from "./card-name-utils.js";
+import { foldForSearch } from "./search-utils.js";
+import { parseNoteLocation } from "./card-db.js";
+
+/** Copy orderings offered by pickCopies(). */
+export const COPY_ORDERS = ["cheapest", "oldest"];
+
+// Section headers written by Arena, MTGO and most deckbuilding sites
+const SECTIONS = {
+  deck: "main",
+  main: "main",
+  mainboard: "main",
+  maindeck: "main",
+  sideboard: "side",
+  side: "side",
+  commander: "commander",
+  companion: "companion",
+  maybeboard: "maybe",
+  considering: "maybe",
+};
+
+// "4 Name", "4x Name", "Name"; optional "(SET) 123" and "*F*" after it
+const LINE_RE = /^(?:(\d{1,3})x?\s+)?(.+?)(?:\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([A-Za-z0-9-]+★?))?)?(?:\s+\*[A-Z]+\*)?$/;
+
+/**
+ * Key for matching a decklist name against inventory names: front face
+ * only, treatment suffixes stripped, case and accents folded.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function deckCardKey(name) {
+  return foldForSearch(normalizeCardName(String(name || "").replace(/\s*\/\/\/?\s*/g, " // ")));
+}
+
+/**
+ * Parse a pasted decklist.
+ *
+ * Blank lines after the main deck start the sideboard (MTGO exports have no
+ * header). Repeated lines for the same card in the same section are merged.
+ *
+ * @param {string} text
+ * @returns {{ entries: Array<{ quantity: number, name: string, section: string,
+ *   set_code: string, collectors_number: string }>, unparsed: string[] }}
+ */
+export function parseDecklist(text) {
+  const entries = [];
+  const unparsed = [];
+  const byKey = new Map();
+  let section = "main";
+  let sawCards = false;
+
+  for (const raw of String(text ?? "").split(/\r?\n/)) {
+    let line = raw.trim();
+    if (!line) {
+      if (sawCards && section === "main") section = "side";
+      continue;
+    }
+    if (line.startsWith("//") || line.startsWith("#")) continue;
+
+    const header = SECTIONS[line.replace(/[:\s]+$/, "").toLowerCase()];
+    if (header) {
+      section = header;
+      continue;
+    }
+
+    let lineSection = section;
+    if (/^SB:\s*/i.test(line)) {
+      line = line.replace(/^SB:\s*/i, "");
+      lineSection = "side";
+    }
+
+    const match = line.match(LINE_RE);
+    const quantity = match?.[1] === undefined ? 1 : Number(match[1]);
+    if (!match || quantity < 1 || !/[a-z]/i.test(match[2])) {
+      unparsed.push(raw.trim());
+      continue;
+    }
+
+    sawCards = true;
+    const name = match[2].trim();
+    const key = `${lineSection}|${deckCardKey(name)}`;
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+      continue;
+    }
+    const entry = {
+      quantity,
+      name,
+      section: lineSection,
+      set_code: (match[3] || "").toUpperCase(),
+      collectors_number: match[4] || "",
+    };
+    byKey.set(key, entry);
+    entries.push(entry);
+  }
+
+  return { entries, unparsed };
+}
+
+/**
+ * Whether a location tag is `location` or sits inside it through the
+ * registry's parent links (case-insensitive).
+ *
+ * @param {string|null} tag
+ * @param {string} location - Lowercased tag.
+ * @param {Map<string, string>} parents - Lowercased tag → lowercased parent tag.
+ * @returns {boolean}
+ */
+function withinLocation(tag, location, parents) {
+  const seen = new Set();
+  for (let t = tag?.toLowerCase(); t && !seen.has(t); t = parents.get(t)) {
+    if (t === location) return true;
+    seen.add(t);
+  }
+  return false;
+}
+
+/**
+ * Build the copy comparator for a preference set. Earlier rules win:
+ * copies at the preferred location, then non-foil (if asked), then the
+ * printing the list named, then the chosen order.
+ *
+ * @param {object} entry - Decklist entry (for its set_code).
+ * @param {object} prefs - See pickCopies().
+ * @returns {function(object, object): number}
+ */
+function copyComparator(
+  entry,
+  { order = "cheapest", nonFoilFirst = false, preferLocation = "", locations = [], setOrder = [] }
+) {
+  const location = preferLocation.trim().toLowerCase();
+  const parents = new Map(
+    locations.filter((loc) => loc.parent_tag).map((loc) => [loc.tag.toLowerCase(), loc.parent_tag.toLowerCase()])
+  );
+  // setOrder is newest first; sets it doesn't know sort last
+  const age = new Map(setOrder.map((code, i) => [code.toUpperCase(), i]));
+  const rules = [];
+
+  if (location) {
+    rules.push((rec) => {
+      const { tag } = parseNoteLocation(rec.note);
+      return withinLocation(tag, location, parents) ? 0 : 1;
+    });
+  }
+  if (nonFoilFirst) rules.push((rec) => (rec.foil ? 1 : 0));
+  if (entry.set_code) rules.push((rec) => (rec.set_code === entry.set_code ? 0 : 1));
+  if (order === "oldest") {
+    rules.push((rec) => -(age.get(rec.set_code) ?? -1));
+  } else {
+    rules.push((rec) => rec.acquired_price || 0);
+  }
+
+  return (a, b) => {
+    for (const rule of rules) {
+      const diff = rule(a) - rule(b);
+      if (diff !== 0) return diff;
+    }
+    return a.echo_inventory_id - b.echo_inventory_id;
+  };
+}
+
+/** Group records by a key function. */
+function groupBy(records, keyOf) {
+  const groups = new Map();
+  for (const rec of records) {
+    const key = keyOf(rec);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(rec);
+  }
+  return groups;
+}
+
+/**
+ * Choose which owned copies to pull for each decklist entry.
+ *
+ * Entries from parseDecklist() match copies by card name. Entries with an
+ * `emid` (EchoMTG list items) match that exact printing instead, and a
+ * boolean `foil` only matches copies with that finish.
+ *
+ * Entries are filled in list order from a shared pool, so a card in both
+ * the main deck and the sideboard is never picked twice.
+ *
+ * @param {object[]} entries - From parseDecklist(), or
+ *   { quantity, name, emid, foil } list items.
+ * @param {object[]} available - Inventory records that can be pulled
+ *   (i.e. not already checked out).
+ * @param {object} [prefs]
+ * @param {"cheapest"|"oldest"} [prefs.order="cheapest"] - Lowest acquired
+ *   price first, or oldest set first.
+ * @param {boolean} [prefs.nonFoilFirst=false] - Pull non-foil copies first.
+ * @param {string} [prefs.preferLocation=""] - Location tag whose copies
+ *   are pulled first, along with those of the locations registered inside
+ *   it (e.g. "b5" also matches "b5r1" if b5r1's parent is b5).
+ * @param {object[]} [prefs.locations=[]] - Registered locations
+ *   ({ tag, parent_tag }).
+ * @param {string[]} [prefs.setOrder=[]] - Known set codes, newest first,
+ *   used by the "oldest" order.
+ * @returns {{ picks: Array<{ entry: object, chosen: object[] }>, spare: object[],
+ *   missing: Array<{ entry: object, owned: number, short: number }> }}
+ *   The copies chosen for each entry, the other copies of the listed cards
+ *   (any finish), and the entries that couldn't be filled.
+ */
+export function pickCopies(entries, available, prefs = {}) {
+  const byName = groupBy(available, (rec) => deckCardKey(rec.name));
+  const byEmid = groupBy(available, (rec) => Number(rec.emid));
+  const matching = (entry) =>
+    (entry.emid ? byEmid.get(Number(entry.emid)) : byName.get(deckCardKey(entry.name))) || [];
+
+  const picks = [];
+  const missing = [];
+  const taken = new Set();
+  const seen = new Set();
+  for (const entry of entries) {
+    const all = matching(entry);
+    all.forEach((rec) => seen.add(rec));
+    const copies = all.filter(
+      (rec) => !taken.has(rec) && (typeof entry.foil !== "boolean" || !!rec.foil === entry.foil)
+    );
+    const chosen = copies.sort(copyComparator(entry, prefs)).slice(0, entry.quantity);
+    chosen.forEach((rec) => taken.add(rec));
+    picks.push({ entry, chosen });
+    if (chosen.length < entry.quantity) {
+      missing.push({ entry, owned: chosen.length, short: entry.quantity - chosen.length });
+    }
+  }
+
+  const spare = [...seen].filter((rec) => !taken.has(rec));
+  return { picks, spare, missing };
+}
@@ -231,6 +231,20 @@ const EchoAPI = {
     return request("POST", "/inventory/add/batch", { data: items, token });
   },
 
+  /**
+   * Remove a single item from inventory.
+   *
+   * @param {string|number} inventoryId - The inventory item's ID
+   * @param {string} token
+   * @returns {Promise<object>}
+   */
+  async removeInventoryItem(inventoryId, token) {
+    return request("POST", "/inventory/remove/", {
+      data: { inventory_id: inventoryId },
+      token,
+    });
+  },
+
   /**
    * Create a note on a resource.
    *
@@ -262,6 +276,20 @@ const EchoAPI = {
     });
   },
 
+  /**
+   * Delete a note.
+   *
+   * @param {string|number} noteId - The note's ID
+   * @param {string} token
+   * @returns {Promise<object>}
+   */
+  async deleteNote(noteId, token) {
+    return request("POST", "/notes/delete/", {
+      data: { id: noteId },
+      token,
+    });
+  },
+
   /**
    * Get notes for an inventory item.
    *
@@ -297,6 +325,36 @@ const EchoAPI = {
     return request("GET", "/lists/get", { params: { list: listId }, token });
   },
 
+  /**
+   * Create an empty list.
+   *
+   * @param {string} name
+   * @param {string} description
+   * @param {string} token
+   * @returns {Promise<object>} Response with the new list's ID.
+   */
+  async createList(name, description, token) {
+    return request("POST", "/lists/create/", {
+      data: { name, description },
+      token,
+    });
+  },
+
+  /**
+   * Add a card to a list.
+   *
+   * @param {string|number} listId
+   * @param {{ emid: number, quantity?: number, foil?: boolean }} item
+   * @param {string} token
+   * @returns {Promise<object>}
+   */
+  async addListItem(listId, { emid, quantity = 1, foil = false }, token) {
+    return request("POST", "/lists/add/", {
+      data: { list: listId, emid, quantity, foil: foil ? 1 : 0 },
+      token,
+    });
+  },
+
   /**
    * Search the user's inventory.
    *
@@ -0,0 +1,211 @@
+/**
+ * Inventory exporters.
+ *
+ * Turn the records from CardDB.getInventoryExport() into CSV or JSON for
+ * spreadsheets and label printing. Each row carries the card's set and
+ * rarity, its parsed note location, and its latest checkout.
+ */
+
+/** Date.now() timestamp → ISO string, or "" when unset. */
+function isoDate(ms) {
+  return ms ? new Date(ms).toISOString() : "";
+}
+
+/**
+ * Export columns, in output order. `key` names the JSON field; `header` is
+ * the CSV column title.
+ */
+export const EXPORT_COLUMNS = [
+  { key: "inventory_id", header: "Inventory ID", value: (it) => it.echo_inventory_id },
+  { key: "emid", header: "EchoMTG ID", value: (it) => it.emid || 0 },
+  { key: "name", header: "Name", value: (it) => it.name || "" },
+  { key: "set_code", header: "Set Code", value: (it) => it.set_code || "" },
+  { key: "set_name", header: "Set", value: (it) => it.set_name || "" },
+  { key: "collectors_number", header: "Collector Number", value: (it) => it.collectors_number || "" },
+  { key: "rarity", header: "Rarity", value: (it) => it.rarity || "" },
+  { key: "type", header: "Type", value: (it) => it.main_type || "" },
+  { key: "foil", header: "Foil", value: (it) => !!it.foil },
+  { key: "condition", header: "Condition", value: (it) => it.condition || "" },
+  { key: "language", header: "Language", value: (it) => it.language || "" },
+  { key: "location", header: "Location", value: (it) => it.location_tag || "" },
+  { key: "position", header: "Position", value: (it) => it.position ?? null },
+  { key: "note", header: "Note", value: (it) => it.note || "" },
+  { key: "checkout_status", header: "Checkout Status", value: (it) => it.checkout?.status || "" },
+  { key: "checkout_source", header: "Checked Out From", value: (it) => checkoutSource(it.checkout) },
+  { key: "checked_out_at", header: "Checked Out At", value: (it) => isoDate(it.checkout?.checked_out_at) },
+  { key: "checked_in_at", header: "Checked In At", value: (it) => isoDate(it.checkout?.checked_in_at) },
+  { key: "acquired_price", header: "Acquired", value: (it) => it.acquired_price || 0 },
+  { key: "date_acquired", header: "Date Acquired", value: (it) => it.date_acquired || "" },
+];
+
+/** Source slot of a checkout in the note format, or "" if unknown. */
+function checkoutSource(co) {
+  return co?.source_slot || co?.source_location || "";
+}
+
+/**
+ * Flatten export records into plain rows keyed by EXPORT_COLUMNS.
+ *
+ * @param {object[]} items - Records from CardDB.getInventoryExport().
+ * @returns {object[]}
+ */
+export function toExportRows(items) {
+  return items.map((item) => {
+    const row = {};
+    for (const col of EXPORT_COLUMNS) {
+      row[col.key] = col.value(item);
+    }
+    return row;
+  });
+}
+
+/**
+ * Quote one CSV field if it holds a comma, quote or line break.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatCSVField(value) {
+  const str = value == null ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Export records as CSV with a header row.
+ *
+ * @param {object[]} items - Records from CardDB.getInventoryExport().
+ * @returns {string}
+ */
+export function formatInventoryCSV(items) {
+  const lines = [EXPORT_COLUMNS.map((col) => formatCSVField(col.header)).join(",")];
+  for (const row of toExportRows(items)) {
+    lines.push(EXPORT_COLUMNS.map((col) => formatCSVField(row[col.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Export records as a JSON document.
+ *
+ * @param {object[]} items - Records from CardDB.getInventoryExport().
+ * @param {number} [exportedAt=Date.now()]
+ * @returns {string}
+ */
+export function formatInventoryJSON(items, exportedAt = Date.now()) {
+  const rows = toExportRows(items);
+  return JSON.stringify({ exported_at: isoDate(exportedAt), count: rows.length, cards: rows }, null, 2);
+}
+
+/**
+ * Build a downloadable export file.
+ *
+ * @param {object[]} items - Records from CardDB.getInventoryExport().
+ * @param {"csv"|"json"} format
+ * @param {number} [exportedAt=Date.now()]
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ * @throws {Error} On an unknown format.
+ */
+export function exportInventory(items, format, exportedAt = Date.now()) {
+  const date = isoDate(exportedAt).slice(0, 10);
+  if (format === "csv") {
+    return {
+      content: formatInventoryCSV(items),
+      filename: `scroll-rack-inventory-${date}.csv`,
+      mimeType: "text/csv",
+    };
+  }
+  if (format === "json") {
+    return {
+      content: formatInventoryJSON(items, exportedAt),
+      filename: `scroll-rack-inventory-${date}.json`,
+      mimeType: "application/json",
+    };
+  }
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+// ---------------------------------------------------------------------------
+// Want lists
+// ---------------------------------------------------------------------------
+
+/**
+ * The cards still needed after a pick, merged per card, printing and
+ * finish.
+ *
+ * @param {Array<{ entry: object, short: number }>} missing - From pickCopies().
+ * @returns {Array<{ name: string, quantity: number, set_code: string, foil: boolean, emid: number }>}
+ */
+export function toWantList(missing) {
+  const wants = new Map();
+  for (const { entry, short } of missing) {
+    const want = {
+      name: entry.name,
+      quantity: short,
+      set_code: entry.set_code || "",
+      foil: entry.foil === true,
+      emid: Number(entry.emid) || 0,
+    };
+    const key = `${want.emid || want.name.toLowerCase()}|${want.set_code}|${want.foil}`;
+    if (wants.has(key)) {
+      wants.get(key).quantity += want.quantity;
+    } else {
+      wants.set(key, want);
+    }
+  }
+  return [...wants.values()];
+}
+
+/**
+ * Want list as decklist text ("2 Lightning Bolt (M10) *F*"), which most
+ * buying sites' mass entry and parseDecklist() accept.
+ *
+ * @param {object[]} wants - From toWantList().
+ * @returns {string}
+ */
+export function formatWantListText(wants) {
+  return wants
+    .map((w) => `${w.quantity} ${w.name}${w.set_code ? ` (${w.set_code})` : ""}${w.foil ? " *F*" : ""}\n`)
+    .join("");
+}
+
+/**
+ * Want list as CSV with a header row.
+ *
+ * @param {object[]} wants - From toWantList().
+ * @returns {string}
+ */
+export function formatWantListCSV(wants) {
+  const lines = ["Quantity,Name,Set Code,Foil"];
+  for (const w of wants) {
+    lines.push([w.quantity, w.name, w.set_code, w.foil].map(formatCSVField).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Build a downloadable want list file.
+ *
+ * @param {object[]} wants - From toWantList().
+ * @param {"text"|"csv"} format
+ * @param {number} [exportedAt=Date.now()]
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ * @throws {Error} On an unknown format.
+ */
+export function exportWantList(wants, format, exportedAt = Date.now()) {
+  const date = isoDate(exportedAt).slice(0, 10);
+  if (format === "text") {
+    return {
+      content: formatWantListText(wants),
+      filename: `scroll-rack-want-list-${date}.txt`,
+      mimeType: "text/plain",
+    };
+  }
+  if (format === "csv") {
+    return {
+      content: formatWantListCSV(wants),
+      filename: `scroll-rack-want-list-${date}.csv`,
+      mimeType: "text/csv",
+    };
+  }
+  throw new Error(`Unknown export format: ${format}`);
+}
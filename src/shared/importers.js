@@ -0,0 +1,396 @@
+/**
+ * Inventory CSV importers.
+ *
+ * A registry of column-mapping profiles for collection exports from
+ * EchoMTG and other cataloguing apps (Moxfield, ManaBox, Deckbox,
+ * TCGplayer). The profile is picked from the CSV header row.
+ *
+ * Rows from other apps carry no EchoMTG inventory ID, so each copy gets a
+ * stable synthetic negative ID (never sent to EchoMTG) and emid 0 until
+ * CardDB.resolveInventoryEmids() matches it against the cached cards.
+ */
+
+/** @type {object[]} Registered importers, checked in order. */
+const importers = [];
+
+// ---------------------------------------------------------------------------
+// CSV parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse CSV text into header names and row objects keyed by header.
+ * Quoted fields may span lines.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], rows: object[] }}
+ */
+export function parseCSV(text) {
+  const lines = splitCSVRecords(text.replace(/^\uFEFF/, ""));
+  if (lines.length < 2) return { headers: [], rows: [] };
+
+  const headers = parseCSVLine(lines[0]).map((h) => h.trim());
+  const rows = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const values = parseCSVLine(line);
+    const row = {};
+    for (let j = 0; j < headers.length; j++) {
+      row[headers[j]] = values[j] || "";
+    }
+    rows.push(row);
+  }
+  return { headers, rows };
+}
+
+/**
+ * Split CSV text into records on line breaks outside quoted fields.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitCSVRecords(text) {
+  const records = [];
+  let start = 0;
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      // A "" escape toggles twice, leaving the state unchanged
+      inQuotes = !inQuotes;
+    } else if (ch === "\n" && !inQuotes) {
+      records.push(text.slice(start, i).replace(/\r$/, ""));
+      start = i + 1;
+    }
+  }
+  records.push(text.slice(start).replace(/\r$/, ""));
+  return records;
+}
+
+/**
+ * Split one CSV line into fields, honouring quotes and "" escapes.
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function parseCSVLine(line) {
+  const fields = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (i + 1 < line.length && line[i + 1] === '"') {
+          current += '"';
+          i++; // skip escaped quote
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        current += ch;
+      }
+    } else {
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ",") {
+        fields.push(current);
+        current = "";
+      } else {
+        current += ch;
+      }
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/**
+ * Register an importer profile.
+ *
+ * @param {object} importer
+ * @param {string} importer.id - Short identifier, stored as record.source
+ *   for non-EchoMTG imports.
+ * @param {string} importer.label - Human-readable name.
+ * @param {string[]} importer.columns - Header names that identify the format.
+ * @param {(row: object, index: number) => object[]} importer.toRecords -
+ *   Map one CSV row (and its index among the data rows) to zero or more
+ *   inventory records.
+ */
+export function registerImporter(importer) {
+  importers.push(importer);
+}
+
+/** @returns {object[]} Registered importers in detection order. */
+export function getImporters() {
+  return [...importers];
+}
+
+/**
+ * Find the importer whose identifying columns all appear in the header row.
+ *
+ * @param {string[]} headers
+ * @returns {object|null}
+ */
+export function detectImporter(headers) {
+  const present = new Set(headers);
+  return importers.find((imp) => imp.columns.every((col) => present.has(col))) || null;
+}
+
+/**
+ * Parse an inventory CSV export from any registered app.
+ *
+ * @param {string} text - CSV file contents.
+ * @returns {{ importer: object, records: object[] }}
+ * @throws {Error} If the header row matches no importer.
+ */
+export function parseInventoryCSV(text) {
+  const { headers, rows } = parseCSV(text);
+  const importer = detectImporter(headers);
+  if (!importer) {
+    throw new Error("Unrecognised CSV format");
+  }
+  return { importer, records: rows.flatMap((row, index) => importer.toRecords(row, index)) };
+}
+
+// ---------------------------------------------------------------------------
+// Value normalisation
+// ---------------------------------------------------------------------------
+
+const CONDITIONS = {
+  "mint": "NM",
+  "near mint": "NM",
+  "nm": "NM",
+  "lightly played": "LP",
+  "slightly played": "LP",
+  "excellent": "LP",
+  "good (lightly played)": "LP",
+  "lp": "LP",
+  "sp": "LP",
+  "moderately played": "MP",
+  "played": "MP",
+  "mp": "MP",
+  "heavily played": "HP",
+  "hp": "HP",
+  "damaged": "DMG",
+  "poor": "DMG",
+  "dmg": "DMG",
+};
+
+const LANGUAGES = {
+  "english": "EN",
+  "japanese": "JA",
+  "chinese simplified": "ZHS",
+  "simplified chinese": "ZHS",
+  "chinese traditional": "ZHT",
+  "traditional chinese": "ZHT",
+  "french": "FR",
+  "german": "DE",
+  "italian": "IT",
+  "korean": "KO",
+  "portuguese": "PT",
+  "russian": "RU",
+  "spanish": "ES",
+  "zh_cn": "ZHS",
+  "zh_tw": "ZHT",
+};
+
+/**
+ * Map an app's condition label ("Near Mint", "lightly_played", "Near Mint
+ * Foil") to EchoMTG's NM/LP/MP/HP/DMG.
+ */
+export function normalizeCondition(value) {
+  const key = (value || "").toLowerCase().replace(/_/g, " ").replace(/\s+foil$/, "").trim();
+  return CONDITIONS[key] || "NM";
+}
+
+/** Map a language name or code ("Japanese", "ja", "zh_CN") to EchoMTG's code. */
+export function normalizeLanguage(value) {
+  const key = (value || "").trim().toLowerCase();
+  if (!key) return "EN";
+  return LANGUAGES[key] || key.toUpperCase();
+}
+
+/** Whether a foil/printing column marks a foil copy ("foil", "etched", "Foil"). */
+function isFoilValue(value) {
+  const v = (value || "").trim().toLowerCase();
+  return v !== "" && v !== "normal" && v !== "non-foil" && v !== "nonfoil" && v !== "false" && v !== "0";
+}
+
+/**
+ * Stable 53-bit string hash (cyrb53), used for synthetic inventory IDs so
+ * re-importing the same export diffs cleanly.
+ */
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Build one inventory record per copy for a row from another app.
+ *
+ * @param {string} source - Importer id.
+ * @param {object} card - { name, set_code, set_name, collectors_number,
+ *   rarity, condition, language, foil, acquired_price }
+ * @param {number} quantity - Number of copies in the row.
+ * @param {number} rowIndex - Index of the row in the file, so identical
+ *   rows get distinct IDs.
+ * @returns {object[]}
+ */
+function copiesOf(source, card, quantity, rowIndex) {
+  const name = (card.name || "").trim();
+  if (!name) return [];
+
+  const base = {
+    emid: 0,
+    name,
+    name_lower: name.toLowerCase(),
+    set_code: (card.set_code || "").trim().toUpperCase(),
+    set_name: (card.set_name || "").trim(),
+    collectors_number: (card.collectors_number || "").trim(),
+    rarity: card.rarity || "",
+    main_type: "",
+    condition: card.condition,
+    language: card.language,
+    foil: card.foil,
+    note: "",
+    acquired_price: parseFloat(card.acquired_price) || 0,
+    date_acquired: "",
+    source,
+  };
+  const key = [
+    source, rowIndex, base.name, base.set_code || base.set_name, base.collectors_number,
+    base.foil ? "foil" : "", base.condition, base.language,
+  ].join("|");
+
+  return Array.from({ length: quantity }, (_, copy) => ({
+    ...base,
+    // Negative so it can never collide with a real EchoMTG inventory ID
+    echo_inventory_id: -hashString(`${key}|${copy}`),
+  }));
+}
+
+/** Parse a quantity column; blank means one copy. */
+function quantityOf(value) {
+  if (value == null || String(value).trim() === "") return 1;
+  return Math.max(0, parseInt(value, 10) || 0);
+}
+
+// ---------------------------------------------------------------------------
+// Built-in importers
+// ---------------------------------------------------------------------------
+
+registerImporter({
+  id: "echomtg",
+  label: "EchoMTG",
+  columns: ["echo_inventory_id", "echoid"],
+  toRecords(row) {
+    const rec = {
+      echo_inventory_id: Number(row["echo_inventory_id"]) || 0,
+      emid: Number(row["echoid"]) || 0,
+      name: row["Name"] || "",
+      name_lower: (row["Name"] || "").toLowerCase(),
+      set_code: (row["Set Code"] || "").toUpperCase(),
+      set_name: row["Set"] || "",
+      collectors_number: row["Collector Number"] || "",
+      rarity: row["Rarity"] || "",
+      main_type: row["Type"] || "",
+      condition: row["Condition"] || "NM",
+      language: row["Language"] || "EN",
+      foil: Number(row["Foil Qty"] || 0) > 0,
+      note: row["note"] || "",
+      acquired_price: parseFloat(row["Acquired"]) || 0,
+      date_acquired: row["Date Acquired"] || "",
+    };
+    return rec.echo_inventory_id > 0 ? [rec] : [];
+  },
+});
+
+registerImporter({
+  id: "manabox",
+  label: "ManaBox",
+  columns: ["ManaBox ID", "Name", "Set code", "Quantity"],
+  toRecords(row, index) {
+    return copiesOf("manabox", {
+      name: row["Name"],
+      set_code: row["Set code"],
+      set_name: row["Set name"],
+      collectors_number: row["Collector number"],
+      rarity: row["Rarity"],
+      condition: normalizeCondition(row["Condition"]),
+      language: normalizeLanguage(row["Language"]),
+      foil: isFoilValue(row["Foil"]),
+      acquired_price: row["Purchase price"],
+    }, quantityOf(row["Quantity"]), index);
+  },
+});
+
+registerImporter({
+  id: "moxfield",
+  label: "Moxfield",
+  columns: ["Count", "Name", "Edition", "Collector Number"],
+  toRecords(row, index) {
+    return copiesOf("moxfield", {
+      name: row["Name"],
+      set_code: row["Edition"],
+      collectors_number: row["Collector Number"],
+      condition: normalizeCondition(row["Condition"]),
+      language: normalizeLanguage(row["Language"]),
+      foil: isFoilValue(row["Foil"]),
+      acquired_price: row["Purchase Price"],
+    }, quantityOf(row["Count"]), index);
+  },
+});
+
+registerImporter({
+  id: "deckbox",
+  label: "Deckbox",
+  columns: ["Count", "Name", "Edition", "Card Number"],
+  toRecords(row, index) {
+    // Deckbox exports the set name, not its code; emid resolution
+    // matches on set name instead
+    return copiesOf("deckbox", {
+      name: row["Name"],
+      set_name: row["Edition"],
+      collectors_number: row["Card Number"],
+      condition: normalizeCondition(row["Condition"]),
+      language: normalizeLanguage(row["Language"]),
+      foil: isFoilValue(row["Foil"]),
+      acquired_price: (row["My Price"] || "").replace(/[^0-9.]/g, ""),
+    }, quantityOf(row["Count"]), index);
+  },
+});
+
+registerImporter({
+  id: "tcgplayer",
+  label: "TCGplayer",
+  columns: ["Quantity", "Name", "Set", "Printing"],
+  toRecords(row, index) {
+    const condition = row["Condition"] || "";
+    return copiesOf("tcgplayer", {
+      name: row["Simple Name"] || row["Name"],
+      set_code: row["Set Code"],
+      set_name: row["Set"],
+      collectors_number: row["Card Number"],
+      rarity: row["Rarity"],
+      condition: normalizeCondition(condition),
+      language: normalizeLanguage(row["Language"]),
+      foil: isFoilValue(row["Printing"]) || /foil$/i.test(condition),
+    }, quantityOf(row["Quantity"]), index);
+  },
+});
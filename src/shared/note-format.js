@@ -0,0 +1,94 @@
+/**
+ * Location note templates.
+ *
+ * A card's location lives in its EchoMTG note. The template says how:
+ * "{tag}p{pos}" (the default) writes "b5r1p12", "{tag} / #{pos}" writes
+ * "Box 3 / #112", and "{tag}-{pos:3}" writes "b5-r1-012" (position padded
+ * to three digits).
+ *
+ * Anything after the location, separated by whitespace, is the user's own
+ * free text; it is kept when the location is rewritten. Notes that don't
+ * match the template at all are treated as free text in full.
+ */
+
+export const DEFAULT_NOTE_FORMAT = "{tag}p{pos}";
+
+const TAG_RE = /\{tag\}/g;
+const POS_RE = /\{pos(?::(\d))?\}/g;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check a template and build its parser.
+ *
+ * @param {string} template - e.g. "{tag} / #{pos}"
+ * @returns {{ template: string, width: number, regex: RegExp, tagFirst: boolean }}
+ * @throws {Error} Unless the template has one {tag} and one {pos} that can
+ *   be told apart.
+ */
+export function compileNoteFormat(template) {
+  const str = String(template ?? "").trim();
+  if ((str.match(TAG_RE) || []).length !== 1 || (str.match(POS_RE) || []).length !== 1) {
+    throw new Error("Note format needs exactly one {tag} and one {pos}");
+  }
+
+  const [, widthText] = str.match(/\{pos(?::(\d))?\}/);
+  const width = Number(widthText) || 0;
+  if (/\{tag\}\{pos(?::\d)?\}|\{pos(?::\d)?\}\{tag\}/.test(str)) {
+    throw new Error("Put some text between {tag} and {pos} so they can be told apart");
+  }
+
+  // A tag at the very end would swallow the free text after it, so there
+  // it can't contain spaces
+  const tagGroup = str.endsWith("{tag}") ? "(\\S+)" : "(.+?)";
+  const body = str
+    .split(/(\{tag\}|\{pos(?::\d)?\})/)
+    .map((part) => {
+      if (part === "{tag}") return tagGroup;
+      if (part.startsWith("{pos")) return "(\\d+)";
+      return escapeRegExp(part);
+    })
+    .join("");
+
+  return {
+    template: str,
+    width,
+    regex: new RegExp(`^${body}(?:\\s+([\\s\\S]*))?$`),
+    tagFirst: str.indexOf("{tag}") < str.search(POS_RE),
+  };
+}
+
+/**
+ * Split a note into its location and the free text after it.
+ *
+ * @param {string} note
+ * @param {object} format - From compileNoteFormat().
+ * @returns {{ tag: string|null, position: number|null, extra: string }}
+ */
+export function parseNote(note, format) {
+  const str = typeof note === "string" ? note.trim() : "";
+  const match = str.match(format.regex);
+  if (!match) return { tag: null, position: null, extra: str };
+
+  const [rawTag, pos] = format.tagFirst ? [match[1], match[2]] : [match[2], match[1]];
+  const tag = rawTag.trim();
+  if (!tag) return { tag: null, position: null, extra: str };
+  return { tag, position: Number(pos), extra: (match[3] || "").trim() };
+}
+
+/**
+ * Write a location note, keeping any free text after it.
+ *
+ * @param {string} tag
+ * @param {number} position
+ * @param {string} [extra=""]
+ * @param {object} format - From compileNoteFormat().
+ * @returns {string}
+ */
+export function formatNote(tag, position, extra, format) {
+  const pos = String(position).padStart(format.width, "0");
+  const location = format.template.replace(TAG_RE, () => tag).replace(POS_RE, () => pos);
+  return extra ? `${location} ${extra}` : location;
+}
@@ -0,0 +1,154 @@
+/**
+ * Pick-path ordering for retrieval plans.
+ *
+ * A plan is walked one location at a time. Locations are visited in shelf
+ * order: down the registry hierarchy depth first, siblings by their walk
+ * order and then by tag, with tags that aren't registered after the ones
+ * that are. Within a location cards are pulled front to back, so each
+ * location is flipped through once.
+ */
+
+import { formatPosition, hasBinderLayout, toBinderSlot } from "./binder-layout.js";
+
+/** "b2" before "b10". */
+function compareTags(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/** A registered location and its ancestors, outermost first. */
+function ancestry(tag, byTag) {
+  const chain = [];
+  for (let loc = byTag.get(tag); loc && !chain.includes(loc); loc = byTag.get(loc.parent_tag)) {
+    chain.unshift(loc);
+  }
+  return chain;
+}
+
+/**
+ * Compare two location tags in walk order. A null tag (cards with no
+ * known location) comes last.
+ *
+ * @param {string|null} a
+ * @param {string|null} b
+ * @param {Map<string, object>} byTag - Location summaries by tag.
+ * @returns {number}
+ */
+function compareLocations(a, b, byTag) {
+  if (a === b) return 0;
+  if (a == null || b == null) return a == null ? 1 : -1;
+
+  const chainA = ancestry(a, byTag).filter((loc) => loc.registered);
+  const chainB = ancestry(b, byTag).filter((loc) => loc.registered);
+  if (!chainA.length || !chainB.length) {
+    if (chainA.length !== chainB.length) return chainA.length ? -1 : 1;
+    return compareTags(a, b);
+  }
+
+  for (let i = 0; ; i++) {
+    // A location is walked before the locations inside it
+    if (!chainA[i]) return -1;
+    if (!chainB[i]) return 1;
+    if (chainA[i] === chainB[i]) continue;
+    const orderA = chainA[i].walk_order ?? Infinity;
+    const orderB = chainB[i].walk_order ?? Infinity;
+    if (orderA !== orderB) return orderA < orderB ? -1 : 1;
+    return compareTags(chainA[i].tag, chainB[i].tag);
+  }
+}
+
+/**
+ * How far you flip to pull positions in the given order, starting at the
+ * front: the sum of the gaps between consecutive stops.
+ *
+ * @param {number[]} positions - Card positions, or page numbers for binders.
+ * @returns {number}
+ */
+export function flipDistance(positions) {
+  let at = 1;
+  let total = 0;
+  for (const pos of positions) {
+    total += Math.abs(pos - at);
+    at = pos;
+  }
+  return total;
+}
+
+/**
+ * Order a plan's items into a walk.
+ *
+ * @param {object[]} items - Plan items ({ current_location, current_position, ... }).
+ * @param {object[]} locations - Location summaries (see
+ *   CardDB.getLocationSummaries()): label, parent_tag, walk_order and page
+ *   layout.
+ * @returns {{ stops: Array<{ tag: string|null, label: string, layout: object|null,
+ *   items: object[], flips: number, unit: "cards"|"pages" }>,
+ *   flips: { cards: number, pages: number } }}
+ *   Stops in walk order, each with its items by ascending position and the
+ *   estimated flips to pull them; binders count pages turned, everything
+ *   else cards flipped past.
+ */
+export function planPickPath(items, locations) {
+  const byTag = new Map(locations.map((loc) => [loc.tag, loc]));
+  const groups = new Map();
+  for (const item of items) {
+    const tag = item.current_location || null;
+    if (!groups.has(tag)) groups.set(tag, []);
+    groups.get(tag).push(item);
+  }
+
+  const flips = { cards: 0, pages: 0 };
+  const stops = [...groups.keys()]
+    .sort((a, b) => compareLocations(a, b, byTag))
+    .map((tag) => {
+      const layout = byTag.get(tag) || null;
+      const stopItems = groups.get(tag).sort(
+        (a, b) => (a.current_position || Infinity) - (b.current_position || Infinity)
+      );
+      const binder = hasBinderLayout(layout);
+      const positions = stopItems
+        .filter((item) => item.current_position > 0)
+        .map((item) => (binder ? toBinderSlot(item.current_position, layout).page : item.current_position));
+      const unit = binder ? "pages" : "cards";
+      const stopFlips = tag ? flipDistance(positions) : 0;
+      flips[unit] += stopFlips;
+      return {
+        tag,
+        label: tag ? layout?.label || tag : "Unknown location",
+        layout,
+        items: stopItems,
+        flips: stopFlips,
+        unit,
+      };
+    });
+
+  return { stops, flips };
+}
+
+/**
+ * One-line walk: "Box 3: p4, p17, p212 → Box 5: page 1, slot 2 (front)".
+ *
+ * @param {{ stops: object[] }} path - From planPickPath().
+ * @returns {string}
+ */
+export function formatPickPath({ stops }) {
+  return stops
+    .map((stop) => {
+      const binder = hasBinderLayout(stop.layout);
+      const positions = stop.items.map((item) => formatPosition(item.current_position, stop.layout));
+      return `${stop.label}: ${positions.join(binder ? "; " : ", ")}`;
+    })
+    .join(" → ");
+}
+
+/**
+ * Flip estimate for a walk, e.g. "about 212 cards and 3 pages to flip".
+ *
+ * @param {{ flips: { cards: number, pages: number } }} path - From planPickPath().
+ * @returns {string}
+ */
+export function formatFlipEstimate({ flips }) {
+  const parts = [];
+  if (flips.cards) parts.push(`${flips.cards} card${flips.cards === 1 ? "" : "s"}`);
+  if (flips.pages) parts.push(`${flips.pages} page${flips.pages === 1 ? "" : "s"}`);
+  return parts.length ? `about ${parts.join(" and ")} to flip` : "nothing to flip";
+}
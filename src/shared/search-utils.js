@@ -5,25 +5,62 @@
  * - Initials search ("SF" → "Stormfighter Falcon")
  * - Prefix search ("sto" → "Stormfighter")
  * - Multi-token search ("storm fal" → "Stormfighter Falcon")
+ * - Collector-number lookup ("mh3 241", "241", "mh3#241a")
+ * - Fuzzy fallback for typos ("thalia guardien" → "Thalia, Guardian of Thraben")
  * - Hybrid strategy with intent detection
+ *
+ * Also parses a small Scryfall-style filter syntax (s:, r:, t:, lang:, is:,
+ * loc:, cn>, negation with "-") into the filter objects understood by
+ * CardDB._matchesFilters().
  */
 
 // Stop words to filter out when generating initials
 const STOP_WORDS = ["of", "the", "and", "a", "an", "for", "to", "in"];
 
+// Letters that Unicode decomposition leaves intact
+const LETTER_FOLDS = { æ: "ae", œ: "oe", ø: "o", ß: "ss", đ: "d", ð: "d", ł: "l", þ: "th" };
+
+/**
+ * Lowercase text and fold accented letters to their plain ASCII form
+ * ("Lim-Dûl" → "lim-dul", "Æther" → "aether", "Jötun" → "jotun").
+ * @param {string} text
+ * @returns {string} - Folded lowercase text
+ */
+export function foldForSearch(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Drop combining diacritics
+    .replace(/[æœøßđðłþ]/g, (ch) => LETTER_FOLDS[ch]);
+}
+
 /**
  * Extract tokens from a card name for indexing.
  * @param {string} name - Original card name
  * @returns {string[]} - Array of normalized tokens
  */
 export function extractTokens(name) {
-  return name
-    .toLowerCase()
+  return foldForSearch(name)
+    .replace(/['’]/g, "") // "ugin's" → "ugins"
     .split(/[\s-–—]+/) // Split on spaces and dashes
+    .map(token => token.replace(/[^\w]/g, ""))
     .filter(token => token.length > 0)
     .filter(token => !STOP_WORDS.includes(token));
 }
 
+/**
+ * Split a multi-face card name ("Fire // Ice", transform and adventure
+ * cards) into its faces. Single-faced names return a one-element array.
+ * @param {string} name - Original card name
+ * @returns {string[]} - Face names, front first
+ */
+export function splitFaces(name) {
+  return name
+    .split("//")
+    .map(face => face.trim())
+    .filter(face => face.length > 0);
+}
+
 /**
  * Generate initials from a card name.
  * @param {string} name - Original card name
@@ -64,25 +101,160 @@ export function generateStrictInitials(name) {
  * @returns {string} - Normalized name
  */
 export function normalizeForSearch(name) {
-  return name
-    .toLowerCase()
-    .replace(/['']/g, "") // Remove apostrophes
+  return foldForSearch(name)
+    .replace(/['’]/g, "") // Remove apostrophes
     .replace(/[^\w\s-]/g, "") // Remove special chars except hyphens
     .trim();
 }
 
+/**
+ * Split a leading quantity modifier ("4x lightning bolt") off a query.
+ * @param {string} query - User search input
+ * @returns {{ quantity: number|null, query: string }} - Quantity (null when
+ *   absent) and the remaining query
+ */
+export function parseQuantityPrefix(query) {
+  const match = query.match(/^\s*(\d{1,2})x\s+(.*)$/i);
+  if (!match || Number(match[1]) < 1) {
+    return { quantity: null, query };
+  }
+  return { quantity: Number(match[1]), query: match[2] };
+}
+
+// Filter keywords accepted by parseSearchQuery, with their aliases
+const QUERY_FILTER_KEYS = {
+  s: "set",
+  set: "set",
+  e: "set",
+  r: "rarity",
+  rarity: "rarity",
+  t: "type",
+  type: "type",
+  lang: "lang",
+  is: "is",
+  loc: "loc",
+  cn: "cn",
+};
+
+// Rarity words → the single-letter code compared against record rarities
+const RARITY_ALIASES = {
+  m: "m", mythic: "m",
+  r: "r", rare: "r",
+  u: "u", uncommon: "u",
+  c: "c", common: "c",
+  s: "s", special: "s",
+};
+
+/**
+ * Compile one filter term into a filter object.
+ * @param {string} key - Canonical key from QUERY_FILTER_KEYS
+ * @param {string} op - ":", "=", ">", ">=", "<" or "<="
+ * @param {string} value - Term value
+ * @returns {object|null} - Filter object, or null if the term is invalid
+ */
+function compileQueryTerm(key, op, value) {
+  const v = value.toLowerCase();
+  const isEquality = op === ":" || op === "=";
+
+  switch (key) {
+    case "set":
+      return isEquality ? { set_codes: [value.toUpperCase()] } : null;
+    case "rarity":
+      return isEquality && RARITY_ALIASES[v] ? { rarities: [RARITY_ALIASES[v]] } : null;
+    case "type":
+      return isEquality ? { types: [v] } : null;
+    case "lang":
+      return isEquality ? { languages: [value.toUpperCase()] } : null;
+    case "is":
+      if (!isEquality) return null;
+      if (v === "foil") return { versions: ["foil"] };
+      if (v === "nonfoil") return { versions: ["regular"] };
+      return null;
+    case "loc":
+      return isEquality ? { locations: [v] } : null;
+    case "cn":
+      return { collector_numbers: [{ op: isEquality ? "=" : op, value: v }] };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Split a search query into free text and filter terms.
+ *
+ * Supported terms: s:mh3, r:mythic, t:creature, lang:ja, is:foil,
+ * is:nonfoil, loc:b5r1, cn>200 (also <, >=, <=, :). Prefix a term with "-"
+ * to exclude matches. Repeated terms of the same kind are OR'ed (like the
+ * multi-select dropdowns), except cn terms, which are AND'ed so that
+ * "cn>=100 cn<200" is a range; different kinds are AND'ed. Unrecognised
+ * terms stay part of the text.
+ *
+ * @param {string} query - User search input
+ * @returns {{ text: string, filters: object, hasFilters: boolean }}
+ */
+export function parseSearchQuery(query) {
+  const textParts = [];
+  const filters = {};
+  const exclude = [];
+
+  for (const term of query.trim().split(/\s+/)) {
+    const match = term.match(/^(-?)([a-z]+)(:|=|>=|<=|>|<)(.+)$/i);
+    const key = match && QUERY_FILTER_KEYS[match[2].toLowerCase()];
+    const filter = key ? compileQueryTerm(key, match[3], match[4]) : null;
+
+    if (!filter) {
+      if (term) textParts.push(term);
+    } else if (match[1]) {
+      exclude.push(filter);
+    } else {
+      for (const [k, values] of Object.entries(filter)) {
+        filters[k] = [...(filters[k] || []), ...values];
+      }
+    }
+  }
+
+  if (exclude.length > 0) filters.exclude = exclude;
+
+  return {
+    text: textParts.join(" "),
+    filters,
+    hasFilters: Object.keys(filters).length > 0,
+  };
+}
+
 /**
  * Detect search intent from user input.
+ *
+ * "mh3 241" only becomes a collector-number lookup when MH3 is in
+ * knownSets (or the number has a "#"), since names end in numbers too
+ * ("bolt 2"). Without knownSets such queries stay name searches that carry
+ * the possible lookup as `collector: { setCode, number }`, for callers to
+ * match as well.
+ *
  * @param {string} query - User search input
+ * @param {Set<string>|null} [knownSets=null] - Upper-case set codes.
  * @returns {object} - Intent object with strategy and metadata
  */
-export function detectSearchIntent(query) {
-  const trimmed = query.trim().toLowerCase();
+export function detectSearchIntent(query, knownSets = null) {
+  const trimmed = foldForSearch(query.trim());
   
   if (!trimmed) {
     return { strategy: "empty", query: trimmed };
   }
 
+  // Check for collector number, optionally preceded by a set code
+  // ("241", "mh3 241", "mh3#241a", "mh3 #241")
+  const collector = trimmed.match(/^(?:([a-z0-9]{2,6})(?:\s*#\s*|\s+))?#?(\d{1,4}[a-z]?)$/);
+  let possibleCollector = null;
+  if (collector) {
+    const setCode = collector[1] ? collector[1].toUpperCase() : null;
+    const number = collector[2];
+    if (!setCode || trimmed.includes("#") || knownSets?.has(setCode)) {
+      return { strategy: "collector_number", query: trimmed, setCode, number };
+    }
+    if (!knownSets) possibleCollector = { setCode, number };
+  }
+
   // Check for pure initials (2+ uppercase letters, no spaces)
   if (/^[a-z]{2,}$/.test(trimmed) && query === query.toUpperCase()) {
     return { 
@@ -104,19 +276,22 @@ export function detectSearchIntent(query) {
 
   // Check for multi-token search (contains spaces)
   if (trimmed.includes(" ")) {
-    const tokens = trimmed.split(/\s+/).filter(t => t.length > 0);
+    const words = normalizeForSearch(trimmed).split(/\s+/).filter(t => t.length > 0);
+    const tokens = extractTokens(trimmed);
     return { 
       strategy: "multi_token", 
       query: trimmed,
-      tokens,
-      firstToken: tokens[0]
+      tokens: tokens.length > 0 ? tokens : words,
+      // Cards are bucketed by their first letter, stop words included
+      firstToken: words[0] || tokens[0],
+      ...(possibleCollector ? { collector: possibleCollector } : {}),
     };
   }
 
-  // Default to prefix search
+  // Default to prefix search, compared against search_normalized
   return { 
     strategy: "prefix", 
-    query: trimmed 
+    query: normalizeForSearch(trimmed) 
   };
 }
 
@@ -150,6 +325,157 @@ export function matchesTokenPrefixes(queryTokens, cardTokens) {
   );
 }
 
+/**
+ * Compare collector numbers, handling numeric and alphanumeric cases.
+ * e.g., "1" < "2" < "10" < "10a" < "10b"
+ * @param {string|number} a
+ * @param {string|number} b
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+export function compareCollectorNumbers(a, b) {
+  const aStr = a == null ? "" : String(a);
+  const bStr = b == null ? "" : String(b);
+  const aNum = parseInt(aStr, 10);
+  const bNum = parseInt(bStr, 10);
+
+  // Both are numeric - compare as numbers
+  if (!isNaN(aNum) && !isNaN(bNum)) {
+    if (aNum !== bNum) return aNum - bNum;
+    // Same number prefix - compare full string for suffixes (10a vs 10b)
+    return aStr.localeCompare(bStr);
+  }
+
+  // Fallback to string comparison
+  return aStr.localeCompare(bStr);
+}
+
+// Fuzzy matches score between strict matches (< 1000) and no match (1000)
+export const FUZZY_BASE_SCORE = 600;
+
+/**
+ * Edit distance (optimal string alignment: insert, delete, substitute,
+ * swap adjacent) between two strings, bounded by maxDistance.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [maxDistance=Infinity] - Stop early once exceeded
+ * @returns {number} - Distance, or maxDistance + 1 if it was exceeded
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return Math.min(prev[b.length], maxDistance + 1);
+}
+
+/**
+ * Number of typos tolerated in a query token of the given length.
+ * @param {number} length
+ * @returns {number}
+ */
+function allowedTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Tokens compared by the fuzzy matcher: name tokens stripped of
+ * punctuation ("ragavan," → "ragavan").
+ * @param {string[]} tokens
+ * @returns {string[]}
+ */
+function toFuzzyTokens(tokens) {
+  return tokens.map((t) => t.replace(/[^a-z0-9]/g, "")).filter((t) => t.length > 0);
+}
+
+/**
+ * Build the intent used for the fuzzy fallback tier.
+ * @param {string} query - User search input
+ * @returns {object} - Intent object with strategy "fuzzy"
+ */
+export function createFuzzyIntent(query) {
+  const trimmed = query.trim().toLowerCase();
+  return { strategy: "fuzzy", query: trimmed, tokens: toFuzzyTokens(extractTokens(trimmed)) };
+}
+
+/**
+ * Total edit distance between query tokens and their closest card tokens.
+ * Every query token must land within its typo allowance; the last one may
+ * also match a card token's prefix, since it is usually still being typed.
+ * @param {string[]} queryTokens - Fuzzy tokens from the query
+ * @param {string[]} cardTokens - Tokens from card
+ * @returns {number|null} - Summed distance, or null if any token misses
+ */
+export function fuzzyMatchDistance(queryTokens, cardTokens) {
+  if (queryTokens.length === 0) return null;
+  const candidates = toFuzzyTokens(cardTokens);
+
+  let total = 0;
+  for (let i = 0; i < queryTokens.length; i++) {
+    const qToken = queryTokens[i];
+    const allowed = allowedTypos(qToken.length);
+    const isLast = i === queryTokens.length - 1;
+
+    let best = allowed + 1;
+    for (const cToken of candidates) {
+      best = Math.min(best, editDistance(qToken, cToken, allowed));
+      if (isLast && cToken.length > qToken.length) {
+        best = Math.min(best, editDistance(qToken, cToken.slice(0, qToken.length), allowed));
+      }
+      if (best === 0) break;
+    }
+
+    if (best > allowed) return null;
+    total += best;
+  }
+  return total;
+}
+
+/**
+ * Find which face of a multi-face card the query matched.
+ * @param {object} intent - Search intent object
+ * @param {object} card - Card record from database
+ * @returns {number} - Face index, or -1 if no single face matches
+ */
+export function matchedFace(intent, card) {
+  const faces = card.faces || splitFaces(card.name || "");
+  const { strategy, query } = intent;
+
+  return faces.findIndex((face) => {
+    switch (strategy) {
+      case "initials":
+      case "space_initials":
+        return generateInitials(face).startsWith(query);
+      case "multi_token":
+        return matchesTokenPrefixes(intent.tokens, extractTokens(face));
+      case "prefix":
+        return normalizeForSearch(face).startsWith(query);
+      case "fuzzy":
+        return fuzzyMatchDistance(intent.tokens, extractTokens(face)) !== null;
+      default:
+        return false;
+    }
+  });
+}
+
 /**
  * Score a card match based on strategy.
  * @param {object} intent - Search intent object
@@ -158,7 +484,19 @@ export function matchesTokenPrefixes(queryTokens, cardTokens) {
  */
 export function scoreMatch(intent, card) {
   const { strategy, query } = intent;
+
+  if (strategy === "fuzzy") {
+    const distance = fuzzyMatchDistance(intent.tokens, card.tokens || extractTokens(card.name || ""));
+    return distance === null ? 1000 : FUZZY_BASE_SCORE + distance;
+  }
   
+  if (strategy === "collector_number") {
+    // Exact printing first, then letter-suffixed variants of the same number
+    const number = String(card.collectors_number ?? "").toLowerCase();
+    if (number === intent.number) return 0;
+    return parseInt(number, 10) === parseInt(intent.number, 10) ? 1 : 2;
+  }
+
   // Handle migration: if new search fields don't exist, fall back to basic matching
   if (!card.tokens || !card.initials) {
     // Fallback to basic substring matching
@@ -190,12 +528,13 @@ export function scoreMatch(intent, card) {
   // New search fields available - use optimized scoring
   switch (strategy) {
     case "initials":
-      // Perfect initials match gets highest priority
-      return query === card.initials ? 0 : 100;
-      
-    case "space_initials":
-      // Space-separated initials
-      return query === card.initials ? 0 : 100;
+    case "space_initials": {
+      // Perfect initials match gets highest priority; back faces of
+      // multi-face cards rank just behind front faces
+      const faceInitials = card.face_initials || [card.initials];
+      const face = faceInitials.indexOf(query);
+      return face === -1 ? 100 : face;
+    }
       
     case "multi_token":
       // Score based on how many tokens match and how early
@@ -219,6 +558,8 @@ export function scoreMatch(intent, card) {
       
     case "prefix":
       // Prefix match score based on position
+      const faceStart = (card.face_names || []).findIndex(face => face.startsWith(query));
+      if (faceStart !== -1) return faceStart;
       const nameStart = card.search_normalized.indexOf(query);
       return nameStart === 0 ? 0 : nameStart;
       
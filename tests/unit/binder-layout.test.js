@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import {
+  hasBinderLayout,
+  toBinderSlot,
+  fromBinderSlot,
+  formatPosition,
+  parsePosition,
+} from "../../src/shared/binder-layout.js";
+
+const nineDouble = { pockets_per_page: 9, sides: 2 };
+const nineSingle = { pockets_per_page: 9, sides: 1 };
+
+describe("toBinderSlot / fromBinderSlot", () => {
+  it("fills the front, then the back, then turns the page", () => {
+    expect(toBinderSlot(1, nineDouble)).toEqual({ page: 1, slot: 1, back: false });
+    expect(toBinderSlot(10, nineDouble)).toEqual({ page: 1, slot: 1, back: true });
+    expect(toBinderSlot(47, nineDouble)).toEqual({ page: 3, slot: 2, back: true });
+    expect(toBinderSlot(47, nineSingle)).toEqual({ page: 6, slot: 2, back: false });
+  });
+
+  it("round-trips every position", () => {
+    for (let pos = 1; pos <= 60; pos++) {
+      expect(fromBinderSlot(toBinderSlot(pos, nineDouble), nineDouble)).toBe(pos);
+      expect(fromBinderSlot(toBinderSlot(pos, nineSingle), nineSingle)).toBe(pos);
+    }
+  });
+});
+
+describe("formatPosition", () => {
+  it("uses binder coordinates only for locations with a layout", () => {
+    expect(formatPosition(47, nineDouble)).toBe("page 3, slot 2 (back)");
+    expect(formatPosition(3, nineDouble)).toBe("page 1, slot 3 (front)");
+    expect(formatPosition(47, nineSingle)).toBe("page 6, slot 2");
+    expect(formatPosition(47, null)).toBe("p47");
+    expect(formatPosition(47, { pockets_per_page: null })).toBe("p47");
+    expect(formatPosition(null, nineDouble)).toBe("p?");
+    expect(hasBinderLayout({ pockets_per_page: 0 })).toBe(false);
+  });
+});
+
+describe("parsePosition", () => {
+  it("accepts binder coordinates in several spellings", () => {
+    for (const text of ["page 3, slot 2 (back)", "3/2b", "p3 s2 back", "3 2 b", "Page 3 Slot 2 (Back)"]) {
+      expect(parsePosition(text, nineDouble)).toBe(47);
+    }
+    expect(parsePosition("3/2", nineDouble)).toBe(38);
+    expect(parsePosition("page 6, slot 2", nineSingle)).toBe(47);
+  });
+
+  it("keeps plain numbers linear", () => {
+    expect(parsePosition("47", nineDouble)).toBe(47);
+    expect(parsePosition(" 12 ", null)).toBe(12);
+  });
+
+  it("rejects addresses that don't fit the layout", () => {
+    expect(parsePosition("3/10", nineDouble)).toBeNull();
+    expect(parsePosition("3/2b", nineSingle)).toBeNull();
+    expect(parsePosition("3/2", null)).toBeNull();
+    expect(parsePosition("0", nineDouble)).toBeNull();
+    expect(parsePosition("slot", nineDouble)).toBeNull();
+  });
+});
@@ -1,7 +1,7 @@
-import { describe, it, expect, beforeEach, vi } from "vitest";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
 import "fake-indexeddb/auto";
 import { resetChromeMock } from "../mocks/chrome.js";
-import CardDB, { toCardRecord } from "../../src/shared/card-db.js";
+import CardDB, { DB_VERSION, formatNoteLocation, parseNoteLocation, toCardRecord, toInventoryRecord } from "../../src/shared/card-db.js";
 
 // The card-db module caches its _db handle. Since fake-indexeddb/auto
 // replaces the global indexedDB, we can just clear object stores
@@ -36,6 +36,19 @@ async function getDB() {
   });
 }
 
+/** Helper to replace the inventory store's contents */
+async function seedInventory(records) {
+  const db = await getDB();
+  const tx = db.transaction("inventory", "readwrite");
+  const store = tx.objectStore("inventory");
+  store.clear();
+  for (const rec of records) store.put(rec);
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 // ---------------------------------------------------------------------------
 // toCardRecord
 // ---------------------------------------------------------------------------
@@ -84,6 +97,56 @@ describe("toCardRecord", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// toInventoryRecord
+// ---------------------------------------------------------------------------
+
+describe("toInventoryRecord", () => {
+  it("maps an API inventory item to the CSV record shape", () => {
+    const rec = toInventoryRecord({
+      inventory_id: "9001",
+      emid: "12345",
+      name: "Ugin's Labyrinth",
+      set: "Modern Horizons 3",
+      set_code: "mh3",
+      collectors_number: 241,
+      rarity: "Mythic Rare",
+      condition: "LP",
+      language: "JA",
+      foil: "1",
+      note: " b5r1p3 ",
+      note_id: "77",
+      price_acquired: "4.50",
+      date_acquired: "2025-06-01",
+    });
+
+    expect(rec).toMatchObject({
+      echo_inventory_id: 9001,
+      emid: 12345,
+      name_lower: "ugin's labyrinth",
+      set_code: "MH3",
+      set_name: "Modern Horizons 3",
+      collectors_number: "241",
+      condition: "LP",
+      language: "JA",
+      foil: true,
+      note: "b5r1p3",
+      remote_note: "b5r1p3",
+      note_id: 77,
+      acquired_price: 4.5,
+    });
+  });
+
+  it("defaults missing fields and omits empty note ids", () => {
+    const rec = toInventoryRecord({ inventory_id: 1, name: "Bolt", foil: 0, note_id: 0 });
+    expect(rec.condition).toBe("NM");
+    expect(rec.language).toBe("EN");
+    expect(rec.foil).toBe(false);
+    expect(rec.note).toBe("");
+    expect("note_id" in rec).toBe(false);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // cacheSet / getCachedSets / clearSet / clearAll
 // ---------------------------------------------------------------------------
@@ -175,6 +238,605 @@ describe("searchCards", () => {
     const results = await CardDB.searchCards("light", [], 1);
     expect(results.length).toBe(1);
   });
+
+  it("finds the exact printing by set code and collector number", async () => {
+    await CardDB.cacheSet("MH3", "Modern Horizons 3", [
+      { emid: 20, name: "Flare of Duplication", collectors_number: "241b", rarity: "Rare", main_type: "Instant", image: "", image_cropped: "" },
+      { emid: 21, name: "Ugin's Labyrinth", collectors_number: "241", rarity: "Mythic Rare", main_type: "Land", image: "", image_cropped: "" },
+      { emid: 22, name: "Flare of Denial", collectors_number: "241a", rarity: "Rare", main_type: "Instant", image: "", image_cropped: "" },
+    ]);
+
+    const results = await CardDB.searchCards("mh3 241");
+    expect(results.map((c) => c.collectors_number)).toEqual(["241", "241a", "241b"]);
+    expect((await CardDB.searchCards("MH3#241a"))[0].emid).toBe(22);
+  });
+
+  it("finds collector numbers across sets when no set code is given", async () => {
+    const results = await CardDB.searchCards("3");
+    expect(results.map((c) => c.name)).toEqual(["Counterspell"]);
+  });
+});
+
+describe("searchCards accent folding", () => {
+  beforeEach(async () => {
+    await CardDB.cacheSet("ICE", "Ice Age", [
+      { emid: 40, name: "Lim-Dûl's Vault", collectors_number: "40", rarity: "Uncommon", main_type: "Instant", image: "", image_cropped: "" },
+      { emid: 41, name: "Jötun Grunt", collectors_number: "41", rarity: "Uncommon", main_type: "Creature", image: "", image_cropped: "" },
+      { emid: 42, name: "Æther Vial", collectors_number: "42", rarity: "Uncommon", main_type: "Artifact", image: "", image_cropped: "" },
+      { emid: 43, name: "Séance", collectors_number: "43", rarity: "Rare", main_type: "Enchantment", image: "", image_cropped: "" },
+    ]);
+  });
+
+  it("matches names without typing diacritics", async () => {
+    expect((await CardDB.searchCards("lim-dul")).map((c) => c.emid)).toEqual([40]);
+    expect((await CardDB.searchCards("lim duls vault")).map((c) => c.emid)).toEqual([40]);
+    expect((await CardDB.searchCards("jotun grunt")).map((c) => c.emid)).toEqual([41]);
+    expect((await CardDB.searchCards("aether")).map((c) => c.emid)).toEqual([42]);
+    expect((await CardDB.searchCards("seance")).map((c) => c.emid)).toEqual([43]);
+  });
+
+  it("still matches when the diacritic is typed", async () => {
+    expect((await CardDB.searchCards("Séance")).map((c) => c.emid)).toEqual([43]);
+    expect((await CardDB.searchCards("Æther Vial")).map((c) => c.emid)).toEqual([42]);
+  });
+
+  it("folds inventory searches too", async () => {
+    await CardDB.clearInventory();
+    await seedInventory([
+      { echo_inventory_id: 9, emid: 41, name: "Jötun Grunt", name_lower: "jötun grunt", set_code: "ICE", language: "EN", foil: false, note: "" },
+    ]);
+    expect((await CardDB.searchInventoryFiltered("jotun")).length).toBe(1);
+    expect((await CardDB.searchInventoryFiltered("jot gru")).length).toBe(1);
+  });
+});
+
+describe("searchCards multi-face cards", () => {
+  beforeEach(async () => {
+    await CardDB.cacheSet("ISD", "Innistrad", [
+      { emid: 50, name: "Delver of Secrets // Insectile Aberration", collectors_number: "51", rarity: "Common", main_type: "Creature", image: "", image_cropped: "" },
+      { emid: 51, name: "Fire // Ice", collectors_number: "52", rarity: "Uncommon", main_type: "Instant", image: "", image_cropped: "" },
+      { emid: 52, name: "Insidious Dreams", collectors_number: "53", rarity: "Rare", main_type: "Instant", image: "", image_cropped: "" },
+    ]);
+  });
+
+  it("indexes every face", async () => {
+    const [record] = await CardDB.searchCards("delver");
+    expect(record.faces).toEqual(["Delver of Secrets", "Insectile Aberration"]);
+    expect(record.face_initials).toEqual(["ds", "ia"]);
+    expect(record.face_letters).toEqual(["d", "i"]);
+  });
+
+  it("matches back faces by prefix, tokens and initials", async () => {
+    expect((await CardDB.searchCards("insectile")).map((c) => c.emid)).toEqual([50]);
+    expect((await CardDB.searchCards("insect aber")).map((c) => c.emid)).toEqual([50]);
+    expect((await CardDB.searchCards("IA"))[0].emid).toBe(50);
+    expect((await CardDB.searchCards("ice")).map((c) => c.emid)).toEqual([51]);
+  });
+
+  it("reports which face matched", async () => {
+    expect((await CardDB.searchCards("insectile"))[0].matched_face).toBe(1);
+    expect((await CardDB.searchCards("delver"))[0].matched_face).toBe(0);
+    expect((await CardDB.searchCards("ins")).find((c) => c.emid === 52).matched_face).toBeUndefined();
+  });
+});
+
+describe("searchCards fuzzy fallback", () => {
+  beforeEach(async () => {
+    await CardDB.cacheSet("MH2", "Modern Horizons 2", [
+      { emid: 30, name: "Ragavan, Nimble Pilferer", collectors_number: "138", rarity: "Mythic Rare", main_type: "Legendary Creature", image: "", image_cropped: "" },
+      { emid: 31, name: "Thalia, Guardian of Thraben", collectors_number: "30", rarity: "Rare", main_type: "Legendary Creature", image: "", image_cropped: "" },
+      { emid: 32, name: "Thalia's Lancers", collectors_number: "31", rarity: "Rare", main_type: "Creature", image: "", image_cropped: "" },
+    ]);
+  });
+
+  it("finds names with typos", async () => {
+    expect((await CardDB.searchCards("Ragavan Nimble Pilfrer")).map((c) => c.emid)).toEqual([30]);
+    expect((await CardDB.searchCards("Thalia Guardien")).map((c) => c.emid)).toEqual([31]);
+    expect((await CardDB.searchCards("ragavn")).map((c) => c.emid)).toEqual([30]);
+  });
+
+  it("ranks near-misses after strict matches", async () => {
+    const results = await CardDB.searchCards("thalia lancer");
+    expect(results[0].emid).toBe(32);
+  });
+
+  it("skips the fuzzy tier for short queries", async () => {
+    expect(await CardDB.searchCards("thx")).toEqual([]);
+  });
+
+  it("doesn't correct a typo in the first letter", async () => {
+    expect(await CardDB.searchCards("Xhalia Guardian")).toEqual([]);
+  });
+});
+
+describe("searchCards query syntax", () => {
+  beforeEach(async () => {
+    await CardDB.cacheSet("MH3", "Modern Horizons 3", [
+      { emid: 21, name: "Ugin's Labyrinth", collectors_number: "241", rarity: "Mythic Rare", main_type: "Land", image: "", image_cropped: "" },
+      { emid: 23, name: "Ugin, Eye of the Storms", collectors_number: "1", rarity: "Mythic Rare", main_type: "Legendary Planeswalker", image: "", image_cropped: "" },
+      { emid: 24, name: "Ugin's Binding", collectors_number: "60", rarity: "Rare", main_type: "Sorcery", image: "", image_cropped: "" },
+    ]);
+  });
+
+  it("narrows name matches by rarity and type", async () => {
+    expect((await CardDB.searchCards("ugin r:mythic")).map((c) => c.emid).sort()).toEqual([21, 23]);
+    expect((await CardDB.searchCards("ugin t:land")).map((c) => c.emid)).toEqual([21]);
+    expect((await CardDB.searchCards("ugin -r:m")).map((c) => c.emid)).toEqual([24]);
+  });
+
+  it("lists cards for filter-only queries in collector-number order", async () => {
+    const results = await CardDB.searchCards("s:mh3 cn>=60");
+    expect(results.map((c) => c.collectors_number)).toEqual(["60", "241"]);
+  });
+
+  it("ANDs repeated collector-number terms into a range", async () => {
+    const results = await CardDB.searchCards("s:mh3 cn>=2 cn<100");
+    expect(results.map((c) => c.collectors_number)).toEqual(["60"]);
+  });
+
+  it("ignores inventory-only filters", async () => {
+    expect((await CardDB.searchCards("ugin lang:ja loc:b5")).length).toBe(3);
+  });
+});
+
+describe("searchInventoryFiltered", () => {
+  const inventory = [
+    { echo_inventory_id: 1, emid: 21, name: "Ugin's Labyrinth", name_lower: "ugin's labyrinth", set_code: "MH3", collectors_number: "241", rarity: "Mythic Rare", main_type: "Land", language: "EN", foil: false, note: "b5r1p3" },
+    { echo_inventory_id: 2, emid: 21, name: "Ugin's Labyrinth", name_lower: "ugin's labyrinth", set_code: "MH3", collectors_number: "241", rarity: "Mythic Rare", main_type: "Land", language: "JA", foil: true, note: "b6r2p1" },
+    { echo_inventory_id: 3, emid: 24, name: "Ugin's Binding", name_lower: "ugin's binding", set_code: "MH3", collectors_number: "60", rarity: "Rare", main_type: "Sorcery", language: "EN", foil: false, note: "" },
+  ];
+
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    await seedInventory(inventory);
+  });
+
+  const ids = (recs) => recs.map((r) => r.echo_inventory_id).sort();
+
+  it("applies query filters on top of the dropdown filters", async () => {
+    expect(ids(await CardDB.searchInventoryFiltered("ugin is:foil"))).toEqual([2]);
+    expect(ids(await CardDB.searchInventoryFiltered("ugin lang:ja", { languages: ["EN"] }))).toEqual([]);
+  });
+
+  it("matches locations by tag prefix and supports negation", async () => {
+    expect(ids(await CardDB.searchInventoryFiltered("loc:b5"))).toEqual([1]);
+    expect(ids(await CardDB.searchInventoryFiltered("ugin -loc:b5"))).toEqual([2, 3]);
+  });
+
+  it("compares collector numbers", async () => {
+    expect(ids(await CardDB.searchInventoryFiltered("s:mh3 cn<100"))).toEqual([3]);
+  });
+});
+
+describe("getInventoryOnHand", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", language: "EN", note: "b2p1" },
+      { echo_inventory_id: 2, emid: 10, name: "Lightning Bolt", language: "JA", note: "b2p2" },
+      { echo_inventory_id: 3, emid: 10, name: "Lightning Bolt", language: "EN", note: "b2p3" },
+    ]);
+  });
+
+  it("leaves out checked-out cards and applies filters", async () => {
+    await CardDB.checkoutCards([3], "deck1", 1);
+    const ids = (recs) => recs.map((r) => r.echo_inventory_id).sort();
+    expect(ids(await CardDB.getInventoryOnHand())).toEqual([1, 2]);
+    expect(ids(await CardDB.getInventoryOnHand({ languages: ["EN"] }))).toEqual([1]);
+  });
+});
+
+describe("diffInventory / mergeInventory", () => {
+  const local = [
+    { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", condition: "NM", note: "b1p1", note_id: 501 },
+    { echo_inventory_id: 2, emid: 11, name: "Counterspell", condition: "NM", note: "deck1p4", note_id: 502 },
+    { echo_inventory_id: 3, emid: 12, name: "Thoughtseize", condition: "NM", note: "b1p3" },
+  ];
+
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    await seedInventory(local);
+  });
+
+  const incoming = [
+    { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", condition: "NM", note: "b1p1" },
+    { echo_inventory_id: 2, emid: 11, name: "Counterspell", condition: "LP", note: "b1p2" },
+    { echo_inventory_id: 4, emid: 13, name: "Brainstorm", condition: "NM", note: "b1p4" },
+  ];
+
+  const getRecord = async (id) => {
+    const db = await getDB();
+    const tx = db.transaction("inventory", "readonly");
+    return new Promise((resolve) => {
+      const req = tx.objectStore("inventory").get(id);
+      req.onsuccess = () => resolve(req.result);
+    });
+  };
+
+  it("reports added, removed, changed and note conflicts without writing", async () => {
+    const summary = await CardDB.diffInventory(incoming);
+    expect(summary).toMatchObject({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+    expect(summary.conflicts).toEqual([
+      { echo_inventory_id: 2, name: "Counterspell", local: "deck1p4", incoming: "b1p2" },
+    ]);
+    expect(await getRecord(3)).toBeDefined();
+  });
+
+  it("merges incoming records and keeps local-only fields", async () => {
+    await CardDB.mergeInventory(incoming);
+    expect(await getRecord(3)).toBeUndefined();
+    expect((await getRecord(4)).name).toBe("Brainstorm");
+    expect(await getRecord(1)).toMatchObject({ note: "b1p1", note_id: 501 });
+    expect(await getRecord(2)).toMatchObject({ condition: "LP", note: "b1p2", note_id: 502 });
+  });
+
+  it("can keep local notes on conflicts", async () => {
+    await CardDB.mergeInventory(incoming, { keepLocalNotes: true });
+    expect(await getRecord(2)).toMatchObject({ condition: "LP", note: "deck1p4", note_id: 502 });
+  });
+
+  it("removes nothing when the incoming records are truncated", async () => {
+    const summary = await CardDB.mergeInventory(incoming, { truncated: true });
+    expect(summary).toMatchObject({ added: 1, removed: 0, changed: 1 });
+    expect(await getRecord(3)).toBeDefined();
+  });
+
+  it("only removes items from the same import source", async () => {
+    const summary = await CardDB.mergeInventory([
+      { echo_inventory_id: -7, emid: 0, name: "Brainstorm", note: "", source: "moxfield" },
+    ]);
+    expect(summary).toMatchObject({ added: 1, removed: 0 });
+    expect(await getRecord(1)).toBeDefined();
+
+    await CardDB.mergeInventory([{ echo_inventory_id: -8, emid: 0, name: "Ponder", note: "", source: "moxfield" }]);
+    expect(await getRecord(-7)).toBeUndefined();
+    expect(await getRecord(3)).toBeDefined();
+  });
+});
+
+describe("resolveInventoryEmids", () => {
+  beforeEach(async () => {
+    await CardDB.cacheSet("ICE", "Ice Age", [
+      { emid: 60, name: "Counterspell", collectors_number: "64", rarity: "Common", main_type: "Instant", image: "", image_cropped: "" },
+    ]);
+    await CardDB.cacheSet("MH2", "Modern Horizons 2", [
+      { emid: 61, name: "Counterspell", collectors_number: "267", rarity: "Uncommon", main_type: "Instant", image: "", image_cropped: "" },
+    ]);
+  });
+
+  it("matches by set and collector number, then by name within the set", async () => {
+    const records = [
+      { emid: 0, name: "Whatever", name_lower: "whatever", set_code: "MH2", collectors_number: "267" },
+      { emid: 0, name: "Counterspell", name_lower: "counterspell", set_code: "", set_name: "Ice Age", collectors_number: "" },
+      { emid: 0, name: "Unknown Card", name_lower: "unknown card", set_code: "ICE", collectors_number: "999" },
+      { emid: 99, name: "Already Known", name_lower: "already known" },
+    ];
+    const unresolved = await CardDB.resolveInventoryEmids(records);
+
+    expect(unresolved).toBe(1);
+    expect(records[0].emid).toBe(61);
+    expect(records[1]).toMatchObject({ emid: 60, set_code: "ICE", collectors_number: "64", rarity: "Common" });
+    expect(records[2].emid).toBe(0);
+    expect(records[3].emid).toBe(99);
+  });
+});
+
+describe("checkoutCards / checkinCards", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b2p7" },
+      { echo_inventory_id: 2, emid: 11, name: "Counterspell", note: "" },
+      { echo_inventory_id: 3, emid: 12, name: "Brainstorm", note: "b10p1" },
+      { echo_inventory_id: 4, emid: 13, name: "Ponder", note: "b2p3" },
+    ]);
+    await CardDB.checkoutCards([1, 2, 3, 4], "deck1", 1);
+  });
+
+  it("lists a group's cards in put-away order", async () => {
+    const cards = await CardDB.getCheckoutCards("deck1");
+    expect(cards.map((c) => [c.source_location, c.source_position])).toEqual([
+      ["b2", 3],
+      ["b2", 7],
+      ["b10", 1],
+      [null, null],
+    ]);
+  });
+
+  it("returns cards to their source slots and unlocated cards to the fallback", async () => {
+    const ids = (await CardDB.getCheckoutCards("deck1")).map((c) => c.id);
+    const returned = await CardDB.checkinCards(ids, "b9", 5);
+
+    expect(returned.map((r) => `${r.return_location}p${r.return_position}`)).toEqual(["b2p3", "b2p7", "b10p1", "b9p5"]);
+    expect(returned.every((r) => r.status === "in")).toBe(true);
+    expect((await CardDB.getInventoryItem(1)).note).toBe("b2p7");
+    expect((await CardDB.getInventoryItem(2)).note).toBe("b9p5");
+    expect(await CardDB.getCheckoutGroups()).toEqual([]);
+  });
+
+  it("leaves unlocated cards' notes alone without a fallback", async () => {
+    const ids = (await CardDB.getCheckoutCards("deck1")).map((c) => c.id);
+    await CardDB.checkinCards(ids);
+    expect((await CardDB.getInventoryItem(2)).note).toBe("deck1p2");
+    expect(await CardDB.checkinCards(ids)).toEqual([]);
+  });
+});
+
+describe("previewCheckout / checkoutCards placement", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b5p1" },
+      { echo_inventory_id: 2, emid: 11, name: "Counterspell", note: "b5p2" },
+      { echo_inventory_id: 3, emid: 12, name: "Brainstorm", note: "b5p3" },
+      { echo_inventory_id: 4, emid: 13, name: "Ponder", note: "b9p1" },
+      { echo_inventory_id: 5, emid: 14, name: "Preordain", note: "b9p2" },
+    ]);
+  });
+
+  it("reports occupied slots in append mode and refuses the move", async () => {
+    const preview = await CardDB.previewCheckout([4, 5], "b5", 2);
+    expect(preview.placements.map((p) => p.to)).toEqual(["b5p2", "b5p3"]);
+    expect(preview.shifts).toEqual([]);
+    expect(preview.collisions.map((c) => c.from)).toEqual(["b5p2", "b5p3"]);
+
+    await expect(CardDB.checkoutCards([4, 5], "b5", 2)).rejects.toThrow("Already taken at b5: b5p2, b5p3");
+    expect((await CardDB.getInventoryItem(4)).note).toBe("b9p1");
+    expect(await CardDB.getCheckoutGroups()).toEqual([]);
+  });
+
+  it("appends past the last card without collisions", async () => {
+    const preview = await CardDB.previewCheckout([4, 5], "b5", 4);
+    expect(preview.collisions).toEqual([]);
+    const { records } = await CardDB.checkoutCards([4, 5], "b5", 4);
+    expect(records.map((r) => r.target_position)).toEqual([4, 5]);
+  });
+
+  it("shifts cards at and after the offset in insert mode", async () => {
+    const preview = await CardDB.previewCheckout([4, 5], "b5", 2, { mode: "insert" });
+    expect(preview.shifts.map((s) => [s.echo_inventory_id, s.from, s.to])).toEqual([
+      [2, "b5p2", "b5p4"],
+      [3, "b5p3", "b5p5"],
+    ]);
+
+    const { shifted } = await CardDB.checkoutCards([4, 5], "b5", 2, { mode: "insert" });
+    expect(shifted).toHaveLength(2);
+    const notes = await Promise.all([1, 2, 3, 4, 5].map(async (id) => (await CardDB.getInventoryItem(id)).note));
+    expect(notes).toEqual(["b5p1", "b5p4", "b5p5", "b5p2", "b5p3"]);
+  });
+
+  it("holds the slots of cards checked out from the location", async () => {
+    await CardDB.checkoutCards([2], "deck1", 1);
+
+    const preview = await CardDB.previewCheckout([4], "b5", 2);
+    expect(preview.collisions).toMatchObject([{ reserved: true, from: "b5p2", name: "Counterspell" }]);
+
+    await CardDB.checkoutCards([4], "b5", 2, { mode: "insert" });
+    const [held] = await CardDB.getCheckoutCards("deck1");
+    expect(held.source_position).toBe(3);
+    expect((await CardDB.getInventoryItem(3)).note).toBe("b5p4");
+  });
+});
+
+describe("previewCompaction / compactLocation", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b5p2" },
+      { echo_inventory_id: 2, emid: 11, name: "Counterspell", note: "b5p5" },
+      { echo_inventory_id: 3, emid: 12, name: "Brainstorm", note: "b5p9" },
+      { echo_inventory_id: 4, emid: 13, name: "Ponder", note: "b5p7" },
+      { echo_inventory_id: 5, emid: 14, name: "Preordain", note: "b6p3" },
+    ]);
+  });
+
+  const notes = () => Promise.all([1, 2, 3, 4, 5].map(async (id) => (await CardDB.getInventoryItem(id)).note));
+
+  it("plans contiguous numbering in shelf order without writing", async () => {
+    const plan = await CardDB.previewCompaction("b5");
+    expect(plan.count).toBe(4);
+    expect(plan.moves.map((m) => [m.name, m.from, m.to])).toEqual([
+      ["Lightning Bolt", "b5p2", "b5p1"],
+      ["Counterspell", "b5p5", "b5p2"],
+      ["Ponder", "b5p7", "b5p3"],
+      ["Brainstorm", "b5p9", "b5p4"],
+    ]);
+    expect(await notes()).toEqual(["b5p2", "b5p5", "b5p9", "b5p7", "b6p3"]);
+  });
+
+  it("rewrites local notes and keeps checkout records in step", async () => {
+    await CardDB.checkoutCards([4], "deck1", 1);
+    await CardDB.checkoutCards([5], "b5", 10);
+
+    const plan = await CardDB.compactLocation("b5");
+    expect(plan.released).toMatchObject([{ name: "Ponder", from: "b5p7", to: "b5p5" }]);
+    expect(await notes()).toEqual(["b5p1", "b5p2", "b5p3", "deck1p1", "b5p4"]);
+
+    const [moved] = await CardDB.getCheckoutCards("b5");
+    expect(moved.target_position).toBe(4);
+    const [held] = await CardDB.getCheckoutCards("deck1");
+    expect(held.source_position).toBe(5);
+
+    expect((await CardDB.previewCompaction("b5")).moves).toEqual([]);
+  });
+});
+
+describe("deferred moves / resolvePlanItem", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction(["checkouts", "retrieval_plans"], "readwrite");
+    tx.objectStore("checkouts").clear();
+    tx.objectStore("retrieval_plans").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b5p1" },
+      { echo_inventory_id: 2, emid: 11, name: "Counterspell", note: "b5p2" },
+      { echo_inventory_id: 4, emid: 13, name: "Ponder", note: "b9p1 foil" },
+      { echo_inventory_id: 5, emid: 14, name: "Preordain", note: "b9p2" },
+    ]);
+  });
+
+  const notes = () => Promise.all([1, 2, 4, 5].map(async (id) => (await CardDB.getInventoryItem(id)).note));
+
+  /** Move Ponder and Preordain to b5p3.. and save the plan the way the service worker does. */
+  async function deferredMove() {
+    const { records } = await CardDB.checkoutCards([4, 5], "b5", 3, { deferred: true });
+    return CardDB.saveRetrievalPlan({
+      title: "to b5",
+      deferred: true,
+      items: records.map((r) => ({ checkout_id: r.id, echo_inventory_id: r.echo_inventory_id, checked: false })),
+    });
+  }
+
+  it("holds the target slots without touching notes", async () => {
+    await deferredMove();
+    expect(await notes()).toEqual(["b5p1", "b5p2", "b9p1 foil", "b9p2"]);
+    expect(await CardDB.getCheckoutGroups()).toEqual([]);
+
+    const preview = await CardDB.previewCheckout([1], "b5", 4);
+    expect(preview.collisions).toMatchObject([{ arriving: true, from: "b5p4", name: "Preordain" }]);
+    expect((await CardDB.getInventoryOnHand()).map((r) => r.echo_inventory_id)).toEqual([1, 2]);
+    expect((await CardDB.auditLocations()).gaps).toEqual([]);
+
+    await expect(CardDB.checkoutCards([1], "b5", 3, { mode: "insert", deferred: true })).rejects.toThrow("can't insert");
+    await expect(CardDB.compactLocation("b5")).rejects.toThrow("2 cards are still to be retrieved into b5");
+  });
+
+  it("shifts the reserved slots when inserting ahead of them", async () => {
+    await deferredMove();
+    await CardDB.checkoutCards([1], "b5", 3, { mode: "insert" });
+
+    const planId = (await CardDB.getRetrievalPlans())[0].id;
+    await CardDB.resolvePlanItem(planId, 0, "retrieved");
+    expect((await CardDB.getInventoryItem(4)).note).toBe("b5p4 foil");
+  });
+
+  it("writes notes as items are retrieved and completes the plan", async () => {
+    const planId = await deferredMove();
+
+    const first = await CardDB.resolvePlanItem(planId, 0, "retrieved");
+    expect(first.notes).toEqual([{ echo_inventory_id: 4, from: "b9p1 foil", to: "b5p3 foil" }]);
+    expect(first.plan.status).toBe("active");
+    const [out] = await CardDB.getCheckoutCards("b5");
+    expect(out).toMatchObject({ echo_inventory_id: 4, source_location: "b9", source_position: 1 });
+
+    const second = await CardDB.resolvePlanItem(planId, 1, "not_found");
+    expect(second.notes).toEqual([]);
+    expect(second.plan.status).toBe("completed");
+    expect(second.plan.completed_at).toBeGreaterThan(0);
+    expect(await notes()).toEqual(["b5p1", "b5p2", "b5p3 foil", "b9p2"]);
+
+    // Unticking puts the old note back and reopens the plan
+    const undone = await CardDB.resolvePlanItem(planId, 0, null);
+    expect(undone.notes).toEqual([{ echo_inventory_id: 4, from: "b5p3 foil", to: "b9p1 foil" }]);
+    expect(undone.plan.status).toBe("active");
+    expect(await CardDB.getCheckoutGroups()).toEqual([]);
+  });
+
+  it("flags cards not found in the audit until dismissed", async () => {
+    const planId = await deferredMove();
+    await CardDB.resolvePlanItem(planId, 1, "not_found");
+
+    const { notFound } = await CardDB.auditLocations();
+    expect(notFound).toMatchObject([{ echo_inventory_id: 5, name: "Preordain", note: "b9p2" }]);
+    expect(await CardDB.dismissNotFound([notFound[0].checkout_id])).toBe(1);
+    expect((await CardDB.auditLocations()).notFound).toEqual([]);
+  });
+
+  it("reverts immediate moves of cards not found", async () => {
+    const { records } = await CardDB.checkoutCards([4], "b5", 3);
+    const planId = await CardDB.saveRetrievalPlan({
+      title: "to b5",
+      items: [{ checkout_id: records[0].id, echo_inventory_id: 4, checked: false }],
+    });
+    expect((await CardDB.getInventoryItem(4)).note).toBe("b5p3 foil");
+
+    const { notes: written, plan } = await CardDB.resolvePlanItem(planId, 0, "not_found");
+    expect(written).toEqual([{ echo_inventory_id: 4, from: "b5p3 foil", to: "b9p1 foil" }]);
+    expect(plan.status).toBe("completed");
+    expect(await CardDB.getCheckoutGroups()).toEqual([]);
+  });
+
+  it("releases reserved slots when the plan is deleted", async () => {
+    const planId = await deferredMove();
+    await CardDB.deleteRetrievalPlan(planId);
+    expect((await CardDB.previewCheckout([1], "b5", 3)).collisions).toEqual([]);
+    expect((await CardDB.getInventoryOnHand())).toHaveLength(4);
+  });
+});
+
+describe("getInventoryExport", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", set_code: "M10", language: "EN", note: "b1p2" },
+      { echo_inventory_id: 2, emid: 11, name: "Counterspell", set_code: "ICE", language: "EN", note: "" },
+      { echo_inventory_id: 3, emid: 12, name: "Brainstorm", set_code: "ICE", language: "JA", note: "b1p1" },
+    ]);
+  });
+
+  it("adds parsed locations and sorts by location then position", async () => {
+    const items = await CardDB.getInventoryExport();
+    expect(items.map((it) => [it.echo_inventory_id, it.location_tag, it.position])).toEqual([
+      [3, "b1", 1],
+      [1, "b1", 2],
+      [2, null, null],
+    ]);
+    expect(items[0].checkout).toBeNull();
+  });
+
+  it("attaches the latest checkout and applies filters", async () => {
+    await CardDB.checkoutCards([3], "deck1", 1);
+    const items = await CardDB.getInventoryExport({ set_codes: ["ICE"], languages: ["JA"] });
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ location_tag: "deck1", position: 1 });
+    expect(items[0].checkout).toMatchObject({ status: "out", source_location: "b1", source_position: 1, source_slot: "b1p1" });
+  });
+});
+
+describe("search schema migration", () => {
+  it("re-indexes cards cached under an older search schema", async () => {
+    await CardDB.cacheSet("FDN", "Foundations", [
+      { emid: 1, name: "Lightning Bolt", collectors_number: 141, rarity: "Common", main_type: "Instant", image: "", image_cropped: "" },
+    ]);
+    const db = await getDB();
+    const tx = db.transaction("cards", "readwrite");
+    const store = tx.objectStore("cards");
+    store.put({ emid: 1, name: "Lightning Bolt", name_lower: "lightning bolt", set_code: "FDN", set_name: "Foundations", collectors_number: 141 });
+    await new Promise((resolve) => (tx.oncomplete = resolve));
+
+    expect(await CardDB.needsSearchMigration()).toBe(true);
+    expect(await CardDB.migrateSearchSchema()).toBe(1);
+    expect(await CardDB.needsSearchMigration()).toBe(false);
+    expect((await CardDB.searchCards("fdn 141"))[0].emid).toBe(1);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -239,3 +901,422 @@ describe("setSetActive / getActiveSets", () => {
     expect(active).toContain("FDN");
   });
 });
+
+// ---------------------------------------------------------------------------
+// Outbox
+// ---------------------------------------------------------------------------
+
+describe("outbox", () => {
+  beforeEach(async () => {
+    const db = await getDB();
+    const tx = db.transaction("outbox", "readwrite");
+    tx.objectStore("outbox").clear();
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  });
+
+  it("enqueues entries as pending", async () => {
+    const id = await CardDB.enqueueOutbox({ op: "add", emid: 1, note_text: "b5r1p1" });
+    const entry = await CardDB.getOutboxEntry(id);
+    expect(entry.status).toBe("pending");
+    expect(entry.attempts).toBe(0);
+    expect(entry.note_text).toBe("b5r1p1");
+    expect(await CardDB.getOutboxStats()).toEqual({ pending: 1, failed: 0 });
+  });
+
+  it("returns entries by status, oldest first", async () => {
+    const a = await CardDB.enqueueOutbox({ op: "add", emid: 1 });
+    const b = await CardDB.enqueueOutbox({ op: "add", emid: 2 });
+    await CardDB.updateOutboxEntry(a, { status: "failed" });
+
+    const pending = await CardDB.getOutboxEntries("pending");
+    expect(pending.map((e) => e.id)).toEqual([b]);
+    expect(await CardDB.getOutboxStats()).toEqual({ pending: 1, failed: 1 });
+  });
+
+  it("requeues failed entries", async () => {
+    const id = await CardDB.enqueueOutbox({ op: "add", emid: 1 });
+    await CardDB.updateOutboxEntry(id, { status: "failed", attempts: 5 });
+
+    expect(await CardDB.retryFailedOutbox()).toBe(1);
+    const entry = await CardDB.getOutboxEntry(id);
+    expect(entry.status).toBe("pending");
+    expect(entry.attempts).toBe(0);
+  });
+
+  it("leaves adds that reached EchoMTG without an inventory ID failed", async () => {
+    const id = await CardDB.enqueueOutbox({ op: "add", emid: 1 });
+    await CardDB.updateOutboxEntry(id, { status: "failed", added: true });
+
+    expect(await CardDB.retryFailedOutbox()).toBe(0);
+    expect((await CardDB.getOutboxEntry(id)).status).toBe("failed");
+  });
+
+  it("drops an unsent note once a newer note for the same card is queued", async () => {
+    const older = await CardDB.enqueueOutbox({ op: "note", inventory_id: 7, note_text: "b5p1" });
+    const other = await CardDB.enqueueOutbox({ op: "note", inventory_id: 8, note_text: "b5p2" });
+    await CardDB.updateOutboxEntry(older, { status: "failed", attempts: 5, last_error: "HTTP 500" });
+
+    const newer = await CardDB.enqueueOutbox({ op: "note", inventory_id: 7, note_text: "deck1p1" });
+    expect((await CardDB.getOutboxEntry(older)).status).toBe("superseded");
+    expect(await CardDB.retryFailedOutbox()).toBe(0);
+
+    // A send of the older note that was already under way can't requeue it
+    await CardDB.updateOutboxEntry(older, { status: "pending", attempts: 6 });
+    const pending = await CardDB.getOutboxEntries("pending");
+    expect(pending.map((e) => [e.id, e.note_text])).toEqual([[other, "b5p2"], [newer, "deck1p1"]]);
+    expect(await CardDB.getOutboxStats()).toEqual({ pending: 2, failed: 0 });
+  });
+
+  it("reports progress of a batch of entries", async () => {
+    const sent = await CardDB.enqueueOutbox({ op: "note", inventory_id: 1, note_text: "b5p1" });
+    const failed = await CardDB.enqueueOutbox({ op: "note", inventory_id: 2, note_text: "b5p2" });
+    const queued = await CardDB.enqueueOutbox({ op: "note", inventory_id: 3, note_text: "b5p3" });
+    const replaced = await CardDB.enqueueOutbox({ op: "note", inventory_id: 4, note_text: "b5p4" });
+    await CardDB.updateOutboxEntry(sent, { status: "done" });
+    await CardDB.updateOutboxEntry(failed, { status: "failed" });
+    await CardDB.enqueueOutbox({ op: "note", inventory_id: 4, note_text: "deck1p1" });
+
+    expect(await CardDB.getOutboxProgress([sent, failed, queued, replaced, 999])).toEqual({
+      done: 3, pending: 1, failed: 1,
+    });
+  });
+
+  it("prunes old done entries only", async () => {
+    const oldDone = await CardDB.enqueueOutbox({ op: "add", emid: 1 });
+    const freshDone = await CardDB.enqueueOutbox({ op: "add", emid: 2 });
+    const oldPending = await CardDB.enqueueOutbox({ op: "add", emid: 3 });
+    const twoDaysAgo = Date.now() - 2 * 24 * 60 * 60 * 1000;
+    await CardDB.updateOutboxEntry(oldDone, { status: "done", created_at: twoDaysAgo });
+    await CardDB.updateOutboxEntry(freshDone, { status: "done" });
+    await CardDB.updateOutboxEntry(oldPending, { created_at: twoDaysAgo });
+
+    expect(await CardDB.pruneOutbox()).toBe(1);
+    expect(await CardDB.getOutboxEntry(oldDone)).toBeUndefined();
+    expect(await CardDB.getOutboxEntry(freshDone)).toBeDefined();
+    expect(await CardDB.getOutboxEntry(oldPending)).toBeDefined();
+  });
+
+  it("claims entries for an undo and releases them to their old status", async () => {
+    const a = await CardDB.enqueueOutbox({ op: "add", emid: 1 });
+    const b = await CardDB.enqueueOutbox({ op: "add", emid: 2 });
+    await CardDB.updateOutboxEntry(b, { status: "failed" });
+
+    const claimed = await CardDB.claimOutboxEntries([a, b, 999]);
+    expect(claimed.map((e) => [e.id, e.status])).toEqual([[a, "pending"], [b, "failed"]]);
+    expect(await CardDB.getOutboxEntries("pending")).toEqual([]);
+    expect(await CardDB.claimOutboxEntries([a])).toEqual([]);
+
+    await CardDB.deleteOutboxEntry(a);
+    await CardDB.releaseOutboxEntries([a, b]);
+    expect(await CardDB.getOutboxEntry(a)).toBeUndefined();
+    const released = await CardDB.getOutboxEntry(b);
+    expect(released.status).toBe("failed");
+    expect("undo_status" in released).toBe(false);
+  });
+
+  it("deletes entries", async () => {
+    const id = await CardDB.enqueueOutbox({ op: "add", emid: 1 });
+    await CardDB.deleteOutboxEntry(id);
+    expect(await CardDB.getOutboxEntry(id)).toBeUndefined();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Backup / restore
+// ---------------------------------------------------------------------------
+
+describe("backupDatabase / restoreDatabase", () => {
+  const fakeCards = [
+    { emid: 1, name: "Card A", collectors_number: "1", rarity: "Common", main_type: "Creature", image: "", image_cropped: "" },
+  ];
+
+  beforeEach(async () => {
+    const db = await getDB();
+    const tx = db.transaction(["outbox", "checkouts"], "readwrite");
+    tx.objectStore("outbox").clear();
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await CardDB.cacheSet("FDN", "Foundations", fakeCards);
+    await CardDB.clearInventory();
+    await seedInventory([{ echo_inventory_id: 1, emid: 1, name: "Card A", note: "b1p1" }]);
+    await CardDB.setState("locationTag", "b1");
+  });
+
+  it("serializes every store with the schema version", async () => {
+    const backup = await CardDB.backupDatabase();
+    expect(backup).toMatchObject({ format: "scroll-rack-backup", format_version: 1, db_version: DB_VERSION, skipped_stores: [] });
+    expect(backup.stores.cards).toHaveLength(1);
+    expect(backup.stores.inventory[0].note).toBe("b1p1");
+    expect(backup.stores.state).toContainEqual({ key: "locationTag", value: "b1" });
+  });
+
+  it("can leave out the card cache", async () => {
+    const backup = await CardDB.backupDatabase({ skipCardCache: true });
+    expect(backup.skipped_stores.sort()).toEqual(["cards", "sets"]);
+    expect(backup.stores.cards).toBeUndefined();
+    expect(backup.stores.inventory).toHaveLength(1);
+  });
+
+  it("restores stores in the backup and leaves the others alone", async () => {
+    const backup = JSON.parse(JSON.stringify(await CardDB.backupDatabase({ skipCardCache: true })));
+    await CardDB.clearInventory();
+    await CardDB.setState("locationTag", "b9");
+    await CardDB.clearAll();
+    await CardDB.cacheSet("MH3", "Modern Horizons 3", fakeCards);
+
+    const restored = await CardDB.restoreDatabase(backup);
+    expect(restored.inventory).toBe(1);
+    expect((await CardDB.getInventoryItem(1)).note).toBe("b1p1");
+    expect(await CardDB.getState("locationTag")).toBe("b1");
+    expect((await CardDB.getCachedSets()).map((s) => s.set_code)).toEqual(["MH3"]);
+  });
+
+  it("restores pending outbox entries as failed", async () => {
+    const id = await CardDB.enqueueOutbox({ op: "add", emid: 1 });
+    const backup = await CardDB.backupDatabase({ skipCardCache: true });
+    await CardDB.deleteOutboxEntry(id);
+
+    await CardDB.restoreDatabase(backup);
+    expect((await CardDB.getOutboxEntry(id)).status).toBe("failed");
+  });
+
+  it("re-indexes cards from an older search schema", async () => {
+    const backup = await CardDB.backupDatabase();
+    backup.db_version = 8;
+    backup.stores.cards = backup.stores.cards.map(({ face_names, search_version, ...card }) => card);
+
+    await CardDB.restoreDatabase(backup);
+    expect(await CardDB.needsSearchMigration()).toBe(true);
+    await CardDB.migrateSearchSchema();
+    expect(await CardDB.needsSearchMigration()).toBe(false);
+  });
+
+  it("rejects foreign files and newer schemas", async () => {
+    await expect(CardDB.restoreDatabase({ stores: {} })).rejects.toThrow("Not a Scroll Rack backup");
+    const backup = await CardDB.backupDatabase({ skipCardCache: true });
+    await expect(CardDB.restoreDatabase({ ...backup, db_version: 99 })).rejects.toThrow("newer version");
+    await expect(CardDB.restoreDatabase({ ...backup, stores: { unknown: [] } })).rejects.toThrow("no data to restore");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Location registry
+// ---------------------------------------------------------------------------
+
+describe("location registry", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction(["locations", "checkouts"], "readwrite");
+    tx.objectStore("locations").clear();
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+  });
+
+  it("stores locations and validates their fields", async () => {
+    const box = await CardDB.saveLocation({ tag: " bb ", name: "Blue Box", type: "box", capacity: "1000" });
+    expect(box).toMatchObject({ tag: "bb", name: "Blue Box", type: "box", parent_tag: null, capacity: 1000 });
+    expect(await CardDB.saveLocation({ tag: "bbr1" })).toMatchObject({ name: "bbr1", type: "box", capacity: null });
+
+    await expect(CardDB.saveLocation({ tag: "" })).rejects.toThrow("tag is required");
+    await expect(CardDB.saveLocation({ tag: "x", type: "drawer" })).rejects.toThrow("Unknown location type");
+    await expect(CardDB.saveLocation({ tag: "x", parent_tag: "nope" })).rejects.toThrow("Unknown parent");
+    await expect(CardDB.saveLocation({ tag: "x", capacity: 2.5 })).rejects.toThrow("whole number");
+    expect(await CardDB.getLocations()).toHaveLength(2);
+  });
+
+  it("keeps a page layout only when pockets per page are set", async () => {
+    expect(await CardDB.saveLocation({ tag: "bd1", type: "binder", pockets_per_page: "9", sides: "2" }))
+      .toMatchObject({ pockets_per_page: 9, sides: 2 });
+    expect(await CardDB.saveLocation({ tag: "bd2", type: "binder", pockets_per_page: "", sides: "2" }))
+      .toMatchObject({ pockets_per_page: null, sides: null });
+    await expect(CardDB.saveLocation({ tag: "bd3", pockets_per_page: -1 })).rejects.toThrow("Pockets per page");
+
+    const [bd1] = await CardDB.getLocationSummaries();
+    expect(bd1).toMatchObject({ tag: "bd1", pockets_per_page: 9, sides: 2 });
+  });
+
+  it("keeps a walk order for retrieval plans", async () => {
+    expect(await CardDB.saveLocation({ tag: "b5", walk_order: "2" })).toMatchObject({ walk_order: 2 });
+    expect(await CardDB.saveLocation({ tag: "b6", walk_order: "" })).toMatchObject({ walk_order: null });
+    await expect(CardDB.saveLocation({ tag: "b7", walk_order: 0 })).rejects.toThrow("Walk order");
+
+    const [b5] = await CardDB.getLocationSummaries();
+    expect(b5).toMatchObject({ tag: "b5", walk_order: 2 });
+  });
+
+  it("refuses parent loops and deleting locations that still contain others", async () => {
+    await CardDB.saveLocation({ tag: "shelf", type: "shelf" });
+    await CardDB.saveLocation({ tag: "bb", parent_tag: "shelf" });
+    await expect(CardDB.saveLocation({ tag: "shelf", type: "shelf", parent_tag: "bb" })).rejects.toThrow("inside itself");
+
+    await expect(CardDB.deleteLocation("shelf")).rejects.toThrow("still contains 1 location");
+    await CardDB.deleteLocation("bb");
+    await CardDB.deleteLocation("shelf");
+    expect(await CardDB.getLocations()).toEqual([]);
+  });
+
+  it("summarizes labels and rolls card counts up the hierarchy", async () => {
+    await CardDB.saveLocation({ tag: "bb", name: "Blue Box", type: "box", capacity: 1000 });
+    await CardDB.saveLocation({ tag: "bbr1", name: "Row 1", type: "row", parent_tag: "bb", capacity: 3 });
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "A", note: "bbr1p1" },
+      { echo_inventory_id: 2, emid: 11, name: "B", note: "bbr1p4" },
+      { echo_inventory_id: 3, emid: 12, name: "C", note: "d1p2" },
+    ]);
+
+    const summaries = await CardDB.getLocationSummaries();
+    expect(summaries.map((loc) => loc.tag)).toEqual(["bb", "bbr1", "d1"]);
+    expect(summaries[0]).toMatchObject({ label: "Blue Box", count: 2, maxPosition: 0, capacity: 1000, registered: true });
+    expect(summaries[1]).toMatchObject({ label: "Blue Box, Row 1", count: 2, maxPosition: 4, capacity: 3, type: "row" });
+    expect(summaries[2]).toMatchObject({ label: "d1", count: 1, maxPosition: 2, capacity: null, registered: false });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Location note format
+// ---------------------------------------------------------------------------
+
+describe("location note format", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b5p2 signed" },
+      { echo_inventory_id: 2, emid: 11, name: "Counterspell", note: "b5p5" },
+      { echo_inventory_id: 3, emid: 12, name: "Brainstorm", note: "from grandpa" },
+    ]);
+  });
+
+  afterEach(async () => {
+    await CardDB.setNoteFormat("{tag}p{pos}");
+  });
+
+  it("keeps free text when a card is moved and returned", async () => {
+    const { placed } = await CardDB.checkoutCards([1, 3], "deck1", 1);
+    expect(placed.map((p) => p.to)).toEqual(["deck1p1 signed", "deck1p2 from grandpa"]);
+    expect((await CardDB.getInventoryItem(1)).note).toBe("deck1p1 signed");
+
+    const out = await CardDB.getCheckoutCards("deck1");
+    const returned = await CardDB.checkinCards(out.map((r) => r.id), "b9", 1);
+    expect(returned.map((r) => r.note_text)).toEqual(["b5p2 signed", "b9p1 from grandpa"]);
+  });
+
+  it("previews and rewrites notes in a new format", async () => {
+    const preview = await CardDB.previewNoteFormat("{tag} / #{pos:3}");
+    expect(preview).toMatchObject({ template: "{tag} / #{pos:3}", unparsed: 1 });
+    expect(preview.changes.map((c) => c.to)).toEqual(["b5 / #002 signed", "b5 / #005"]);
+    expect((await CardDB.getInventoryItem(1)).note).toBe("b5p2 signed");
+
+    const { changes } = await CardDB.setNoteFormat("{tag} / #{pos:3}", { rewrite: true });
+    expect(changes).toHaveLength(2);
+    expect(await CardDB.getNoteFormat()).toBe("{tag} / #{pos:3}");
+    expect((await CardDB.getInventoryItem(2)).note).toBe("b5 / #005");
+    expect(parseNoteLocation("b5 / #005")).toMatchObject({ tag: "b5", position: 5 });
+    expect(formatNoteLocation("b5", 6)).toBe("b5 / #006");
+    expect((await CardDB.getInventoryLocations()).get("b5")).toBe(5);
+  });
+
+  it("can switch the parser without touching notes", async () => {
+    await CardDB.setNoteFormat("{tag} / #{pos}");
+    expect((await CardDB.getInventoryItem(2)).note).toBe("b5p5");
+    expect(parseNoteLocation("b5p5").tag).toBeNull();
+    await expect(CardDB.setNoteFormat("{pos}")).rejects.toThrow("exactly one");
+  });
+
+  it("drops an old-format location when moving a card not yet rewritten", async () => {
+    await CardDB.setNoteFormat("{tag} / #{pos}");
+    const { placed } = await CardDB.checkoutCards([1, 3], "deck1", 1);
+    expect(placed.map((p) => p.to)).toEqual(["deck1 / #1 signed", "deck1 / #2 from grandpa"]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Location audit
+// ---------------------------------------------------------------------------
+
+describe("auditLocations / repairCheckoutNotes", () => {
+  beforeEach(async () => {
+    await CardDB.clearInventory();
+    const db = await getDB();
+    const tx = db.transaction("checkouts", "readwrite");
+    tx.objectStore("checkouts").clear();
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    await seedInventory([
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b5p1" },
+      { echo_inventory_id: 2, emid: 11, name: "Counterspell", note: "b5p2" },
+      { echo_inventory_id: 3, emid: 12, name: "Brainstorm", note: "b5p2" },
+      { echo_inventory_id: 4, emid: 13, name: "Ponder", note: "b5p8" },
+      { echo_inventory_id: 5, emid: 14, name: "Preordain", note: "shelf 4" },
+      { echo_inventory_id: 6, emid: 15, name: "Opt", note: "" },
+      { echo_inventory_id: 7, emid: 16, name: "Consider", note: "b5p4" },
+    ]);
+  });
+
+  it("reports shared slots, gaps, unreadable notes and cards without notes", async () => {
+    await CardDB.checkoutCards([7], "deck1", 1);
+    const report = await CardDB.auditLocations();
+
+    expect(report.collisions).toEqual([{
+      location: "b5",
+      position: 2,
+      cards: [
+        { echo_inventory_id: 2, name: "Counterspell", note: "b5p2" },
+        { echo_inventory_id: 3, name: "Brainstorm", note: "b5p2" },
+      ],
+    }]);
+    // b5p4 is held for Consider's return, so it is not a gap
+    expect(report.gaps).toEqual([{ location: "b5", missing: [[3, 3], [5, 7]], count: 4 }]);
+    expect(report.unparsed.map((u) => u.name)).toEqual(["Preordain"]);
+    expect(report.unlocated.map((u) => u.name)).toEqual(["Opt"]);
+    expect(report.mismatches).toEqual([]);
+  });
+
+  it("reports a gap below a far-out position as one range", async () => {
+    await seedInventory([{ echo_inventory_id: 8, emid: 17, name: "Gitaxian Probe", note: "b9p1000000" }]);
+    const { gaps } = await CardDB.auditLocations();
+    expect(gaps.find((g) => g.location === "b9")).toEqual({ location: "b9", missing: [[1, 999999]], count: 999999 });
+  });
+
+  it("finds moved cards whose notes changed and points them back", async () => {
+    await CardDB.checkoutCards([1], "deck1", 1);
+    await seedInventory([{ echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b5p1 foil" }]);
+
+    const { mismatches } = await CardDB.auditLocations();
+    expect(mismatches).toMatchObject([{ echo_inventory_id: 1, note: "b5p1 foil", expected: "deck1p1 foil" }]);
+
+    const repaired = await CardDB.repairCheckoutNotes([mismatches[0].checkout_id]);
+    expect(repaired).toEqual([{ echo_inventory_id: 1, from: "b5p1 foil", to: "deck1p1 foil" }]);
+    expect((await CardDB.getInventoryItem(1)).note).toBe("deck1p1 foil");
+    expect((await CardDB.auditLocations()).mismatches).toEqual([]);
+    expect(await CardDB.repairCheckoutNotes([mismatches[0].checkout_id])).toEqual([]);
+  });
+
+  it("finds moved cards whose EchoMTG note was kept apart by a sync", async () => {
+    await CardDB.checkoutCards([1], "deck1", 1);
+    await CardDB.mergeInventory(
+      [toInventoryRecord({ inventory_id: 1, emid: 10, name: "Lightning Bolt", note: "b5p1" })],
+      { keepLocalNotes: true, truncated: true }
+    );
+    expect((await CardDB.getInventoryItem(1)).note).toBe("deck1p1");
+
+    const { mismatches } = await CardDB.auditLocations();
+    expect(mismatches).toMatchObject([{ echo_inventory_id: 1, note: "deck1p1", echo_note: "b5p1", expected: "deck1p1" }]);
+    expect(await CardDB.repairCheckoutNotes([mismatches[0].checkout_id])).toEqual([
+      { echo_inventory_id: 1, from: "deck1p1", to: "deck1p1" },
+    ]);
+
+    // Once the note write goes through, EchoMTG agrees
+    await CardDB.setRemoteNote(1, "deck1p1");
+    expect((await CardDB.auditLocations()).mismatches).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import { deckCardKey, parseDecklist, pickCopies } from "../../src/shared/decklist.js";
+
+describe("parseDecklist", () => {
+  it("reads plain, MTGA and MTGO lines", () => {
+    const { entries, unparsed } = parseDecklist(
+      [
+        "Deck",
+        "4 Lightning Bolt (M10) 146",
+        "4x Counterspell",
+        "Brainstorm",
+        "// burn",
+        "",
+        "Sideboard",
+        "2 Pyroblast (ICE) 212 *F*",
+        "SB: 1 Duress",
+      ].join("\n")
+    );
+    expect(entries).toEqual([
+      { quantity: 4, name: "Lightning Bolt", section: "main", set_code: "M10", collectors_number: "146" },
+      { quantity: 4, name: "Counterspell", section: "main", set_code: "", collectors_number: "" },
+      { quantity: 1, name: "Brainstorm", section: "main", set_code: "", collectors_number: "" },
+      { quantity: 2, name: "Pyroblast", section: "side", set_code: "ICE", collectors_number: "212" },
+      { quantity: 1, name: "Duress", section: "side", set_code: "", collectors_number: "" },
+    ]);
+    expect(unparsed).toEqual([]);
+  });
+
+  it("starts the sideboard at a blank line and merges repeated cards", () => {
+    const { entries } = parseDecklist("2 Island\n2 Island\n\n3 Island");
+    expect(entries.map((e) => [e.section, e.quantity])).toEqual([
+      ["main", 4],
+      ["side", 3],
+    ]);
+  });
+
+  it("reports lines it can't read", () => {
+    expect(parseDecklist("60\n0 Island").unparsed).toEqual(["60", "0 Island"]);
+  });
+});
+
+describe("deckCardKey", () => {
+  it("ignores treatments, faces, case and accents", () => {
+    expect(deckCardKey("Lightning Bolt (Borderless)")).toBe(deckCardKey("lightning bolt"));
+    expect(deckCardKey("Fire /// Ice")).toBe(deckCardKey("Fire // Ice"));
+    expect(deckCardKey("Lim-Dûl's Vault")).toBe(deckCardKey("Lim-Dul's Vault"));
+  });
+});
+
+describe("pickCopies", () => {
+  const bolts = [
+    { echo_inventory_id: 1, name: "Lightning Bolt", set_code: "M10", foil: true, acquired_price: 0.5, note: "b1p1" },
+    { echo_inventory_id: 2, name: "Lightning Bolt (Borderless)", set_code: "2X2", foil: false, acquired_price: 3, note: "b5r1p4" },
+    { echo_inventory_id: 3, name: "Lightning Bolt", set_code: "LEB", foil: false, acquired_price: 400, note: "b9p1" },
+    { echo_inventory_id: 4, name: "Lightning Bolt", set_code: "M10", foil: false, acquired_price: 1, note: "b1p2" },
+  ];
+  const deck = (text) => parseDecklist(text).entries;
+  const chosenIds = (result) => result.picks.map((p) => p.chosen.map((c) => c.echo_inventory_id));
+
+  it("picks the cheapest copies by default", () => {
+    expect(chosenIds(pickCopies(deck("2 Lightning Bolt"), bolts))).toEqual([[1, 4]]);
+  });
+
+  it("picks the oldest sets", () => {
+    const setOrder = ["2X2", "M10", "LEB"];
+    expect(chosenIds(pickCopies(deck("2 Lightning Bolt"), bolts, { order: "oldest", setOrder }))).toEqual([[3, 1]]);
+  });
+
+  it("puts non-foil, preferred-location and listed-printing copies first", () => {
+    expect(chosenIds(pickCopies(deck("1 Lightning Bolt"), bolts, { nonFoilFirst: true }))).toEqual([[4]]);
+    expect(chosenIds(pickCopies(deck("1 Lightning Bolt"), bolts, { preferLocation: "b5r1" }))).toEqual([[2]]);
+    expect(chosenIds(pickCopies(deck("1 Lightning Bolt (LEB) 161"), bolts))).toEqual([[3]]);
+  });
+
+  it("prefers copies inside a registered location, but not ones that only share its prefix", () => {
+    const locations = [{ tag: "b5", parent_tag: null }, { tag: "b5r1", parent_tag: "b5" }];
+    expect(chosenIds(pickCopies(deck("1 Lightning Bolt"), bolts, { preferLocation: "B5", locations }))).toEqual([[2]]);
+    expect(chosenIds(pickCopies(deck("1 Lightning Bolt"), bolts, { preferLocation: "b5" }))).toEqual([[1]]);
+    expect(chosenIds(pickCopies(deck("1 Lightning Bolt"), bolts, { preferLocation: "b9", locations }))).toEqual([[3]]);
+  });
+
+  it("shares copies between sections and reports shortfalls", () => {
+    const result = pickCopies(deck("3 Lightning Bolt\n\n2 Lightning Bolt\n1 Ancestral Recall"), bolts);
+    expect(chosenIds(result)).toEqual([[1, 4, 2], [3], []]);
+    expect(result.spare).toEqual([]);
+    expect(result.missing.map((m) => [m.entry.name, m.owned, m.short])).toEqual([
+      ["Lightning Bolt", 1, 1],
+      ["Ancestral Recall", 0, 1],
+    ]);
+  });
+
+  it("returns the unchosen copies as spares", () => {
+    const result = pickCopies(deck("1 Lightning Bolt"), bolts);
+    expect(result.spare.map((c) => c.echo_inventory_id).sort()).toEqual([2, 3, 4]);
+  });
+
+  it("matches list items by printing and finish", () => {
+    const owned = [
+      { echo_inventory_id: 1, emid: 10, name: "Lightning Bolt", foil: false, acquired_price: 1 },
+      { echo_inventory_id: 2, emid: 10, name: "Lightning Bolt", foil: true, acquired_price: 2 },
+      { echo_inventory_id: 3, emid: 10, name: "Lightning Bolt", foil: false, acquired_price: 1 },
+      { echo_inventory_id: 4, emid: 11, name: "Lightning Bolt", foil: false, acquired_price: 1 },
+    ];
+    const items = [
+      { emid: 10, name: "Lightning Bolt", quantity: 4, foil: false },
+      { emid: 10, name: "Lightning Bolt", quantity: 1, foil: true },
+    ];
+    const result = pickCopies(items, owned);
+    expect(chosenIds(result)).toEqual([[1, 3], [2]]);
+    expect(result.missing.map((m) => [m.entry.quantity, m.owned])).toEqual([[4, 2]]);
+    expect(result.spare).toEqual([]);
+  });
+});
@@ -55,6 +55,55 @@ describe("EchoAPI", () => {
     });
   });
 
+  describe("delete endpoints", () => {
+    it("removes an inventory item by ID", async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve('{"status":"success"}'),
+      });
+
+      await EchoAPI.removeInventoryItem(123, "token123");
+
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe("https://api.echomtg.com/api/inventory/remove/");
+      expect(opts.method).toBe("POST");
+      expect(JSON.parse(opts.body)).toEqual({ inventory_id: 123 });
+    });
+
+    it("deletes a note by ID", async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(""),
+      });
+
+      const result = await EchoAPI.deleteNote(55, "token123");
+
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe("https://api.echomtg.com/api/notes/delete/");
+      expect(JSON.parse(opts.body)).toEqual({ id: 55 });
+      expect(result).toEqual({});
+    });
+  });
+
+  describe("list endpoints", () => {
+    it("creates a list and adds cards to it", async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve('{"status":"success","list_id":9}'),
+      });
+
+      const created = await EchoAPI.createList("Want list", "From Scroll Rack", "token123");
+      await EchoAPI.addListItem(9, { emid: 77, quantity: 2, foil: true }, "token123");
+
+      const [[createUrl, createOpts], [addUrl, addOpts]] = globalThis.fetch.mock.calls;
+      expect(created.list_id).toBe(9);
+      expect(createUrl).toBe("https://api.echomtg.com/api/lists/create/");
+      expect(JSON.parse(createOpts.body)).toEqual({ name: "Want list", description: "From Scroll Rack" });
+      expect(addUrl).toBe("https://api.echomtg.com/api/lists/add/");
+      expect(JSON.parse(addOpts.body)).toEqual({ list: 9, emid: 77, quantity: 2, foil: 1 });
+    });
+  });
+
   describe("retry logic", () => {
     it("retries on 429 with backoff", async () => {
       let callCount = 0;
@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import {
+  EXPORT_COLUMNS,
+  toExportRows,
+  formatCSVField,
+  formatInventoryCSV,
+  formatInventoryJSON,
+  exportInventory,
+  toWantList,
+  formatWantListText,
+  formatWantListCSV,
+  exportWantList,
+} from "../../src/shared/exporters.js";
+import { parseDecklist } from "../../src/shared/decklist.js";
+import { parseCSV } from "../../src/shared/importers.js";
+
+const items = [
+  {
+    echo_inventory_id: 1, emid: 10, name: "Fire // Ice", set_code: "MH2", set_name: "Modern Horizons 2",
+    collectors_number: "290", rarity: "Uncommon", main_type: "Instant", foil: true, condition: "NM",
+    language: "EN", note: "deck1p4", location_tag: "deck1", position: 4, acquired_price: 1.5,
+    checkout: {
+      status: "out", source_location: "b5r1", source_position: 12, source_slot: "b5r1p12",
+      checked_out_at: Date.UTC(2026, 0, 2), checked_in_at: null,
+    },
+  },
+  {
+    echo_inventory_id: 2, emid: 11, name: 'Borrowing 100,000 Arrows', set_code: "M19", rarity: "Common",
+    note: "", location_tag: null, position: null, checkout: null,
+  },
+];
+
+describe("toExportRows", () => {
+  it("flattens location, checkout and metadata into one row per card", () => {
+    const [row, bare] = toExportRows(items);
+    expect(row).toMatchObject({
+      inventory_id: 1,
+      set_code: "MH2",
+      rarity: "Uncommon",
+      foil: true,
+      location: "deck1",
+      position: 4,
+      checkout_status: "out",
+      checkout_source: "b5r1p12",
+      checked_out_at: "2026-01-02T00:00:00.000Z",
+      checked_in_at: "",
+    });
+    expect(bare).toMatchObject({ location: "", position: null, checkout_status: "", checkout_source: "", foil: false });
+    expect(Object.keys(row)).toEqual(EXPORT_COLUMNS.map((col) => col.key));
+  });
+});
+
+describe("formatCSVField", () => {
+  it("quotes fields with commas, quotes or line breaks", () => {
+    expect(formatCSVField("plain")).toBe("plain");
+    expect(formatCSVField('say "hi", ok')).toBe('"say ""hi"", ok"');
+    expect(formatCSVField(null)).toBe("");
+  });
+});
+
+describe("formatInventoryCSV", () => {
+  it("round-trips through the CSV parser", () => {
+    const { headers, rows } = parseCSV(formatInventoryCSV(items));
+    expect(headers).toEqual(EXPORT_COLUMNS.map((col) => col.header));
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ Name: "Fire // Ice", Location: "deck1", Position: "4", "Checkout Status": "out" });
+    expect(rows[1]).toMatchObject({ Name: "Borrowing 100,000 Arrows", Location: "", Position: "" });
+  });
+});
+
+describe("formatInventoryJSON / exportInventory", () => {
+  const at = Date.UTC(2026, 9, 19, 8, 30);
+
+  it("wraps rows with a count and timestamp", () => {
+    const doc = JSON.parse(formatInventoryJSON(items, at));
+    expect(doc).toMatchObject({ exported_at: "2026-10-19T08:30:00.000Z", count: 2 });
+    expect(doc.cards[0].checkout_source).toBe("b5r1p12");
+  });
+
+  it("names the file by format and date", () => {
+    expect(exportInventory(items, "csv", at)).toMatchObject({
+      filename: "scroll-rack-inventory-2026-10-19.csv",
+      mimeType: "text/csv",
+    });
+    expect(exportInventory(items, "json", at).filename).toBe("scroll-rack-inventory-2026-10-19.json");
+    expect(() => exportInventory(items, "xml", at)).toThrow("Unknown export format");
+  });
+});
+
+describe("want lists", () => {
+  const missing = [
+    { entry: { quantity: 4, name: "Lightning Bolt", section: "main", set_code: "M10" }, owned: 2, short: 2 },
+    { entry: { quantity: 1, name: "Lightning Bolt", section: "side", set_code: "M10" }, owned: 0, short: 1 },
+    { entry: { quantity: 1, name: "Fire // Ice", emid: 77, foil: true }, owned: 0, short: 1 },
+  ];
+  const wants = toWantList(missing);
+
+  it("merges shortfalls per card, printing and finish", () => {
+    expect(wants).toEqual([
+      { name: "Lightning Bolt", quantity: 3, set_code: "M10", foil: false, emid: 0 },
+      { name: "Fire // Ice", quantity: 1, set_code: "", foil: true, emid: 77 },
+    ]);
+  });
+
+  it("writes text that parses back as a decklist", () => {
+    const text = formatWantListText(wants);
+    expect(text).toBe("3 Lightning Bolt (M10)\n1 Fire // Ice *F*\n");
+    expect(parseDecklist(text).entries.map((e) => [e.quantity, e.name, e.set_code])).toEqual([
+      [3, "Lightning Bolt", "M10"],
+      [1, "Fire // Ice", ""],
+    ]);
+  });
+
+  it("writes CSV and picks the file type", () => {
+    const { headers, rows } = parseCSV(formatWantListCSV(wants));
+    expect(headers).toEqual(["Quantity", "Name", "Set Code", "Foil"]);
+    expect(rows).toEqual([
+      { Quantity: "3", Name: "Lightning Bolt", "Set Code": "M10", Foil: "false" },
+      { Quantity: "1", Name: "Fire // Ice", "Set Code": "", Foil: "true" },
+    ]);
+    expect(exportWantList(wants, "text", Date.UTC(2026, 4, 1)).filename).toBe("scroll-rack-want-list-2026-05-01.txt");
+    expect(exportWantList(wants, "csv").mimeType).toBe("text/csv");
+    expect(() => exportWantList(wants, "xml")).toThrow("Unknown export format");
+  });
+});
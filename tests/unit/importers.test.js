@@ -0,0 +1,163 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCSV,
+  parseCSVLine,
+  detectImporter,
+  parseInventoryCSV,
+  normalizeCondition,
+  normalizeLanguage,
+  registerImporter,
+  getImporters,
+} from "../../src/shared/importers.js";
+
+// ---------------------------------------------------------------------------
+// CSV parsing
+// ---------------------------------------------------------------------------
+
+describe("parseCSVLine", () => {
+  it("handles quoted fields with commas and escaped quotes", () => {
+    expect(parseCSVLine('1,"Fire // Ice","say ""hi"", ok",')).toEqual(["1", "Fire // Ice", 'say "hi", ok', ""]);
+  });
+});
+
+describe("parseCSV", () => {
+  it("keys rows by header and strips a byte-order mark", () => {
+    const { headers, rows } = parseCSV('\uFEFFName,Count\r\nBolt,4\r\n\r\nHelix,1\n');
+    expect(headers).toEqual(["Name", "Count"]);
+    expect(rows).toEqual([
+      { Name: "Bolt", Count: "4" },
+      { Name: "Helix", Count: "1" },
+    ]);
+  });
+
+  it("keeps line breaks inside quoted fields", () => {
+    const { rows } = parseCSV('Name,Notes\r\nBolt,"top shelf\r\nbox ""A"""\r\nHelix,\r\n');
+    expect(rows).toEqual([
+      { Name: "Bolt", Notes: 'top shelf\r\nbox "A"' },
+      { Name: "Helix", Notes: "" },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+describe("detectImporter", () => {
+  it.each([
+    [["echo_inventory_id", "echoid", "Name", "Set Code"], "echomtg"],
+    [["Name", "Set code", "Set name", "Collector number", "Foil", "Quantity", "ManaBox ID"], "manabox"],
+    [["Count", "Tradelist Count", "Name", "Edition", "Condition", "Collector Number"], "moxfield"],
+    [["Count", "Tradelist Count", "Name", "Edition", "Card Number", "My Price"], "deckbox"],
+    [["Quantity", "Name", "Simple Name", "Set", "Card Number", "Set Code", "Printing"], "tcgplayer"],
+  ])("recognises %j", (headers, id) => {
+    expect(detectImporter(headers).id).toBe(id);
+  });
+
+  it("returns null for unknown headers", () => {
+    expect(detectImporter(["Foo", "Bar"])).toBeNull();
+  });
+
+  it("accepts registered importers", () => {
+    const custom = { id: "custom", label: "Custom", columns: ["Custom Col"], toRecords: () => [] };
+    registerImporter(custom);
+    expect(detectImporter(["Custom Col"])).toBe(custom);
+    expect(getImporters()).toContain(custom);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Record mapping
+// ---------------------------------------------------------------------------
+
+describe("parseInventoryCSV", () => {
+  it("maps EchoMTG exports and skips rows without an inventory ID", () => {
+    const csv = [
+      "echo_inventory_id,echoid,Name,Set Code,Set,Collector Number,Foil Qty,note,Language,Condition",
+      "101,555,Lightning Bolt,m10,Magic 2010,146,1,b1p3,EN,LP",
+      ",556,Ghost Row,m10,Magic 2010,1,0,,EN,NM",
+    ].join("\n");
+    const { importer, records } = parseInventoryCSV(csv);
+    expect(importer.id).toBe("echomtg");
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({
+      echo_inventory_id: 101,
+      emid: 555,
+      set_code: "M10",
+      foil: true,
+      note: "b1p3",
+      condition: "LP",
+    });
+  });
+
+  it("expands ManaBox quantities into one record per copy", () => {
+    const csv = [
+      "Name,Set code,Set name,Collector number,Foil,Rarity,Quantity,ManaBox ID,Condition,Language,Purchase price",
+      "Ragavan, Nimble Pilferer,mh2,Modern Horizons 2,138,foil,mythic,2,1234,near_mint,ja,55.10",
+    ].join("\n").replace("Ragavan, Nimble Pilferer", '"Ragavan, Nimble Pilferer"');
+    const { records } = parseInventoryCSV(csv);
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({
+      emid: 0,
+      name: "Ragavan, Nimble Pilferer",
+      set_code: "MH2",
+      collectors_number: "138",
+      foil: true,
+      condition: "NM",
+      language: "JA",
+      acquired_price: 55.1,
+      source: "manabox",
+    });
+    expect(records[0].echo_inventory_id).toBeLessThan(0);
+    expect(records[0].echo_inventory_id).not.toBe(records[1].echo_inventory_id);
+  });
+
+  it("gives the same copies the same IDs on re-import", () => {
+    const csv = "Count,Name,Edition,Collector Number,Condition,Language,Foil\n3,Brainstorm,mh3,51,Near Mint,English,";
+    const first = parseInventoryCSV(csv).records.map((r) => r.echo_inventory_id);
+    const second = parseInventoryCSV(csv).records.map((r) => r.echo_inventory_id);
+    expect(first).toHaveLength(3);
+    expect(second).toEqual(first);
+  });
+
+  it("gives identical rows distinct IDs", () => {
+    const row = "1,Brainstorm,mh3,51,Near Mint,English,";
+    const csv = ["Count,Name,Edition,Collector Number,Condition,Language,Foil", row, row].join("\n");
+    const ids = parseInventoryCSV(csv).records.map((r) => r.echo_inventory_id);
+    expect(ids).toHaveLength(2);
+    expect(new Set(ids).size).toBe(2);
+  });
+
+  it("maps Deckbox set names and TCGplayer printings", () => {
+    const deckbox = parseInventoryCSV(
+      "Count,Tradelist Count,Name,Edition,Card Number,Condition,Language,Foil,My Price\n1,0,Counterspell,Ice Age,64,Good (Lightly Played),English,foil,$1.50"
+    ).records[0];
+    expect(deckbox).toMatchObject({ set_code: "", set_name: "Ice Age", condition: "LP", foil: true, acquired_price: 1.5, source: "deckbox" });
+
+    const tcg = parseInventoryCSV(
+      "Quantity,Name,Simple Name,Set,Card Number,Set Code,Printing,Condition,Language,Rarity\n1,Sol Ring (Borderless),Sol Ring,Commander Masters,1,CMM,Normal,Lightly Played,English,Uncommon"
+    ).records[0];
+    expect(tcg).toMatchObject({ name: "Sol Ring", set_code: "CMM", foil: false, condition: "LP", source: "tcgplayer" });
+  });
+
+  it("throws on unrecognised formats", () => {
+    expect(() => parseInventoryCSV("Foo,Bar\n1,2")).toThrow("Unrecognised CSV format");
+  });
+});
+
+describe("normalizeCondition / normalizeLanguage", () => {
+  it("maps app condition labels to EchoMTG codes", () => {
+    expect(normalizeCondition("Near Mint")).toBe("NM");
+    expect(normalizeCondition("lightly_played")).toBe("LP");
+    expect(normalizeCondition("Moderately Played Foil")).toBe("MP");
+    expect(normalizeCondition("Damaged")).toBe("DMG");
+    expect(normalizeCondition("")).toBe("NM");
+  });
+
+  it("maps language names and codes", () => {
+    expect(normalizeLanguage("Japanese")).toBe("JA");
+    expect(normalizeLanguage("zh_CN")).toBe("ZHS");
+    expect(normalizeLanguage("de")).toBe("DE");
+    expect(normalizeLanguage("")).toBe("EN");
+  });
+});
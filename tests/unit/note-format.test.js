@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_NOTE_FORMAT,
+  compileNoteFormat,
+  parseNote,
+  formatNote,
+} from "../../src/shared/note-format.js";
+
+const standard = compileNoteFormat(DEFAULT_NOTE_FORMAT);
+const boxed = compileNoteFormat("{tag} / #{pos}");
+const padded = compileNoteFormat("{tag}-{pos:3}");
+
+describe("compileNoteFormat", () => {
+  it("needs one {tag} and one {pos} with text between them", () => {
+    expect(() => compileNoteFormat("{tag}")).toThrow("exactly one {tag} and one {pos}");
+    expect(() => compileNoteFormat("{tag}{pos}p{pos}")).toThrow("exactly one");
+    expect(() => compileNoteFormat("{tag}{pos:3}")).toThrow("text between");
+    expect(compileNoteFormat("  #{pos} in {tag} ").template).toBe("#{pos} in {tag}");
+  });
+});
+
+describe("parseNote", () => {
+  it("reads the default format", () => {
+    expect(parseNote("b5r1p12", standard)).toEqual({ tag: "b5r1", position: 12, extra: "" });
+    expect(parseNote("  b5p3  ", standard)).toEqual({ tag: "b5", position: 3, extra: "" });
+  });
+
+  it("reads custom formats", () => {
+    expect(parseNote("Box 3 / #112", boxed)).toEqual({ tag: "Box 3", position: 112, extra: "" });
+    expect(parseNote("b5-r1-047", padded)).toEqual({ tag: "b5-r1", position: 47, extra: "" });
+    const posFirst = compileNoteFormat("#{pos} in {tag}");
+    expect(parseNote("#4 in deck1 signed", posFirst)).toEqual({ tag: "deck1", position: 4, extra: "signed" });
+  });
+
+  it("separates free text after the location", () => {
+    expect(parseNote("b5p3 signed by artist", standard)).toEqual({ tag: "b5", position: 3, extra: "signed by artist" });
+    expect(parseNote("Box 3 / #112 trade bait", boxed)).toMatchObject({ tag: "Box 3", extra: "trade bait" });
+  });
+
+  it("trims the tag and rejects blank ones", () => {
+    expect(parseNote("Signed by artist p3", standard)).toMatchObject({ tag: "Signed by artist", position: 3 });
+    expect(parseNote("Box 3  / #112", boxed)).toMatchObject({ tag: "Box 3", position: 112 });
+    expect(parseNote("  / #4", boxed)).toEqual({ tag: null, position: null, extra: "/ #4" });
+  });
+
+  it("treats notes without a location as free text", () => {
+    expect(parseNote("from grandpa", standard)).toEqual({ tag: null, position: null, extra: "from grandpa" });
+    expect(parseNote("b5p3", boxed)).toEqual({ tag: null, position: null, extra: "b5p3" });
+    expect(parseNote(null, standard)).toEqual({ tag: null, position: null, extra: "" });
+  });
+});
+
+describe("formatNote", () => {
+  it("fills the template, pads positions and keeps free text", () => {
+    expect(formatNote("b5r1", 12, "", standard)).toBe("b5r1p12");
+    expect(formatNote("Box 3", 112, "", boxed)).toBe("Box 3 / #112");
+    expect(formatNote("b5-r1", 47, "", padded)).toBe("b5-r1-047");
+    expect(formatNote("b5", 3, "signed", standard)).toBe("b5p3 signed");
+  });
+
+  it("round-trips through parseNote", () => {
+    for (const format of [standard, boxed, padded]) {
+      const note = formatNote("shelf 2", 1234, "foil", format);
+      expect(parseNote(note, format)).toEqual({ tag: "shelf 2", position: 1234, extra: "foil" });
+    }
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { flipDistance, formatFlipEstimate, formatPickPath, planPickPath } from "../../src/shared/pick-path.js";
+
+const locations = [
+  { tag: "shelf", label: "Shelf", parent_tag: null, walk_order: 1, registered: true },
+  { tag: "b5", label: "Box 5", parent_tag: "shelf", walk_order: 1, registered: true },
+  { tag: "b3", label: "Box 3", parent_tag: "shelf", walk_order: 2, registered: true },
+  { tag: "b3r1", label: "Box 3, Row 1", parent_tag: "b3", walk_order: null, registered: true },
+  { tag: "bd1", label: "Trade Binder", parent_tag: null, walk_order: null, registered: true, pockets_per_page: 9, sides: 2 },
+  { tag: "x10", label: "x10", parent_tag: null, registered: false },
+  { tag: "x2", label: "x2", parent_tag: null, registered: false },
+];
+
+const item = (current_location, current_position) => ({ current_location, current_position, card_name: "Card" });
+
+describe("flipDistance", () => {
+  it("adds up the gaps walked from the front", () => {
+    expect(flipDistance([4, 17, 212])).toBe(211);
+    expect(flipDistance([212, 4, 17])).toBe(211 + 208 + 13);
+    expect(flipDistance([])).toBe(0);
+  });
+});
+
+describe("planPickPath", () => {
+  it("orders locations by the shelf layout and items by position", () => {
+    const path = planPickPath(
+      [item("x10", 1), item("b3", 212), item(null, null), item("b3r1", 5), item("b3", 4), item("x2", 3), item("b5", 9), item("bd1", 47), item("b3", 17)],
+      locations
+    );
+    expect(path.stops.map((s) => s.tag)).toEqual(["b5", "b3", "b3r1", "bd1", "x2", "x10", null]);
+    expect(path.stops[1].items.map((i) => i.current_position)).toEqual([4, 17, 212]);
+    expect(path.stops.at(-1).label).toBe("Unknown location");
+  });
+
+  it("estimates flips, counting binder pages", () => {
+    const path = planPickPath([item("b3", 17), item("b3", 4), item("bd1", 47), item("bd1", 1)], locations);
+    expect(path.stops.map((s) => [s.flips, s.unit])).toEqual([[16, "cards"], [2, "pages"]]);
+    expect(path.flips).toEqual({ cards: 16, pages: 2 });
+    expect(formatFlipEstimate(path)).toBe("about 16 cards and 2 pages to flip");
+    expect(formatFlipEstimate(planPickPath([item("b3", 1)], locations))).toBe("nothing to flip");
+  });
+});
+
+describe("formatPickPath", () => {
+  it("writes the walk on one line", () => {
+    const path = planPickPath([item("b3", 212), item("b5", 2), item("b3", 4), item("bd1", 47), item("bd1", 1)], locations);
+    expect(formatPickPath(path)).toBe(
+      "Box 5: p2 → Box 3: p4, p212 → Trade Binder: page 1, slot 1 (front); page 3, slot 2 (back)"
+    );
+  });
+});
@@ -1,14 +1,24 @@
 import { describe, it, expect } from "vitest";
 import {
   extractTokens,
+  foldForSearch,
   generateInitials,
   generateProgressiveInitials,
   generateStrictInitials,
   normalizeForSearch,
+  parseQuantityPrefix,
+  parseSearchQuery,
+  compareCollectorNumbers,
+  createFuzzyIntent,
   detectSearchIntent,
+  editDistance,
+  fuzzyMatchDistance,
+  FUZZY_BASE_SCORE,
   matchesInitials,
   matchesTokenPrefixes,
   scoreMatch,
+  splitFaces,
+  matchedFace,
 } from "../../src/shared/search-utils.js";
 
 // ---------------------------------------------------------------------------
@@ -29,6 +39,12 @@ describe("extractTokens", () => {
     expect(extractTokens("Thought–Knot")).toEqual(["thought", "knot"]);
   });
 
+  it("drops punctuation and folds accents", () => {
+    expect(extractTokens("Lim-Dûl's Vault")).toEqual(["lim", "duls", "vault"]);
+    expect(extractTokens("Ragavan, Nimble Pilferer")).toEqual(["ragavan", "nimble", "pilferer"]);
+    expect(extractTokens("Æther Vial")).toEqual(["aether", "vial"]);
+  });
+
   it("handles empty string", () => {
     expect(extractTokens("")).toEqual([]);
   });
@@ -38,6 +54,39 @@ describe("extractTokens", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// splitFaces / matchedFace
+// ---------------------------------------------------------------------------
+
+describe("splitFaces", () => {
+  it("splits multi-face names and trims each face", () => {
+    expect(splitFaces("Delver of Secrets // Insectile Aberration")).toEqual([
+      "Delver of Secrets",
+      "Insectile Aberration",
+    ]);
+    expect(splitFaces("Fire // Ice")).toEqual(["Fire", "Ice"]);
+  });
+
+  it("returns a single face for ordinary names", () => {
+    expect(splitFaces("Lightning Bolt")).toEqual(["Lightning Bolt"]);
+  });
+});
+
+describe("matchedFace", () => {
+  const card = { name: "Delver of Secrets // Insectile Aberration" };
+
+  it("finds the face matched by each strategy", () => {
+    expect(matchedFace(detectSearchIntent("insect"), card)).toBe(1);
+    expect(matchedFace(detectSearchIntent("delver sec"), card)).toBe(0);
+    expect(matchedFace(detectSearchIntent("IA"), card)).toBe(1);
+    expect(matchedFace(createFuzzyIntent("insectle aberation"), card)).toBe(1);
+  });
+
+  it("returns -1 when no single face matches", () => {
+    expect(matchedFace(detectSearchIntent("delver aberration"), card)).toBe(-1);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // generateInitials
 // ---------------------------------------------------------------------------
@@ -79,6 +128,23 @@ describe("generateProgressiveInitials", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// foldForSearch
+// ---------------------------------------------------------------------------
+
+describe("foldForSearch", () => {
+  it("strips diacritics", () => {
+    expect(foldForSearch("Séance")).toBe("seance");
+    expect(foldForSearch("Jötun Grunt")).toBe("jotun grunt");
+    expect(foldForSearch("Lim-Dûl")).toBe("lim-dul");
+  });
+
+  it("expands ligatures and letters without a decomposition", () => {
+    expect(foldForSearch("Æther Vial")).toBe("aether vial");
+    expect(foldForSearch("Œ ø ß")).toBe("oe o ss");
+  });
+});
+
 // ---------------------------------------------------------------------------
 // normalizeForSearch
 // ---------------------------------------------------------------------------
@@ -92,6 +158,10 @@ describe("normalizeForSearch", () => {
     expect(normalizeForSearch("Jace's Ingenuity")).toBe("jaces ingenuity");
   });
 
+  it("folds accented letters instead of dropping them", () => {
+    expect(normalizeForSearch("Lim-Dûl's Vault")).toBe("lim-duls vault");
+  });
+
   it("removes special characters", () => {
     expect(normalizeForSearch("Fire & Ice")).toBe("fire  ice");
   });
@@ -101,6 +171,26 @@ describe("normalizeForSearch", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// parseQuantityPrefix
+// ---------------------------------------------------------------------------
+
+describe("parseQuantityPrefix", () => {
+  it("splits a leading Nx modifier", () => {
+    expect(parseQuantityPrefix("4x lightning bolt")).toEqual({ quantity: 4, query: "lightning bolt" });
+    expect(parseQuantityPrefix("12X LB")).toEqual({ quantity: 12, query: "LB" });
+  });
+
+  it("returns null quantity when there is no modifier", () => {
+    expect(parseQuantityPrefix("lightning bolt")).toEqual({ quantity: null, query: "lightning bolt" });
+    expect(parseQuantityPrefix("4x")).toEqual({ quantity: null, query: "4x" });
+  });
+
+  it("ignores zero quantities", () => {
+    expect(parseQuantityPrefix("0x bolt")).toEqual({ quantity: null, query: "0x bolt" });
+  });
+});
+
 // ---------------------------------------------------------------------------
 // detectSearchIntent
 // ---------------------------------------------------------------------------
@@ -135,6 +225,163 @@ describe("detectSearchIntent", () => {
     expect(result.strategy).toBe("prefix");
     expect(result.query).toBe("lig");
   });
+
+  it("normalizes accents and apostrophes in the query", () => {
+    expect(detectSearchIntent("Séance").query).toBe("seance");
+    expect(detectSearchIntent("ugin's").query).toBe("ugins");
+    expect(detectSearchIntent("the ur-dragon")).toMatchObject({
+      tokens: ["ur", "dragon"],
+      firstToken: "the",
+    });
+  });
+
+  it("detects a bare collector number", () => {
+    expect(detectSearchIntent("241")).toMatchObject({
+      strategy: "collector_number",
+      setCode: null,
+      number: "241",
+    });
+  });
+
+  it("detects set code + collector number", () => {
+    expect(detectSearchIntent("mh3 241", new Set(["MH3"]))).toMatchObject({
+      strategy: "collector_number",
+      setCode: "MH3",
+      number: "241",
+    });
+    expect(detectSearchIntent("MH3#241a")).toMatchObject({
+      strategy: "collector_number",
+      setCode: "MH3",
+      number: "241a",
+    });
+    expect(detectSearchIntent("mh3 #7")).toMatchObject({ setCode: "MH3", number: "7" });
+  });
+
+  it("does not treat names ending in words as collector numbers", () => {
+    expect(detectSearchIntent("mh3 bolt").strategy).toBe("multi_token");
+  });
+
+  it("keeps name search for a word and number that isn't a known set", () => {
+    expect(detectSearchIntent("ajani 3", new Set(["MH3"]))).toMatchObject({
+      strategy: "multi_token",
+      tokens: ["ajani", "3"],
+    });
+    expect(detectSearchIntent("ajani 3", new Set(["MH3"])).collector).toBeUndefined();
+    // Unknown sets: search the name and carry the possible lookup along
+    expect(detectSearchIntent("bolt 2")).toMatchObject({
+      strategy: "multi_token",
+      collector: { setCode: "BOLT", number: "2" },
+    });
+    expect(detectSearchIntent("bolt #2")).toMatchObject({ strategy: "collector_number", setCode: "BOLT" });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseSearchQuery
+// ---------------------------------------------------------------------------
+
+describe("parseSearchQuery", () => {
+  it("returns plain text untouched", () => {
+    expect(parseSearchQuery("lightning bolt")).toEqual({
+      text: "lightning bolt",
+      filters: {},
+      hasFilters: false,
+    });
+  });
+
+  it("splits filter terms from the name text", () => {
+    const { text, filters } = parseSearchQuery("bolt s:mh3 r:mythic t:Creature lang:ja");
+    expect(text).toBe("bolt");
+    expect(filters).toEqual({
+      set_codes: ["MH3"],
+      rarities: ["m"],
+      types: ["creature"],
+      languages: ["JA"],
+    });
+  });
+
+  it("ORs repeated terms of the same kind", () => {
+    expect(parseSearchQuery("s:mh3 set:mh2").filters.set_codes).toEqual(["MH3", "MH2"]);
+  });
+
+  it("parses foil, location and collector-number terms", () => {
+    const { filters } = parseSearchQuery("is:foil loc:B5 cn>200 cn<=300");
+    expect(filters.versions).toEqual(["foil"]);
+    expect(filters.locations).toEqual(["b5"]);
+    expect(filters.collector_numbers).toEqual([
+      { op: ">", value: "200" },
+      { op: "<=", value: "300" },
+    ]);
+  });
+
+  it("collects negated terms under exclude", () => {
+    const { text, filters } = parseSearchQuery("-s:mh3 -is:foil goblin");
+    expect(text).toBe("goblin");
+    expect(filters.exclude).toEqual([{ set_codes: ["MH3"] }, { versions: ["foil"] }]);
+  });
+
+  it("keeps unknown keys and invalid values as text", () => {
+    const { text, hasFilters } = parseSearchQuery("foo:bar r:legendary is:shiny");
+    expect(text).toBe("foo:bar r:legendary is:shiny");
+    expect(hasFilters).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// compareCollectorNumbers
+// ---------------------------------------------------------------------------
+
+describe("compareCollectorNumbers", () => {
+  it("orders numerically, then by letter suffix", () => {
+    const sorted = ["10b", "2", "10", "1", "10a"].sort(compareCollectorNumbers);
+    expect(sorted).toEqual(["1", "2", "10", "10a", "10b"]);
+  });
+
+  it("accepts numeric values", () => {
+    expect(compareCollectorNumbers(9, "10")).toBeLessThan(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// editDistance / fuzzyMatchDistance
+// ---------------------------------------------------------------------------
+
+describe("editDistance", () => {
+  it("counts insertions, deletions and substitutions", () => {
+    expect(editDistance("pilfrer", "pilferer")).toBe(1);
+    expect(editDistance("guardien", "guardian")).toBe(1);
+    expect(editDistance("kitten", "sitting")).toBe(3);
+    expect(editDistance("bolt", "bolt")).toBe(0);
+  });
+
+  it("counts an adjacent swap as one edit", () => {
+    expect(editDistance("thalai", "thalia")).toBe(1);
+  });
+
+  it("stops at maxDistance + 1", () => {
+    expect(editDistance("kitten", "sitting", 1)).toBe(2);
+    expect(editDistance("a", "abcdef", 2)).toBe(3);
+  });
+});
+
+describe("fuzzyMatchDistance", () => {
+  const tokens = (name) => extractTokens(name);
+
+  it("tolerates a typo per token", () => {
+    const q = createFuzzyIntent("Ragavan Nimble Pilfrer").tokens;
+    expect(fuzzyMatchDistance(q, tokens("Ragavan, Nimble Pilferer"))).toBe(1);
+  });
+
+  it("lets the last token match a prefix", () => {
+    const q = createFuzzyIntent("thalai guar").tokens;
+    expect(fuzzyMatchDistance(q, tokens("Thalia, Guardian of Thraben"))).toBe(1);
+  });
+
+  it("rejects short tokens with typos and unrelated names", () => {
+    expect(fuzzyMatchDistance(["bolf"], tokens("Lightning Bolt"))).toBe(1);
+    expect(fuzzyMatchDistance(["bot"], tokens("Lightning Bolt"))).toBeNull();
+    expect(fuzzyMatchDistance(["counterspell"], tokens("Lightning Bolt"))).toBeNull();
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -221,6 +468,15 @@ describe("scoreMatch", () => {
     expect(score).toBeLessThan(1000);
   });
 
+  it("ranks fuzzy near-misses after strict matches", () => {
+    const card = makeCard("Thalia, Guardian of Thraben");
+    const strict = scoreMatch({ strategy: "multi_token", query: "thalia guard", tokens: ["thalia", "guard"] }, card);
+    const fuzzy = scoreMatch(createFuzzyIntent("thalia guardien"), card);
+    expect(fuzzy).toBe(FUZZY_BASE_SCORE + 1);
+    expect(fuzzy).toBeGreaterThan(strict);
+    expect(fuzzy).toBeLessThan(1000);
+  });
+
   it("falls back gracefully for cards missing search fields", () => {
     const intent = { strategy: "initials", query: "lb" };
     const card = { name: "Lightning Bolt", name_normalized: "lightning bolt" };